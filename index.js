@@ -1,7 +1,22 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const fs = require('fs');
 const path = require('path');
+const { createAdminPanel } = require('./src/admin-panel');
+const { createBotTexts } = require('./src/bot-texts');
+const { createBusinessHours } = require('./src/business-hours');
+const { getFullCatalogPdf } = require('./src/catalog-pdf');
+const { createCatalog } = require('./src/catalog');
+const { createConnectionManager, CONNECTION_STATES } = require('./src/connection');
+const { createDatabase } = require('./src/database');
+const { createBotEngine } = require('./src/engine');
+const { createMetrics } = require('./src/metrics');
+const { createPrivacyPolicy } = require('./src/privacy');
+const { createScheduler } = require('./src/scheduling');
+const { createStatusServer } = require('./src/status-server');
+const { createTriage } = require('./src/triage');
+const { createThrottledTransport } = require('./src/transports/throttled');
+const { createWhatsAppTransport } = require('./src/transports/whatsapp');
 
 // --- VERIFICAÇÃO DE INSTÂNCIA ÚNICA (SINGLETON) ---
 // Isso previne que o bot seja executado múltiplas vezes, o que causa respostas duplicadas.
@@ -43,8 +58,8 @@ try {
     }
 }
 
-// NOTA: A dependência 'puppeteer' não precisa ser importada diretamente
-// whatsapp-web.js a utiliza nos bastidores.
+// NOTA: O whatsapp-web.js usa o 'puppeteer' nos bastidores; o src/catalog-pdf.js
+// também o usa diretamente para imprimir o catálogo em PDF.
 
 const client = new Client({
     authStrategy: new LocalAuth({ clientId: 'frioger-bot-v3' }), // Mudei o ID para evitar conflito de sessão
@@ -60,406 +75,187 @@ const client = new Client({
 });
 
 // --- CATÁLOGO DE PRODUTOS (INTEGRADO) ---
-let pages = [];
-try {
-    if (fs.existsSync('./catalog.json')) {
-        pages = JSON.parse(fs.readFileSync('./catalog.json', 'utf-8'));
-    } else {
-        console.warn('⚠️ AVISO: Arquivo catalog.json não encontrado. A busca de produtos não funcionará.');
-    }
-} catch (e) { console.error('❌ Erro ao ler catalog.json:', e.message); }
-
-// --- BANCO DE DADOS SQLITE ---
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./sessions.db', sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
-    if (err) {
-        console.error("Erro ao abrir o banco de dados", err.message);
-    } else {
-        console.log("Conectado ao banco de dados de sessões.");
-        db.run(`CREATE TABLE IF NOT EXISTS sessions (
-            user_phone TEXT PRIMARY KEY,
-            stage TEXT,
-            nome TEXT,
-            last_updated INTEGER
-        )`, (err) => {
-            if (err) {
-                console.error("Erro ao criar tabela", err.message);
-            }
-        });
-        // Criar tabela para chamados técnicos
-        db.run(`CREATE TABLE IF NOT EXISTS chamados (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_phone TEXT,
-            user_name TEXT,
-            produto_detectado TEXT,
-            relato TEXT,
-            status TEXT DEFAULT 'aberto',
-            timestamp INTEGER
-        )`);
-        // Criar tabela para avaliações
-        db.run(`CREATE TABLE IF NOT EXISTS avaliacoes (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_phone TEXT,
-            user_name TEXT,
-            nota TEXT,
-            timestamp INTEGER
-        )`);
-    }
-});
-
-// --- FUNÇÕES DO BANCO DE DADOS ---
-const getUserState = (userPhone) => {
-    return new Promise((resolve, reject) => {
-        db.get("SELECT * FROM sessions WHERE user_phone = ?", [userPhone], (err, row) => {
-            if (err) return reject(err);
-            resolve(row);
-        });
-    });
-};
-
-const setUserState = (userPhone, stage, nome) => {
-    const now = Date.now();
-    return new Promise((resolve, reject) => {
-        const query = `
-            INSERT INTO sessions (user_phone, stage, nome, last_updated)
-            VALUES (?, ?, ?, ?)
-            ON CONFLICT(user_phone) DO UPDATE SET
-            stage = excluded.stage,
-            nome = excluded.nome,
-            last_updated = excluded.last_updated;
-        `;
-        db.run(query, [userPhone, stage, nome, now], function(err) {
-            if (err) return reject(err);
-            resolve(this);
-        });
-    });
-};
+const CATALOG_PATH = './catalog.json';
+const catalog = createCatalog(CATALOG_PATH);
 
-const deleteUserState = (userPhone) => {
-    return new Promise((resolve, reject) => {
-        db.run("DELETE FROM sessions WHERE user_phone = ?", [userPhone], function(err) {
-            if (err) return reject(err);
-            resolve(this);
-        });
-    });
+// Deixa o PDF completo pronto em segundo plano, para o cliente não esperar a geração.
+const warmCatalogPdf = () => {
+    getFullCatalogPdf(catalog.pages).catch(e => console.error('❌ Erro ao gerar o PDF do catálogo:', e.message));
 };
+catalog.watch(warmCatalogPdf);
 
-const saveTicket = (userPhone, userName, produto, relato) => {
-    const now = Date.now();
-    return new Promise((resolve, reject) => {
-        const query = `INSERT INTO chamados (user_phone, user_name, produto_detectado, relato, timestamp) VALUES (?, ?, ?, ?, ?)`;
-        db.run(query, [userPhone, userName, produto, relato, now], function(err) {
-            if (err) return reject(err);
-            console.log(`💾 Novo chamado técnico salvo no DB. ID: ${this.lastID}`);
-            resolve(this);
-        });
-    });
-};
-
-const saveRating = (userPhone, userName, nota) => {
-    const now = Date.now();
-    return new Promise((resolve, reject) => {
-        const query = `INSERT INTO avaliacoes (user_phone, user_name, nota, timestamp) VALUES (?, ?, ?, ?)`;
-        db.run(query, [userPhone, userName, nota, now], function(err) {
-            if (err) return reject(err);
-            console.log(`💾 Nova avaliação salva no DB. ID: ${this.lastID}`);
-            resolve(this);
-        });
-    });
-};
+// --- BANCO DE DADOS SQLITE ---
+const store = createDatabase('./sessions.db');
 
 // --- CONSTANTES E CONFIGURAÇÕES ---
-const PDF_PATH = './assets/Catálogo Oficial Grupo Frioger 2026 - Completo.pdf';
-const SPECIALIST_NUMBER = '5511930167985@c.us'; // Substitua pelo número correto
-
-// --- ESTADOS DA CONVERSA ---
-const STAGES = {
-    CAPTURA_NOME: 'CAPTURA_NOME',
-    MENU_PRINCIPAL: 'MENU_PRINCIPAL',
-    SUPORTE_TRIAGEM: 'SUPORTE_TRIAGEM',
-    AGUARDANDO_HUMANO: 'AGUARDANDO_HUMANO',
-    AVALIACAO: 'AVALIACAO'
+// Departamentos (vendas, peças, suporte) e os números dos agentes de cada um.
+const DEPARTMENTS = require('./departments.json');
+const BACKGROUND_CHECK_INTERVAL = 60 * 1000; // Inatividade, SLA, retornos pendentes, lembretes e resumo das avaliações, a cada minuto
+// Grade semanal e feriados do time humano. Fora dela, os pedidos viram retornos pendentes.
+const businessHours = createBusinessHours(require('./business-hours.json'));
+// Versão da política de privacidade aceita no primeiro contato e prazo de retenção dos dados (LGPD).
+const privacy = createPrivacyPolicy(require('./privacy.json'));
+const RETENTION_CHECK_INTERVAL = 24 * 60 * 60 * 1000; // Anonimização dos dados vencidos, uma vez por dia
+// Mensagens aos clientes (locales/*.json) e menu principal (menu.json). Um erro aqui impede a partida;
+// depois, as edições são recarregadas sem reiniciar a sessão do WhatsApp.
+const texts = createBotTexts();
+texts.watch();
+// Perguntas da triagem técnica e base de códigos de erro, consultadas antes de abrir um chamado de suporte.
+// Os textos de cada idioma ficam no próprio arquivo, como no menu.json.
+const triage = createTriage({ ...require('./triage.json'), errorCodes: require('./error-codes.json') }, { locales: texts.i18n.codes });
+// Técnicos, grade de horários e tipos de serviço oferecidos no agendamento (opção 4 do menu).
+const scheduler = createScheduler(require('./scheduling.json'), { locales: texts.i18n.codes });
+
+// --- MÉTRICAS DE OPERAÇÃO ---
+const metrics = createMetrics();
+const backgroundError = (task, message) => (e) => {
+    console.error(message, e);
+    metrics.increment('background_errors_total', { task });
 };
+metrics.counter('background_errors_total', 'Erros nas verificações periódicas, por tarefa.');
+metrics.counter('whatsapp_reconnects_total', 'Tentativas de reconexão ao WhatsApp.');
+
+// --- MOTOR DE CONVERSA ---
+// Envios em fila, com intervalo mínimo entre mensagens, para não disparar o bloqueio anti-spam do WhatsApp.
+const transport = createThrottledTransport(createWhatsAppTransport(client));
+const engine = createBotEngine({
+    transport,
+    store,
+    catalog,
+    departments: DEPARTMENTS,
+    slaMinutes: Number(process.env.SLA_MINUTES) || undefined, // Padrão do motor: 15 minutos
+    businessHours,
+    triage,
+    scheduler,
+    privacy,
+    texts,
+    // Números que recebem o resumo diário das avaliações, separados por vírgula (padrão: todos os agentes).
+    digestRecipients: process.env.DIGEST_NUMBERS ? process.env.DIGEST_NUMBERS.split(',').map(numero => numero.trim()) : undefined,
+    metrics
+});
 
-// --- PALAVRAS-CHAVE GLOBAIS ---
-const TRIGGERS_SAIR = ['sair', 'encerrar', 'fim', 'cancelar', 'tchau', 'obrigado', '0'];
-const TRIGGERS_HUMANO = ['consultor', 'vendedor', 'especialista', 'humano', 'atendente', 'falar com', '6'];
-const TRIGGERS_CATALOGO = ['catalogo', 'catálogo', 'pdf', 'tabela', 'lista', 'preço', 'preco', '1'];
-
-// --- FUNÇÕES AUXILIARES ---
-const delay = (ms) => new Promise(res => setTimeout(res, ms));
 
-const normalizeText = (text = '') => {
-    return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+// --- CONEXÃO COM O WHATSAPP (RECONEXÃO AUTOMÁTICA) ---
+// Com o WhatsApp fora do ar, o aviso de novo QR não pode ir por ele: fica no log e, se
+// ALERT_WEBHOOK_URL estiver definida, é enviado também para o webhook (Slack, Discord, etc.).
+const notifyNeedsAuth = (motivo) => {
+    const texto = `🔐 Bot Grupo Frioger: ${motivo} Leia o QR Code no terminal ou em /qr.`;
+    console.error(texto);
+    if (!process.env.ALERT_WEBHOOK_URL) return;
+    fetch(process.env.ALERT_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: texto, content: texto }) // "text" para Slack, "content" para Discord
+    }).catch(e => console.error('❌ Erro ao enviar o aviso de novo QR Code:', e.message));
 };
 
-const findProductInCatalog = (query) => {
-    if (!query || query.length < 3) return null; // Evita buscas por strings muito curtas
-    const normalizedQuery = normalizeText(query);
-    for (const page of pages) {
-        if (page.items) {
-            for (const item of page.items) {
-                const itemName = item.n ? normalizeText(item.n) : '';
-                const itemDesc = item.d ? normalizeText(item.d) : '';
-                const itemSpecs = item.techSpecs ? item.techSpecs.some(spec => normalizeText(spec).includes(normalizedQuery)) : false;
-
-                if (itemName.includes(normalizedQuery) || itemDesc.includes(normalizedQuery) || itemSpecs) {
-                    return { ...item, category: page.title, sub: page.sub };
-                }
-            }
-        }
+const connection = createConnectionManager(client, {
+    onNeedsAuth: notifyNeedsAuth,
+    onStateChange: (state) => {
+        if (state === CONNECTION_STATES.RECONECTANDO) metrics.increment('whatsapp_reconnects_total');
     }
-    return null;
-};
-
-// --- FUNÇÃO PARA ENVIAR O MENU PRINCIPAL (TEXTO) ---
-const sendMainMenu = async (userPhone, userName) => {
-    const menuText = `✨ É um prazer ter você aqui, *${userName}*!
-
-Como posso te ajudar hoje? 🤝
-_Digite o NÚMERO de uma opção ou o NOME de um produto._
-
-━━━━━━━━━━━━━━━━━━
-
-🛒 *ÁREA COMERCIAL*
-
-1️⃣  Baixar Catálogo em PDF (Completo 2026)
-2️⃣  Ver Produtos por Categoria 
-3️⃣  Cotação de Peças Originais
-
-━━━━━━━━━━━━━━━━━━
-
-🛠️ *SUPORTE & SERVIÇOS*
-
-4️⃣  Solicitar Instalação ou Manutenção
-5️⃣  Dúvidas Técnicas / Defeitos
-
-━━━━━━━━━━━━━━━━━━
-
-👤 *ATENDIMENTO*
-
-6️⃣  Falar com Especialista
-0️⃣  Encerrar Conversa`;
-
-    await client.sendMessage(userPhone, menuText);
-    await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userName);
-};
+});
 
+metrics.gauge('whatsapp_connected', 'Conexão com o WhatsApp (1 = conectado).', () => (connection.isConnected() ? 1 : 0));
+metrics.gauge('whatsapp_state', 'Estado atual da conexão com o WhatsApp.', () => [{ labels: { state: connection.snapshot().state }, value: 1 }]);
+metrics.gauge('outgoing_queue', 'Mensagens na fila de envio.', () => transport.pending());
+metrics.gauge('open_tickets', 'Chamados não resolvidos, por departamento e status.', async () => {
+    const grupos = new Map();
+    (await store.listOpenTickets()).forEach(ticket => {
+        const chave = `${ticket.departamento || ''}|${ticket.status}`;
+        grupos.set(chave, (grupos.get(chave) || 0) + 1);
+    });
+    return [...grupos].map(([chave, value]) => {
+        const [departamento, status] = chave.split('|');
+        return { labels: { departamento, status }, value };
+    });
+});
+metrics.gauge('sessions', 'Sessões ativas, por estágio da conversa.', async () => {
+    const porEstagio = new Map();
+    (await store.listSessions()).forEach(session => porEstagio.set(session.stage, (porEstagio.get(session.stage) || 0) + 1));
+    return [...porEstagio].map(([stage, value]) => ({ labels: { stage }, value }));
+});
+metrics.gauge('uptime_seconds', 'Tempo desde o início do processo.', () => Math.round(process.uptime()));
 
 // --- INICIALIZAÇÃO DO CLIENTE ---
 client.on('qr', (qr) => {
     qrcode.generate(qr, { small: true });
-    console.log('⚡ QR Code gerado! Aguardando conexão...');
+    console.log('⚡ QR Code gerado! Aguardando conexão (também disponível em /qr)...');
 });
 
 client.on('ready', () => {
     console.log('❄️ Bot Grupo Frioger: ONLINE e Pronto para Excelência.');
+    warmCatalogPdf();
+    startBackgroundChecks();
 });
 
 
-// --- LÓGICA PRINCIPAL DE MENSAGENS ---
-client.on('message', async msg => {
-    try {
-        // Filtros de segurança e anti-loop
-        if (msg.fromMe || !msg.from || msg.from.includes('@g.us') || msg.from === 'status@broadcast' || msg.type === 'revoked' || msg.type === 'e2e_notification' || msg.type === 'call_log') {
-            return;
-        }
-
-        const userPhone = msg.from;
-        const texto = (msg.body || '').trim();
-        if (texto === '') return; // Ignora mensagens vazias
-        const normalizedInput = normalizeText(texto);
-        const chat = await msg.getChat();
-
-        let userState = await getUserState(userPhone);
-
-        // --- CAPTURA DE NOME PARA NOVAS SESSÕES ---
-        if (!userState) {
-            console.log(`✨ Iniciando nova sessão para: ${userPhone}`);
-            await chat.sendStateTyping();
-            await delay(1500);
-            await client.sendMessage(userPhone, `👋 Olá! Seja muito bem-vindo(a) ao *Grupo Frioger*. ❄️\n_Excelência em Climatização e Refrigeração._\n\n🤖 Sou seu assistente virtual inteligente.\n\nPara iniciarmos, por favor, digite seu *NOME* abaixo: 👇`);
-            await setUserState(userPhone, STAGES.CAPTURA_NOME, ''); // Define o estágio, nome vazio
-            return;
-        }
-
-        // --- GESTÃO DE COMANDOS GLOBAIS (SAIR, VOLTAR, HUMANO) ---
-        // O comando "sair" funciona a qualquer momento
-        if (TRIGGERS_SAIR.some(trigger => normalizedInput.includes(trigger))) {
-            if (userState.nome) { // Se o usuário já se identificou, pede avaliação
-                await setUserState(userPhone, STAGES.AVALIACAO, userState.nome);
-                await client.sendMessage(userPhone, `*Foi um prazer atender você, ${userState.nome}!*
-
-Para nos ajudar a melhorar, que nota você dá para este atendimento?
-(De 1 a 5)`);
-            } else { // Se não, apenas encerra
-                await client.sendMessage(userPhone, 'Atendimento encerrado. Obrigado!');
-                await deleteUserState(userPhone);
-            }
-            return;
-        }
-
-        // Outros comandos globais só funcionam se o usuário já tiver um nome
-        if (userState.nome) {
-            const querHumano = TRIGGERS_HUMANO.some(trigger => {
-                // Exige correspondência exata para gatilhos de um único caractere (como '6')
-                if (trigger.length === 1) return normalizedInput === trigger;
-                // Usa 'includes' para gatilhos de texto para mais flexibilidade
-                return normalizedInput.includes(trigger);
-            });
-            if (querHumano) {
-                await client.sendMessage(userPhone, `🔔 *Entendido.* Estou transferindo você para a fila prioritária de atendimento humano.\n\n🕒 *Aguarde um instante, logo alguém irá te responder!*`);
-                await setUserState(userPhone, STAGES.AGUARDANDO_HUMANO, userState.nome);
-                const linkWpp = `https://wa.me/${userPhone.split('@')[0]}`;
-                await client.sendMessage(SPECIALIST_NUMBER, `🚨 *ALERTA DE ATENDIMENTO* 🚨\n\n👤 *Cliente:* ${userState.nome}\n📂 *Solicitação:* Falar com Especialista (Menu)\n📱 *Link direto:* ${linkWpp}\n\n_O cliente está aguardando na fila._`);
-                return;
-            }
-
-            if (['menu', 'voltar', 'inicio', 'oi', 'ola'].some(trigger => normalizedInput === trigger)) {
-                await sendMainMenu(userPhone, userState.nome);
-                return;
-            }
-        }
-
-
-        // ============================================================
-        // 🚦 MÁQUINA DE ESTADOS PRINCIPAL
-        // ============================================================
-        switch (userState.stage) {
-            case STAGES.CAPTURA_NOME:
-                const nomeCapturado = texto.split(' ')[0];
-                // Validação básica para evitar nomes muito curtos ou inválidos
-                if (nomeCapturado.length < 2) {
-                    await client.sendMessage(userPhone, '⚠️ Por favor, digite um nome válido para continuarmos.');
-                    return;
-                }
-                const nomeFormatado = nomeCapturado.charAt(0).toUpperCase() + nomeCapturado.slice(1).toLowerCase();
-                await chat.sendStateTyping();
-                await delay(1000);
-                await sendMainMenu(userPhone, nomeFormatado); // Esta função já atualiza o estado
-                break;
-
-            case STAGES.MENU_PRINCIPAL:
-                switch (normalizedInput) {
-                    case '1': // Baixar Catálogo
-                        await client.sendMessage(userPhone, `📄 *Perfeito!* Estou enviando o catálogo para você...\n\n⏳ _Só um instante..._`);
-                        try {
-                            if (fs.existsSync(PDF_PATH)) {
-                                const media = MessageMedia.fromFilePath(PDF_PATH);
-                                await client.sendMessage(userPhone, media, { caption: `✅ *Aqui está, ${userState.nome}!*\n\n📘 *Catálogo Oficial 2026 - Grupo Frioger*\n\n👀 Dê uma olhada nas novidades. Se gostar de algo, é só me dizer o nome do produto aqui no chat!` });
-                            } else {
-                                await client.sendMessage(userPhone, '⚠️ Ocorreu um erro ao carregar o arquivo. Notifiquei o suporte.');
-                            }
-                        } catch (e) { console.error('Erro ao enviar PDF:', e); }
-                        await delay(2000);
-                        await sendMainMenu(userPhone, userState.nome); // Volta ao menu principal
-                        break;
-
-                    case '2': // Ver Produtos por Categoria
-                        await client.sendMessage(userPhone, `📁 *Selecione a Categoria Desejada:*\n\n━━━━━━━━━━━━━━━━━━\n\n❄️  *Climatização*\n_(Splits, Cassette, Piso Teto)_\n\n🧊  *Refrigeração*\n_(Geladeiras, Freezers, Cervejeiras)_\n\n🏠  *Eletrodomésticos*\n_(Lava e Seca, Air Fryers, Fornos)_\n\n━━━━━━━━━━━━━━━━━━\n\n✍️  _*Digite o nome do produto que você procura:*_`);
-                        // Não mudamos o estado. A próxima mensagem será uma busca de produto,
-                        // que será tratada pelo 'default' deste mesmo switch.
-                        break;
-
-                    case '3': // Peças
-                        await client.sendMessage(userPhone, `⚙️  *Peças Genuínas Midea & Carrier*\n\nPara agilizar, precisamos do modelo exato.\n\n📸  *Por favor, envie uma FOTO DA ETIQUETA do aparelho ou digite o código da peça.*\n\n_Um técnico verificará nosso estoque imediatamente._`);
-                        await setUserState(userPhone, STAGES.AGUARDANDO_HUMANO, userState.nome);
-                        break;
-
-                    case '4': // Instalação/Manutenção
-                    case '5': // Suporte
-                        await client.sendMessage(userPhone, `🛠️  *Suporte Técnico Especializado*\n\n📝  *Descreva brevemente qual é o equipamento e o que está acontecendo:*\n\n_Exemplo: "Ar condicionado Midea pingando" ou "Geladeira não gela"._`);
-                        await setUserState(userPhone, STAGES.SUPORTE_TRIAGEM, userState.nome);
-                        break;
-
-                    default: // Fallback para busca de produto
-                        const produtoEncontrado = findProductInCatalog(texto);
-                        if (produtoEncontrado) {
-                            await chat.sendStateTyping();
-                            await delay(1000);
-                            let respostaProduto = `❄️ *Encontrei este produto para você:*\n\n`;
-                            respostaProduto += `📦 *${produtoEncontrado.n}*\n`;
-                            respostaProduto += `📝 _${produtoEncontrado.d}_\n\n`;
-                            if (produtoEncontrado.techSpecs) {
-                                respostaProduto += `⚙️ *Especificações:*\n`;
-                                produtoEncontrado.techSpecs.forEach(spec => {
-                                    respostaProduto += `• ${spec}\n`;
-                                });
-                            }
-                            respostaProduto += `\n📂 *Categoria:* ${produtoEncontrado.category} - ${produtoEncontrado.sub}`;
-                            respostaProduto += `\n\n💬 *Deseja falar com um vendedor sobre este item?* Digite 6 para falar com um especialista.`;
-                            await client.sendMessage(userPhone, respostaProduto);
-                        } else {
-                            await client.sendMessage(userPhone, '❌ Opção não reconhecida. Por favor, digite um número do menu ou o nome de um produto.');
-                        }
-                        break;
-                }
-                break;
-
-            case STAGES.SUPORTE_TRIAGEM:
-                const produtoDetectado = findProductInCatalog(texto);
-                const nomeProduto = produtoDetectado ? produtoDetectado.n : "Equipamento não especificado";
-                await chat.sendStateTyping();
-                await delay(1500);
-                const linkWppSuporte = `https://wa.me/${userPhone.split('@')[0]}`;
-                await client.sendMessage(userPhone, `✅ *Recebido, ${userState.nome}.*\n\n📝 Sua solicitação foi registrada.\n\n👨‍🔧 Nossa equipe técnica analisará e retornará o contato neste mesmo chat em breve.\n\n_Enquanto um de nossos especialistas analisa sua solicitação, nosso atendimento automático será pausado. Para retornar ao menu principal a qualquer momento, basta digitar *#menu*._`);
-                await saveTicket(userPhone, userState.nome, nomeProduto, texto); // Salva o chamado no DB
-                await client.sendMessage(SPECIALIST_NUMBER, `🛠️ *NOVO CHAMADO TÉCNICO* 🛠️\n\n👤 *Cliente:* ${userState.nome}\n❄️ *Possível Produto:* ${nomeProduto}\n📝 *Relato:* "${texto}"\n📱 *Link:* ${linkWppSuporte}`);
-                await setUserState(userPhone, 'MODO_SILENCIOSO', userState.nome); // Pausa o bot para este usuário
-                break;
-
-            case STAGES.AGUARDANDO_HUMANO:
-                // Neste estado, qualquer mensagem do usuário é encaminhada para o especialista.
-                // O bot não responde, apenas repassa, até que o usuário use um comando global (sair, etc).
-                const linkWppHumano = `https://wa.me/${userPhone.split('@')[0]}`;
-                let msgEspecialista = `💬 *Nova mensagem do cliente* (${userState.nome}):\n\n`;
-                if (msg.hasMedia) {
-                    msgEspecialista += "📷 _O cliente enviou uma mídia (foto/vídeo/arquivo)._";
-                } else {
-                    msgEspecialista += `_"${texto}"_`;
-                }
-                msgEspecialista += `\n\n🔗 *Responder:* ${linkWppHumano}`;
-                await client.sendMessage(SPECIALIST_NUMBER, msgEspecialista);
-                // Não mudamos o estado para MODO_SILENCIOSO para que o usuário possa continuar enviando mensagens.
-                break;
-
-            case STAGES.AVALIACAO:
-                await saveRating(userPhone, userState.nome, texto); // Salva a avaliação no DB
-                let respostaFinal = (normalizedInput.includes('5') || normalizedInput.includes('excelente'))
-                    ? '🤩 Uau! Ficamos muito felizes em saber. Obrigado pela preferência!'
-                    : '🤝 Obrigado pelo seu feedback! O Grupo Frioger agradece o contato.';
-                await client.sendMessage(userPhone, respostaFinal + '\n\n_Atendimento Encerrado._');
-                await deleteUserState(userPhone);
-                break;
+// --- VERIFICAÇÕES PERIÓDICAS (INATIVIDADE, SLA, RETORNOS, LEMBRETES, AVALIAÇÕES E RETENÇÃO) ---
+// Só começam com o cliente pronto, pois enviam lembretes, alertas e o resumo da abertura.
+let backgroundTimer = null;
+let retentionTimer = null;
+const purgeExpiredData = () => {
+    engine.purgeExpiredData().catch(backgroundError('retencao', '❌ Erro na retenção de dados (LGPD):'));
+};
+const startBackgroundChecks = () => {
+    if (backgroundTimer) return; // O evento 'ready' pode se repetir após reconexões
+    purgeExpiredData();
+    retentionTimer = setInterval(purgeExpiredData, RETENTION_CHECK_INTERVAL);
+    backgroundTimer = setInterval(() => {
+        // Sem conexão, os envios falhariam; as verificações voltam sozinhas após a reconexão.
+        if (!connection.isConnected()) return;
+        engine.checkInactiveSessions().catch(backgroundError('inatividade', '❌ Erro na verificação de inatividade:'));
+        engine.deliverPendingCallbacks().catch(backgroundError('retornos', '❌ Erro ao entregar retornos pendentes:'));
+        engine.sendBookingReminders().catch(backgroundError('lembretes', '❌ Erro ao enviar lembretes de agendamento:'));
+        engine.sendRatingsDigest().catch(backgroundError('avaliacoes', '❌ Erro ao enviar o resumo das avaliações:'));
+    }, BACKGROUND_CHECK_INTERVAL);
+};
 
-            case 'MODO_SILENCIOSO':
-                // O bot não responde nada, para não interferir em uma conversa humana.
-                // Apenas verifica se o usuário quer reativar o menu.
-                if (['#menu', '#iniciar', '#voltar', 'menu principal'].includes(normalizedInput)) {
-                    console.log(`♻️  Reativando bot para ${userPhone} a pedido do usuário.`);
-                    await sendMainMenu(userPhone, userState.nome);
-                }
-                break;
 
-            default:
-                console.log(`Estado desconhecido: ${userState.stage}. Reiniciando para ${userPhone}`);
-                await sendMainMenu(userPhone, userState.nome || 'visitante');
-                break;
+// --- LÓGICA PRINCIPAL DE MENSAGENS ---
+client.on('message', msg => engine.handleMessage(msg));
+
+
+// --- SERVIDOR HTTP: SAÚDE, MÉTRICAS, QR CODE E PAINEL ---
+// /health e /metrics estão sempre disponíveis. O painel (e o /qr) só com ADMIN_PASSWORD
+// definida, para nunca expor os dados ou a conta do WhatsApp sem login.
+const ADMIN_PORT = process.env.PORT || 3000;
+const adminAuth = process.env.ADMIN_PASSWORD ? { user: process.env.ADMIN_USER || 'admin', password: process.env.ADMIN_PASSWORD } : null;
+const statusServer = createStatusServer({ connection, metrics, auth: adminAuth });
+if (adminAuth) {
+    statusServer.use(createAdminPanel({
+        ...adminAuth,
+        services: {
+            listTickets: store.listTickets,
+            getTicketById: store.getTicketById,
+            listAttachmentsByTickets: store.listAttachmentsByTickets,
+            getAttachmentById: store.getAttachmentById,
+            listTicketEventsByTickets: store.listTicketEventsByTickets,
+            changeTicketStatus: engine.changeTicketStatus,
+            listRatingsByPhone: store.listRatingsByPhone,
+            listRatings: store.listRatings,
+            getCustomer: store.getCustomer,
+            getLatestConsent: store.getLatestConsent,
+            listSessions: store.listSessions,
+            getUserState: store.getUserState,
+            deleteUserState: engine.resetSession // Também apaga os arquivos de uma triagem em andamento
         }
-
-    } catch (err) {
-        console.error('❌ Erro fatal no processamento da mensagem:', err);
-    }
+    }));
+} else {
+    console.warn('⚠️ AVISO: ADMIN_PASSWORD não definida. O painel administrativo e o /qr não serão iniciados.');
+}
+const httpServer = statusServer.listen(ADMIN_PORT, () => {
+    console.log(`🖥️  Saúde (/health) e métricas (/metrics) na porta ${ADMIN_PORT}${adminAuth ? ', com o painel administrativo e o QR Code (/qr)' : ''}.`);
 });
 
 
 // --- INICIALIZAÇÃO E TRATAMENTO DE ERROS ---
-client.initialize().catch(err => {
+connection.start().catch(err => {
     if (err.message && err.message.includes('browser is already running')) {
         console.error('❌ ERRO CRÍTICO: O navegador (Chrome) ficou travado.');
         console.error('👉 SOLUÇÃO: Use o Gerenciador de Tarefas para fechar todos os processos "chrome.exe".');
     } else {
-        console.error('❌ Erro fatal na inicialização:', err);
+        console.error('❌ Erro na inicialização (uma nova tentativa já foi agendada):', err);
     }
 });
 
@@ -473,29 +269,34 @@ process.on('unhandledRejection', (reason, promise) => {
 
 const gracefulShutdown = async (signal) => {
     console.log(`\n🔴 Recebido sinal de encerramento (${signal}). Finalizando graciosamente...`);
+    connection.stop(); // Evita que a desconexão do destroy() abaixo dispare uma reconexão
+    httpServer.close();
+    if (backgroundTimer) clearInterval(backgroundTimer);
+    if (retentionTimer) clearInterval(retentionTimer);
+    catalog.unwatch();
+    texts.unwatch();
     try {
         await client.destroy();
         console.log('Cliente do WhatsApp desconectado.');
     } catch (e) {
         console.error('Erro ao destruir o cliente:', e);
     } finally {
-        db.close((err) => {
-            if (err) {
-                console.error('Erro ao fechar o banco de dados:', err.message);
-            } else {
-                console.log('Conexão com o banco de dados fechada.');
+        try {
+            await store.close();
+            console.log('Conexão com o banco de dados fechada.');
+        } catch (err) {
+            console.error('Erro ao fechar o banco de dados:', err.message);
+        }
+        // Remove o lock file apenas se este processo for o dono
+        try {
+            const pidInLock = fs.readFileSync(lockFilePath, 'utf-8');
+            if (pidInLock === process.pid.toString()) {
+                fs.unlinkSync(lockFilePath);
+                console.log('Arquivo de lock removido.');
             }
-            // Remove o lock file apenas se este processo for o dono
-            try {
-                const pidInLock = fs.readFileSync(lockFilePath, 'utf-8');
-                if (pidInLock === process.pid.toString()) {
-                    fs.unlinkSync(lockFilePath);
-                    console.log('Arquivo de lock removido.');
-                }
-            } catch (e) { /* Ignora erros (arquivo pode não existir, etc.) */ }
-            console.log('Processo encerrado.');
-            process.exit(0);
-        });
+        } catch (e) { /* Ignora erros (arquivo pode não existir, etc.) */ }
+        console.log('Processo encerrado.');
+        process.exit(0);
     }
 };
 
@@ -0,0 +1,190 @@
+const express = require('express');
+const path = require('path');
+const crypto = require('crypto');
+const { formatSize } = require('./attachments');
+const { getTicketDiagnosis, formatProtocol } = require('./database');
+const { localDay, summarizeRatings, groupRatings, ratingsToCsv } = require('./ratings');
+
+// --- PAINEL ADMINISTRATIVO (EXPRESS + EJS) ---
+// O painel não acessa o SQLite nem o cliente do WhatsApp diretamente: recebe do index.js
+// as funções de consulta e de ação, para reaproveitar as mesmas regras usadas pelo bot.
+
+const STATUS_OPTIONS = ['aberto', 'em andamento', 'resolvido'];
+
+// Comparação em tempo constante para não vazar informação sobre a senha.
+const safeEqual = (a = '', b = '') => {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const basicAuth = (user, password) => (req, res, next) => {
+    const [scheme, encoded] = (req.get('authorization') || '').split(' ');
+    if (scheme === 'Basic' && encoded) {
+        const [reqUser, ...rest] = Buffer.from(encoded, 'base64').toString('utf-8').split(':');
+        if (safeEqual(reqUser, user) && safeEqual(rest.join(':'), password)) return next();
+    }
+    res.set('WWW-Authenticate', 'Basic realm="Painel Grupo Frioger", charset="UTF-8"');
+    res.status(401).send('Autenticação necessária.');
+};
+
+// O navegador reenvia o login Basic em qualquer formulário, inclusive um enviado por outro site
+// (CSRF). Ações (POST) só são aceitas quando Origin ou Referer apontam para o próprio painel.
+const sameOrigin = (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD') return next();
+    const origem = req.get('origin') || req.get('referer');
+    try {
+        if (origem && new URL(origem).host === req.get('host')) return next();
+    } catch (e) {
+        // Cabeçalho malformado (ex: Origin "null"): recusado abaixo
+    }
+    res.status(403).send('Requisição de outra origem recusada.');
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const RATINGS_DEFAULT_DAYS = 30;
+
+// Período (dias no fuso de São Paulo, "AAAA-MM-DD") e departamento dos relatórios de avaliação.
+const parseDay = (text) => (/^\d{4}-\d{2}-\d{2}$/.test(text || '') ? text : '');
+const ratingFilters = (query, now = Date.now()) => ({
+    de: parseDay(query.de) || localDay(now - (RATINGS_DEFAULT_DAYS - 1) * DAY),
+    ate: parseDay(query.ate) || localDay(now),
+    departamento: (query.departamento || '').trim()
+});
+
+const formatDate = (timestamp) => {
+    if (!timestamp) return '-';
+    return new Date(timestamp).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+};
+
+/**
+ * Cria o app Express do painel.
+ * @param {object} options
+ * @param {string} options.user Usuário do login (HTTP Basic).
+ * @param {string} options.password Senha do login (HTTP Basic).
+ * @param {object} options.services Funções de consulta/ação fornecidas pelo index.js.
+ */
+const createAdminPanel = ({ user, password, services }) => {
+    const app = express();
+    app.set('view engine', 'ejs');
+    app.set('views', path.join(__dirname, '..', 'views'));
+    app.locals.formatDate = formatDate;
+    app.locals.STATUS_OPTIONS = STATUS_OPTIONS;
+    app.locals.formatSize = formatSize;
+    app.locals.getTicketDiagnosis = getTicketDiagnosis;
+    app.locals.formatProtocol = formatProtocol;
+
+    app.use(basicAuth(user, password));
+    app.use(sameOrigin);
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/', (req, res) => res.redirect('/chamados'));
+
+    app.get('/chamados', async (req, res, next) => {
+        try {
+            const filters = {
+                status: STATUS_OPTIONS.includes(req.query.status) ? req.query.status : '',
+                q: (req.query.q || '').trim()
+            };
+            const tickets = await services.listTickets(filters);
+            const ids = tickets.map(ticket => ticket.id);
+            const [attachments, events] = await Promise.all([services.listAttachmentsByTickets(ids), services.listTicketEventsByTickets(ids)]);
+            res.render('admin/tickets', { tickets, attachments, events, filters });
+        } catch (e) { next(e); }
+    });
+
+    app.post('/chamados/:id/status', async (req, res, next) => {
+        try {
+            const ticket = await services.getTicketById(parseInt(req.params.id, 10));
+            if (!ticket) return res.status(404).send('Chamado não encontrado.');
+            if (!STATUS_OPTIONS.includes(req.body.status)) return res.status(400).send('Status inválido.');
+            await services.changeTicketStatus(ticket, req.body.status); // O cliente é avisado pelo próprio motor
+            res.redirect(req.get('referer') || '/chamados');
+        } catch (e) { next(e); }
+    });
+
+    // Busca com folga de um dia em cada ponta e filtra pelo dia local, para respeitar o fuso.
+    const loadRatings = async (filters) => {
+        const ratings = await services.listRatings({ since: Date.parse(filters.de) - DAY, until: Date.parse(filters.ate) + 2 * DAY });
+        return ratings.filter(rating => {
+            const dia = localDay(rating.timestamp);
+            return dia >= filters.de && dia <= filters.ate && (!filters.departamento || rating.departamento === filters.departamento);
+        });
+    };
+
+    app.get('/avaliacoes', async (req, res, next) => {
+        try {
+            const filters = ratingFilters(req.query);
+            const ratings = await loadRatings(filters);
+            const porDia = ratings.map(rating => ({ ...rating, dia: localDay(rating.timestamp) }));
+            res.render('admin/ratings', {
+                filters,
+                ratings: [...ratings].reverse(),
+                summary: summarizeRatings(ratings),
+                byDay: groupRatings(porDia, 'dia').sort((a, b) => a.chave.localeCompare(b.chave)),
+                byDepartment: groupRatings(ratings, 'departamento'),
+                byAgent: groupRatings(ratings, 'agente')
+            });
+        } catch (e) { next(e); }
+    });
+
+    app.get('/avaliacoes.csv', async (req, res, next) => {
+        try {
+            const filters = ratingFilters(req.query);
+            res.type('text/csv; charset=utf-8');
+            res.attachment(`avaliacoes-${filters.de}-a-${filters.ate}.csv`);
+            res.send(ratingsToCsv(await loadRatings(filters)));
+        } catch (e) { next(e); }
+    });
+
+    app.get('/clientes/:phone', async (req, res, next) => {
+        try {
+            const phone = req.params.phone;
+            const [tickets, ratings, session, customer, consent] = await Promise.all([
+                services.listTickets({ phone }),
+                services.listRatingsByPhone(phone),
+                services.getUserState(phone),
+                services.getCustomer(phone),
+                services.getLatestConsent(phone)
+            ]);
+            const ids = tickets.map(ticket => ticket.id);
+            const [attachments, events] = await Promise.all([services.listAttachmentsByTickets(ids), services.listTicketEventsByTickets(ids)]);
+            res.render('admin/customer', { phone, tickets, attachments, events, ratings, session, customer, consent });
+        } catch (e) { next(e); }
+    });
+
+    // Download dos arquivos enviados pelos clientes (com o nome original).
+    app.get('/anexos/:id', async (req, res, next) => {
+        try {
+            const anexo = await services.getAttachmentById(parseInt(req.params.id, 10));
+            if (!anexo) return res.status(404).send('Anexo não encontrado.');
+            res.download(anexo.arquivo, anexo.nome, (err) => {
+                if (err && !res.headersSent) res.status(404).send('Arquivo do anexo não encontrado no disco.');
+            });
+        } catch (e) { next(e); }
+    });
+
+    app.get('/sessoes', async (req, res, next) => {
+        try {
+            const sessions = await services.listSessions();
+            res.render('admin/sessions', { sessions });
+        } catch (e) { next(e); }
+    });
+
+    app.post('/sessoes/:phone/reset', async (req, res, next) => {
+        try {
+            await services.deleteUserState(req.params.phone);
+            console.log(`♻️  Sessão de ${req.params.phone} reiniciada pelo painel.`);
+            res.redirect(req.get('referer') || '/sessoes');
+        } catch (e) { next(e); }
+    });
+
+    app.use((err, req, res, next) => {
+        console.error('❌ Erro no painel administrativo:', err);
+        res.status(500).send('Erro interno no painel.');
+    });
+
+    return app;
+};
+
+module.exports = { createAdminPanel, basicAuth };
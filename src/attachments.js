@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- ANEXOS DOS CLIENTES ---
+// Fotos de etiqueta, vídeos e documentos enviados pelos clientes ficam em disco, uma pasta
+// por chamado (anexos/<chamado>/). O registro de cada arquivo fica na tabela "anexos".
+// Os arquivos da triagem, antes de o chamado existir, ficam em uma pasta por telefone
+// (anexos/triagem/<telefone>/), para que a exclusão dos dados (LGPD) os encontre.
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'anexos');
+const DEFAULT_MAX_BYTES = 16 * 1024 * 1024; // Mesmo limite de vídeos do WhatsApp
+// Prefixos de mimetype aceitos (ex: 'image/' aceita qualquer imagem).
+const DEFAULT_ALLOWED_TYPES = [
+    'image/', 'video/', 'audio/', 'application/pdf', 'text/plain',
+    'application/msword', 'application/vnd.openxmlformats-officedocument.', 'application/vnd.ms-excel'
+];
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp', 'image/gif': '.gif',
+    'video/mp4': '.mp4', 'video/3gpp': '.3gp', 'audio/ogg': '.ogg', 'audio/mpeg': '.mp3', 'audio/mp4': '.m4a',
+    'application/pdf': '.pdf', 'text/plain': '.txt'
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+// Nome seguro para o disco: sem acentos, espaços ou caminhos.
+const safeFileName = (name = '') => name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w.-]+/g, '_').replace(/^[._]+/, '').slice(-80);
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dir] Pasta raiz dos anexos.
+ * @param {number} [options.maxBytes] Tamanho máximo de cada arquivo.
+ * @param {string[]} [options.allowedTypes] Prefixos de mimetype aceitos.
+ */
+const createAttachmentStorage = ({ dir = DEFAULT_DIR, maxBytes = DEFAULT_MAX_BYTES, allowedTypes = DEFAULT_ALLOWED_TYPES } = {}) => {
+    const mimetypeOf = (media) => (media.mimetype || '').split(';')[0].trim().toLowerCase();
+    const sizeOf = (media) => Buffer.byteLength(media.data || '', 'base64');
+
+    /**
+     * Motivo da recusa ({ code: 'tipo' } ou { code: 'tamanho', size, max }, já formatados), ou null se o arquivo
+     * pode ser guardado. A mensagem ao cliente vem dos arquivos de idioma (media.typeNotAllowed, media.tooLarge).
+     */
+    const check = (media) => {
+        if (!allowedTypes.some(type => mimetypeOf(media).startsWith(type))) return { code: 'tipo' };
+        if (sizeOf(media) > maxBytes) return { code: 'tamanho', size: formatSize(sizeOf(media)), max: formatSize(maxBytes) };
+        return null;
+    };
+
+    /**
+     * Grava a mídia (formato do whatsapp-web.js: { mimetype, data em base64, filename }).
+     * @returns {Promise<{path: string, fileName: string, mimetype: string, size: number}>}
+     */
+    const save = async (media, ticketId) => {
+        const mimetype = mimetypeOf(media);
+        const original = safeFileName(media.filename || '');
+        const extension = path.extname(original) || EXTENSIONS[mimetype] || '';
+        const fileName = original || `anexo${extension}`;
+        const ticketDir = path.join(dir, String(ticketId));
+        await fs.promises.mkdir(ticketDir, { recursive: true });
+        const filePath = path.join(ticketDir, `${Date.now()}-${fileName}`);
+        const buffer = Buffer.from(media.data || '', 'base64');
+        await fs.promises.writeFile(filePath, buffer);
+        return { path: filePath, fileName, mimetype, size: buffer.length };
+    };
+
+    const stagingDir = (userPhone) => path.join(dir, 'triagem', safeFileName(userPhone));
+
+    /** Grava um arquivo da triagem, que ainda não tem chamado, na pasta do telefone. */
+    const stage = (media, userPhone) => save(media, path.join('triagem', safeFileName(userPhone)));
+
+    /** Apaga todos os arquivos da triagem guardados para o telefone. */
+    const removeStaged = (userPhone) => fs.promises.rm(stagingDir(userPhone), { recursive: true, force: true });
+
+    /** Apaga um arquivo gravado por save() (ex: anexos de uma triagem que não virou chamado). */
+    const remove = (file) => fs.promises.rm(file.path, { force: true });
+
+    return { check, save, stage, remove, removeStaged };
+};
+
+module.exports = { createAttachmentStorage, formatSize };
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { createTranslator } = require('./i18n');
+const { createMenu } = require('./menu');
+
+// --- TEXTOS E MENU CONFIGURÁVEIS ---
+// Junta os idiomas (locales/*.json) e o menu (menu.json), validados juntos. Uma configuração
+// inválida impede a partida do bot; depois dela, as alterações nos arquivos são recarregadas
+// sem reiniciar a sessão do WhatsApp e, se tiverem erro, a versão anterior continua em uso.
+
+const DEFAULT_LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_MENU_PATH = path.join(__dirname, '..', 'menu.json');
+
+const readJson = (filePath) => {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (e) {
+        throw new Error(`${path.basename(filePath)}: ${e.message}`);
+    }
+};
+
+const localeFiles = (localesDir) => fs.readdirSync(localesDir).filter(file => file.endsWith('.json')).map(file => path.join(localesDir, file));
+
+const loadTexts = ({ localesDir, menuPath, defaultLocale, logger }) => {
+    const locales = Object.fromEntries(localeFiles(localesDir).map(file => [path.basename(file, '.json'), readJson(file)]));
+    const i18n = createTranslator(locales, { defaultLocale });
+    const menu = createMenu(readJson(menuPath), { locales: i18n.codes, defaultLocale });
+    i18n.warnings.forEach(warning => logger.warn(`⚠️ AVISO: ${warning}`));
+    return { i18n, menu };
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.localesDir] Pasta com um <código>.json por idioma (padrão: locales/).
+ * @param {string} [options.menuPath] Caminho do menu.json.
+ * @param {string} [options.defaultLocale='pt-BR'] Idioma dos clientes que não escolheram outro.
+ * @param {{log: Function, warn: Function, error: Function}} [options.logger] Saída dos avisos (padrão: console).
+ * @returns {{i18n: object, menu: object, reload: () => boolean, watch: (onChange?: Function) => void, unwatch: () => void}}
+ */
+const createBotTexts = ({ localesDir = DEFAULT_LOCALES_DIR, menuPath = DEFAULT_MENU_PATH, defaultLocale = 'pt-BR', logger = console } = {}) => {
+    let current = loadTexts({ localesDir, menuPath, defaultLocale, logger });
+    let watched = [];
+
+    const reload = () => {
+        try {
+            current = loadTexts({ localesDir, menuPath, defaultLocale, logger });
+            return true;
+        } catch (e) {
+            logger.error('❌ Erro nos idiomas ou no menu. A versão anterior continua em uso:', e.message);
+            return false;
+        }
+    };
+
+    const unwatch = () => {
+        watched.forEach(file => fs.unwatchFile(file));
+        watched = [];
+    };
+
+    // A pasta também é vigiada, para que um idioma novo entre sem reiniciar.
+    const watch = (onChange = () => {}) => {
+        unwatch();
+        watched = [menuPath, localesDir, ...localeFiles(localesDir)];
+        watched.forEach(file => {
+            fs.watchFile(file, { interval: 5000 }, (curr, prev) => {
+                if (curr.mtimeMs === prev.mtimeMs) return;
+                if (!reload()) return;
+                logger.log(`🔄 ${path.basename(file)} atualizado. Idiomas e menu recarregados.`);
+                if (file === localesDir) watch(onChange);
+                onChange(current);
+            });
+        });
+    };
+
+    return {
+        get i18n() { return current.i18n; },
+        get menu() { return current.menu; },
+        reload,
+        watch,
+        unwatch
+    };
+};
+
+module.exports = { createBotTexts };
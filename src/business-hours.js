@@ -0,0 +1,95 @@
+// --- HORÁRIO DE ATENDIMENTO ---
+// Grade semanal e feriados do time humano, sempre no fuso de São Paulo (ou o informado).
+// Fora do horário o bot continua atendendo; só o repasse ao especialista fica para depois.
+
+const WEEKDAYS = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+const WEEKDAY_LABELS = ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const parseTime = (text) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) throw new Error(`Horário inválido: "${text}" (use HH:MM)`);
+    return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const parseInterval = (text) => {
+    const [start, end] = String(text).split('-');
+    const interval = { start: parseTime(start), end: parseTime(end || '') };
+    if (interval.end <= interval.start) throw new Error(`Intervalo inválido: "${text}"`);
+    return interval;
+};
+
+const describeInPortuguese = (opening) => {
+    if (!opening) return 'em breve';
+    if (opening.daysAhead === 0) return `hoje às ${opening.time}`;
+    if (opening.daysAhead === 1) return `amanhã às ${opening.time}`;
+    return `${WEEKDAY_LABELS[opening.weekday]} (${opening.day}/${opening.month}) às ${opening.time}`;
+};
+
+const formatMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * @param {object} config
+ * @param {Object<string, string[]>} config.schedule Intervalos por dia (ex: { segunda: ['08:00-12:00', '13:00-18:00'] }).
+ *   Dias ausentes ficam fechados.
+ * @param {string[]} [config.holidays] Feriados: "AAAA-MM-DD" (data única) ou "MM-DD" (todo ano).
+ * @param {string} [config.timeZone='America/Sao_Paulo']
+ */
+const createBusinessHours = ({ schedule = {}, holidays = [], timeZone = 'America/Sao_Paulo' } = {}) => {
+    Object.keys(schedule).forEach(day => {
+        if (!WEEKDAYS.includes(day)) throw new Error(`Dia da semana inválido: "${day}" (use ${WEEKDAYS.join(', ')})`);
+    });
+    const intervals = WEEKDAYS.map(day => (schedule[day] || []).map(parseInterval).sort((a, b) => a.start - b.start));
+    const holidaySet = new Set(holidays);
+
+    const formatter = new Intl.DateTimeFormat('en-CA', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    });
+
+    // Data e hora "de parede" no fuso configurado.
+    const localParts = (date) => {
+        const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+        const day = new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)));
+        return { day, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+    };
+
+    const isoDate = (day) => day.toISOString().slice(0, 10);
+    const isHoliday = (day) => holidaySet.has(isoDate(day)) || holidaySet.has(isoDate(day).slice(5));
+    const intervalsOf = (day) => (isHoliday(day) ? [] : intervals[day.getUTCDay()]);
+
+    const isOpen = (date = new Date()) => {
+        const { day, minutes } = localParts(date);
+        return intervalsOf(day).some(({ start, end }) => minutes >= start && minutes < end);
+    };
+
+    /** Próxima abertura (ou o momento atual, se já estiver aberto). Procura até 30 dias à frente. */
+    const nextOpening = (date = new Date()) => {
+        const { day: today, minutes: now } = localParts(date);
+        for (let daysAhead = 0; daysAhead <= 30; daysAhead++) {
+            const day = new Date(today.getTime() + daysAhead * DAY);
+            const interval = intervalsOf(day).find(({ end }) => daysAhead > 0 || now < end);
+            if (interval) {
+                const start = daysAhead === 0 ? Math.max(interval.start, now) : interval.start;
+                return { date: isoDate(day), weekday: day.getUTCDay(), time: formatMinutes(start), daysAhead };
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Texto para o cliente: "hoje às 13:00", "amanhã às 08:00" ou "segunda-feira (20/10) às 08:00".
+     * @param {Date} [date]
+     * @param {(opening: {date: string, weekday: number, time: string, daysAhead: number, day: string, month: string}|null) => string} [format]
+     *   Monta o texto em outro idioma (o motor usa os textos de locales/).
+     */
+    const describeNextOpening = (date = new Date(), format = describeInPortuguese) => {
+        const opening = nextOpening(date);
+        if (!opening) return format(null);
+        const [, month, day] = opening.date.split('-');
+        return format({ ...opening, day, month });
+    };
+
+    return { isOpen, nextOpening, describeNextOpening };
+};
+
+module.exports = { createBusinessHours, parseInterval, WEEKDAYS, WEEKDAY_LABELS };
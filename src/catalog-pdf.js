@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ejs = require('ejs');
+const puppeteer = require('puppeteer');
+
+// --- GERAÇÃO DO CATÁLOGO EM PDF ---
+// O catalog.json é renderizado com os templates EJS de views/catalog (um por tipo de página)
+// e impresso em PDF pelo Chrome do Puppeteer. Os arquivos ficam em cache/catalog com o hash
+// do conteúdo no nome: enquanto o catálogo e os templates não mudam, o PDF é reaproveitado.
+
+const ROOT_DIR = path.join(__dirname, '..');
+const TEMPLATES_DIR = path.join(ROOT_DIR, 'views', 'catalog');
+const CACHE_DIR = path.join(ROOT_DIR, 'cache', 'catalog');
+const PAGE_TYPES = ['cover', 'intro', 'grid', 'tech', 'parts_sales', 'contact'];
+
+// Gerações em andamento, para que dois clientes pedindo o mesmo PDF não abram dois Chromes.
+const inFlight = new Map();
+
+const slugify = (text = '') => text
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const readTemplates = () => {
+    const files = [path.join(TEMPLATES_DIR, 'catalog.ejs'), ...PAGE_TYPES.map(type => path.join(TEMPLATES_DIR, 'pages', `${type}.ejs`))];
+    return files.map(file => (fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '')).join('\n');
+};
+
+const hashContent = (pages) => crypto.createHash('sha1')
+    .update(JSON.stringify(pages))
+    .update(readTemplates())
+    .digest('hex')
+    .slice(0, 12);
+
+// Imagens do catálogo (ex: bottomImage) são embutidas como data URI; se o arquivo não existir, são omitidas.
+const assetDataUri = (relativePath) => {
+    if (!relativePath) return null;
+    const filePath = path.join(ROOT_DIR, relativePath);
+    if (!fs.existsSync(filePath)) return null;
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    const mime = ext === 'jpg' ? 'image/jpeg' : `image/${ext}`;
+    return `data:${mime};base64,${fs.readFileSync(filePath).toString('base64')}`;
+};
+
+const renderCatalogHtml = (pages, { section } = {}) => {
+    return ejs.renderFile(path.join(TEMPLATES_DIR, 'catalog.ejs'), {
+        pages: pages.filter(page => PAGE_TYPES.includes(page.type)),
+        section,
+        year: new Date().getFullYear(),
+        assetDataUri
+    });
+};
+
+const printPdf = async (html, outputPath) => {
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox'],
+        executablePath: process.env.CHROME_PATH || undefined
+    });
+    try {
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'load' });
+        // Grava em um arquivo temporário para nunca enviar um PDF pela metade.
+        const tmpPath = `${outputPath}.tmp`;
+        await page.pdf({ path: tmpPath, format: 'A4', printBackground: true });
+        fs.renameSync(tmpPath, outputPath);
+    } finally {
+        await browser.close();
+    }
+};
+
+const getCachedPdf = (key, pages, { section, fileName }) => {
+    const outputPath = path.join(CACHE_DIR, `${key}-${hashContent(pages)}.pdf`);
+    const result = { path: outputPath, fileName };
+    if (fs.existsSync(outputPath)) return Promise.resolve(result);
+    if (inFlight.has(outputPath)) return inFlight.get(outputPath);
+
+    const job = (async () => {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        console.log(`🖨️  Gerando PDF do catálogo (${key})...`);
+        const html = await renderCatalogHtml(pages, { section });
+        await printPdf(html, outputPath);
+        // Remove versões antigas do mesmo PDF.
+        fs.readdirSync(CACHE_DIR)
+            .filter(file => file.startsWith(`${key}-`) && path.join(CACHE_DIR, file) !== outputPath)
+            .forEach(file => fs.unlinkSync(path.join(CACHE_DIR, file)));
+        console.log(`✅ PDF do catálogo (${key}) gerado: ${path.basename(outputPath)}`);
+        return result;
+    })().finally(() => inFlight.delete(outputPath));
+
+    inFlight.set(outputPath, job);
+    return job;
+};
+
+/**
+ * Retorna o PDF do catálogo completo, gerando-o se o cache estiver desatualizado.
+ * @returns {Promise<{path: string, fileName: string}>}
+ */
+const getFullCatalogPdf = (pages) => {
+    return getCachedPdf('completo', pages, { fileName: 'Catálogo Oficial Grupo Frioger - Completo.pdf' });
+};
+
+/**
+ * Retorna o PDF de uma seção: uma categoria inteira (`category`, o `title` das páginas grid)
+ * ou uma única página grid (`pageIndex`, ex: REFRIGERAÇÃO / FREEZERS).
+ * @returns {Promise<{path: string, fileName: string}|null>} null se a seção não existir.
+ */
+const getSectionPdf = (pages, { category, pageIndex } = {}) => {
+    const single = pageIndex !== undefined ? pages[pageIndex] : null;
+    const gridPages = single
+        ? [single].filter(page => page.type === 'grid')
+        : pages.filter(page => page.type === 'grid' && page.title === category);
+    if (gridPages.length === 0) return Promise.resolve(null);
+
+    const section = single ? `${single.title} / ${single.sub}` : category;
+    const sectionPages = [{ type: 'cover' }, ...gridPages, ...pages.filter(page => page.type === 'contact')];
+    return getCachedPdf(`secao-${slugify(section)}`, sectionPages, {
+        section,
+        fileName: `Catálogo Grupo Frioger - ${single ? single.sub : category}.pdf`
+    });
+};
+
+module.exports = { getFullCatalogPdf, getSectionPdf, renderCatalogHtml };
@@ -0,0 +1,44 @@
+const fs = require('fs');
+
+// --- CATÁLOGO DE PRODUTOS ---
+// Carrega o catalog.json e o recarrega quando o arquivo muda. Em caso de erro
+// (ex: JSON salvo pela metade), o catálogo anterior continua em uso.
+
+/**
+ * @param {string} filePath Caminho do catalog.json.
+ * @returns {{pages: Array, reload: () => boolean, watch: (onChange: Function) => void, unwatch: () => void}}
+ */
+const createCatalog = (filePath) => {
+    let pages = [];
+
+    const reload = () => {
+        try {
+            if (fs.existsSync(filePath)) {
+                pages = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+                return true;
+            }
+            console.warn('⚠️ AVISO: Arquivo catalog.json não encontrado. A busca de produtos não funcionará.');
+        } catch (e) { console.error('❌ Erro ao ler catalog.json:', e.message); }
+        return false;
+    };
+    reload();
+
+    return {
+        get pages() { return pages; },
+        reload,
+        watch(onChange) {
+            fs.watchFile(filePath, { interval: 5000 }, (curr, prev) => {
+                if (curr.mtimeMs === prev.mtimeMs) return;
+                if (reload()) {
+                    console.log('🔄 catalog.json atualizado. Catálogo recarregado.');
+                    onChange(pages);
+                }
+            });
+        },
+        unwatch() {
+            fs.unwatchFile(filePath);
+        }
+    };
+};
+
+module.exports = { createCatalog };
@@ -0,0 +1,149 @@
+// --- CICLO DE VIDA DA CONEXÃO COM O WHATSAPP ---
+// Acompanha os eventos do cliente do whatsapp-web.js e reconecta sozinho quando a sessão cai,
+// com espera crescente entre as tentativas. Quando o WhatsApp pede um novo QR (sessão
+// desconectada pelo celular ou falha de autenticação), avisa uma única vez por queda.
+
+const CONNECTION_STATES = {
+    INICIANDO: 'iniciando',
+    AGUARDANDO_QR: 'aguardando_qr',
+    AUTENTICADO: 'autenticado',
+    CONECTADO: 'conectado',
+    DESCONECTADO: 'desconectado',
+    RECONECTANDO: 'reconectando',
+    FALHA_AUTENTICACAO: 'falha_autenticacao'
+};
+
+// Estados do WhatsApp Web (evento change_state) que só se resolvem lendo um novo QR.
+const UNPAIRED_STATES = ['UNPAIRED', 'UNPAIRED_IDLE'];
+
+/**
+ * @param {object} client Cliente do whatsapp-web.js (ou qualquer EventEmitter com initialize/destroy).
+ * @param {object} [options]
+ * @param {number} [options.baseDelayMs=5000] Espera antes da primeira tentativa de reconexão.
+ * @param {number} [options.maxDelayMs=300000] Espera máxima entre tentativas (dobra a cada falha).
+ * @param {(reason: string) => void} [options.onNeedsAuth] Chamado quando é preciso ler um novo QR.
+ * @param {(state: string) => void} [options.onStateChange]
+ * @param {(fn: Function, ms: number) => any} [options.schedule] Agendador (padrão: setTimeout).
+ * @param {() => number} [options.now]
+ * @param {{log: Function, warn: Function, error: Function}} [options.logger] Saída dos avisos (padrão: console).
+ */
+const createConnectionManager = (client, {
+    baseDelayMs = 5000, maxDelayMs = 5 * 60 * 1000, onNeedsAuth = () => {}, onStateChange = () => {},
+    schedule = (fn, ms) => setTimeout(fn, ms), now = Date.now, logger = console
+} = {}) => {
+    let state = CONNECTION_STATES.INICIANDO;
+    let since = now();
+    let waState = null;
+    let lastQr = null;
+    let tentativas = 0;
+    let reconexoes = 0;
+    let timer = null;
+    let stopped = false;
+    let jaConectou = false;
+    let avisouQueda = false;
+
+    const setState = (novo) => {
+        if (novo === state) return;
+        state = novo;
+        since = now();
+        onStateChange(novo);
+    };
+
+    const needsAuth = (reason) => {
+        if (avisouQueda) return;
+        avisouQueda = true;
+        onNeedsAuth(reason);
+    };
+
+    const nextDelay = () => Math.min(baseDelayMs * 2 ** tentativas, maxDelayMs);
+
+    const reconnect = async () => {
+        timer = null;
+        if (stopped) return;
+        tentativas++;
+        reconexoes++;
+        setState(CONNECTION_STATES.RECONECTANDO);
+        logger.log(`🔄 Reconectando ao WhatsApp (tentativa ${tentativas})...`);
+        try {
+            await client.destroy().catch(() => {}); // O navegador anterior pode já ter fechado
+            await client.initialize();
+        } catch (e) {
+            logger.error('❌ Falha ao reconectar ao WhatsApp:', e.message);
+            scheduleReconnect();
+        }
+    };
+
+    const scheduleReconnect = () => {
+        if (stopped || timer) return;
+        const espera = nextDelay();
+        logger.warn(`⏳ Nova tentativa de conexão em ${Math.round(espera / 1000)}s.`);
+        timer = schedule(() => {
+            reconnect().catch(e => logger.error('❌ Erro na reconexão:', e));
+        }, espera);
+    };
+
+    client.on('qr', (qr) => {
+        lastQr = qr;
+        setState(CONNECTION_STATES.AGUARDANDO_QR);
+        // O primeiro QR da instalação é esperado; depois de já ter conectado, é uma sessão perdida.
+        if (jaConectou) needsAuth('O WhatsApp pediu um novo QR Code: a sessão foi desconectada.');
+    });
+
+    client.on('authenticated', () => {
+        lastQr = null;
+        setState(CONNECTION_STATES.AUTENTICADO);
+    });
+
+    client.on('auth_failure', (message) => {
+        logger.error('❌ Falha de autenticação no WhatsApp:', message);
+        setState(CONNECTION_STATES.FALHA_AUTENTICACAO);
+        needsAuth(`Falha de autenticação no WhatsApp (${message || 'sem detalhes'}). Leia o novo QR Code.`);
+        scheduleReconnect();
+    });
+
+    client.on('ready', () => {
+        lastQr = null;
+        tentativas = 0;
+        jaConectou = true;
+        avisouQueda = false;
+        setState(CONNECTION_STATES.CONECTADO);
+    });
+
+    client.on('change_state', (novo) => {
+        waState = novo;
+        logger.log(`📶 Estado do WhatsApp: ${novo}`);
+        if (UNPAIRED_STATES.includes(novo)) needsAuth(`O WhatsApp foi desvinculado (${novo}). Leia o novo QR Code.`);
+    });
+
+    client.on('disconnected', (reason) => {
+        logger.warn(`🔌 WhatsApp desconectado: ${reason}`);
+        setState(CONNECTION_STATES.DESCONECTADO);
+        // LOGOUT apaga a sessão salva: a reconexão vai mostrar um QR e o aviso sai nesse momento.
+        scheduleReconnect();
+    });
+
+    return {
+        /** Primeira conexão: se falhar, entra no ciclo de reconexão (o erro ainda chega a quem chamou). */
+        start: async () => {
+            try {
+                await client.initialize();
+            } catch (e) {
+                logger.error('❌ Falha ao iniciar o WhatsApp:', e.message);
+                setState(CONNECTION_STATES.DESCONECTADO);
+                scheduleReconnect();
+                throw e;
+            }
+        },
+        stop: () => {
+            stopped = true;
+            if (timer) clearTimeout(timer);
+            timer = null;
+        },
+        isConnected: () => state === CONNECTION_STATES.CONECTADO,
+        getQr: () => lastQr,
+        /** Situação atual para o /health e o /metrics. */
+        snapshot: () => ({ state, since, waState, reconnects: reconexoes, attempts: tentativas, hasQr: Boolean(lastQr) })
+    };
+};
+
+module.exports = { createConnectionManager, CONNECTION_STATES };
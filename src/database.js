@@ -0,0 +1,938 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// --- BANCO DE DADOS SQLITE ---
+// Toda a persistência do bot passa por aqui. O caminho do arquivo é recebido de fora para
+// que o simulador e os testes possam usar um banco temporário no lugar do sessions.db.
+
+const getUserContext = (userState) => {
+    if (!userState || !userState.context) return {};
+    try {
+        return JSON.parse(userState.context);
+    } catch (e) {
+        return {};
+    }
+};
+
+// Diagnóstico da triagem guiada salvo no chamado ({ respostas, erros, autoajuda }), ou null.
+const getTicketDiagnosis = (ticket) => {
+    if (!ticket || !ticket.diagnostico) return null;
+    try {
+        return JSON.parse(ticket.diagnostico);
+    } catch (e) {
+        return null;
+    }
+};
+
+// --- PROTOCOLO DOS CHAMADOS ---
+// Número informado ao cliente: data de abertura (fuso de São Paulo) + ID do chamado, ex: 20261019-00042.
+const PROTOCOL_DATE = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Sao_Paulo', year: 'numeric', month: '2-digit', day: '2-digit' });
+
+const formatProtocol = (ticket) => `${PROTOCOL_DATE.format(new Date(ticket.timestamp)).replace(/-/g, '')}-${String(ticket.id).padStart(5, '0')}`;
+
+// ID do chamado a partir do protocolo ("20261019-00042") ou do ID puro ("#42"); null se não reconhecer.
+const parseProtocol = (text = '') => {
+    const match = String(text).trim().match(/^(?:\d{8}-|#)?(\d+)$/);
+    return match ? parseInt(match[1], 10) : null;
+};
+
+// Telefone e nome que substituem os dados do cliente nos registros mantidos para estatística (LGPD).
+const ANONYMIZED_PHONE = 'anonimizado';
+const ANONYMIZED_NAME = 'Anonimizado';
+
+/**
+ * Abre (ou cria) o banco e devolve as funções de acesso aos dados.
+ * @param {string} filePath Caminho do arquivo SQLite.
+ * @returns {object} Funções do banco, além de `ready` (Promise resolvida após criar as tabelas) e `close()`.
+ */
+const createDatabase = (filePath) => {
+    let db;
+
+    // Bancos antigos não têm as colunas novas; o erro de coluna duplicada nos bancos novos é esperado.
+    const addColumn = (table, definition) => {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+                console.error(`Erro ao migrar tabela ${table}`, err.message);
+            }
+        });
+    };
+
+    const ready = new Promise((resolve, reject) => {
+        db = new sqlite3.Database(filePath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
+            if (err) {
+                console.error("Erro ao abrir o banco de dados", err.message);
+                return reject(err);
+            }
+            console.log("Conectado ao banco de dados de sessões.");
+            // serialize garante que as tabelas existam antes de qualquer consulta do bot.
+            db.serialize(() => {
+                db.run(`CREATE TABLE IF NOT EXISTS sessions (
+                    user_phone TEXT PRIMARY KEY,
+                    stage TEXT,
+                    nome TEXT,
+                    last_updated INTEGER,
+                    context TEXT,
+                    nudged_at INTEGER
+                )`, (err) => {
+                    if (err) console.error("Erro ao criar tabela", err.message);
+                });
+                // Contexto da conversa em JSON (ex: lista de produtos sugeridos).
+                addColumn('sessions', 'context TEXT');
+                // Momento do lembrete de inatividade ("ainda está aí?"), zerado a cada nova mensagem.
+                addColumn('sessions', 'nudged_at INTEGER');
+                // Criar tabela para chamados técnicos
+                db.run(`CREATE TABLE IF NOT EXISTS chamados (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT,
+                    user_name TEXT,
+                    produto_detectado TEXT,
+                    relato TEXT,
+                    status TEXT DEFAULT 'aberto',
+                    timestamp INTEGER,
+                    departamento TEXT,
+                    agente TEXT,
+                    diagnostico TEXT
+                )`);
+                // Departamento do pedido e agente responsável pela conversa
+                addColumn('chamados', 'departamento TEXT');
+                addColumn('chamados', 'agente TEXT');
+                // Respostas da triagem técnica guiada (JSON, ver src/triage.js)
+                addColumn('chamados', 'diagnostico TEXT');
+                // Produto não identificado fica NULL; chamados antigos guardavam um texto fixo em português.
+                db.run("UPDATE chamados SET produto_detectado = NULL WHERE produto_detectado IN ('Não informado', 'Equipamento não especificado', 'Orçamento')");
+                // Histórico de cada chamado: abertura e todas as mudanças de status
+                db.run(`CREATE TABLE IF NOT EXISTS chamado_eventos (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    chamado_id INTEGER,
+                    status TEXT,
+                    descricao TEXT,
+                    autor TEXT,
+                    timestamp INTEGER,
+                    codigo TEXT
+                )`);
+                // Tipo do evento (ex: 'assumido'), traduzido no #status do cliente; a descrição fica para a equipe
+                addColumn('chamado_eventos', 'codigo TEXT');
+                // Disponibilidade dos agentes (#online / #offline), preservada entre reinícios
+                db.run(`CREATE TABLE IF NOT EXISTS agentes (
+                    phone TEXT PRIMARY KEY,
+                    online INTEGER DEFAULT 1,
+                    updated_at INTEGER
+                )`);
+                // Criar tabelas para orçamentos (cabeçalho + itens)
+                db.run(`CREATE TABLE IF NOT EXISTS orcamentos (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT,
+                    user_name TEXT,
+                    cep TEXT,
+                    cidade TEXT,
+                    chamado_id INTEGER,
+                    status TEXT DEFAULT 'enviado',
+                    timestamp INTEGER
+                )`);
+                db.run(`CREATE TABLE IF NOT EXISTS orcamento_itens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    orcamento_id INTEGER,
+                    produto TEXT,
+                    categoria TEXT,
+                    quantidade INTEGER
+                )`);
+                // Arquivos enviados pelos clientes (o conteúdo fica em disco, ver src/attachments.js)
+                db.run(`CREATE TABLE IF NOT EXISTS anexos (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    chamado_id INTEGER,
+                    user_phone TEXT,
+                    arquivo TEXT,
+                    nome TEXT,
+                    mimetype TEXT,
+                    tamanho INTEGER,
+                    timestamp INTEGER
+                )`);
+                // Pedidos de contato recebidos fora do horário, entregues ao especialista na abertura
+                db.run(`CREATE TABLE IF NOT EXISTS retornos (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT,
+                    user_name TEXT,
+                    chamado_id INTEGER,
+                    motivo TEXT,
+                    timestamp INTEGER,
+                    entregue_em INTEGER
+                )`);
+                // Visitas de instalação/manutenção. O índice único impede dois agendamentos
+                // confirmados para o mesmo técnico no mesmo horário.
+                db.run(`CREATE TABLE IF NOT EXISTS agendamentos (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT,
+                    user_name TEXT,
+                    servico TEXT,
+                    equipamento TEXT,
+                    endereco TEXT,
+                    cep TEXT,
+                    tecnico TEXT,
+                    inicio INTEGER,
+                    fim INTEGER,
+                    status TEXT DEFAULT 'confirmado',
+                    remarcacoes INTEGER DEFAULT 0,
+                    lembrete_em INTEGER,
+                    timestamp INTEGER
+                )`);
+                db.run(`CREATE UNIQUE INDEX IF NOT EXISTS agendamentos_horario ON agendamentos (tecnico, inicio) WHERE status = 'confirmado'`);
+                // Perfil do cliente, que sobrevive ao fim das sessões: nome, idioma, equipamentos e últimos assuntos (JSON)
+                db.run(`CREATE TABLE IF NOT EXISTS clientes (
+                    user_phone TEXT PRIMARY KEY,
+                    nome TEXT,
+                    equipamentos TEXT,
+                    assuntos TEXT,
+                    primeiro_contato INTEGER,
+                    ultimo_contato INTEGER,
+                    idioma TEXT
+                )`);
+                addColumn('clientes', 'idioma TEXT');
+                // Aceites da política de privacidade (LGPD), um registro por versão aceita
+                db.run(`CREATE TABLE IF NOT EXISTS consentimentos (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT,
+                    versao TEXT,
+                    timestamp INTEGER
+                )`);
+                // Resumos periódicos já enviados (ex: avaliações do dia), para não repetir após reinícios
+                db.run(`CREATE TABLE IF NOT EXISTS relatorios (
+                    tipo TEXT,
+                    periodo TEXT,
+                    enviado_em INTEGER,
+                    PRIMARY KEY (tipo, periodo)
+                )`);
+                // Criar tabela para avaliações
+                db.run(`CREATE TABLE IF NOT EXISTS avaliacoes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT,
+                    user_name TEXT,
+                    nota TEXT,
+                    timestamp INTEGER,
+                    comentario TEXT,
+                    chamado_id INTEGER,
+                    agente TEXT,
+                    departamento TEXT
+                )`, (err) => (err ? reject(err) : resolve()));
+                // Comentário opcional e o chamado, agente e departamento avaliados (bancos antigos só têm a nota)
+                addColumn('avaliacoes', 'comentario TEXT');
+                addColumn('avaliacoes', 'chamado_id INTEGER');
+                addColumn('avaliacoes', 'agente TEXT');
+                addColumn('avaliacoes', 'departamento TEXT');
+            });
+        });
+    });
+
+    const getUserState = (userPhone) => {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT * FROM sessions WHERE user_phone = ?", [userPhone], (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+    };
+
+    const setUserState = (userPhone, stage, nome) => {
+        const now = Date.now();
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO sessions (user_phone, stage, nome, last_updated)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT(user_phone) DO UPDATE SET
+                stage = excluded.stage,
+                nome = excluded.nome,
+                last_updated = excluded.last_updated,
+                nudged_at = NULL;
+            `;
+            db.run(query, [userPhone, stage, nome, now], function(err) {
+                if (err) return reject(err);
+                resolve(this);
+            });
+        });
+    };
+
+    // O contexto é gravado à parte para que setUserState não precise conhecê-lo. As chaves
+    // informadas são mescladas com as existentes (ex: o carrinho sobrevive à navegação).
+    const updateUserContext = async (userPhone, patch) => {
+        const context = { ...getUserContext(await getUserState(userPhone)), ...patch };
+        return new Promise((resolve, reject) => {
+            db.run("UPDATE sessions SET context = ? WHERE user_phone = ?", [JSON.stringify(context), userPhone], function(err) {
+                if (err) return reject(err);
+                resolve(context);
+            });
+        });
+    };
+
+    // Registra atividade do cliente sem mudar o estágio (reinicia a contagem de inatividade).
+    const touchSession = (userPhone) => {
+        return new Promise((resolve, reject) => {
+            db.run("UPDATE sessions SET last_updated = ?, nudged_at = NULL WHERE user_phone = ?", [Date.now(), userPhone], function(err) {
+                if (err) return reject(err);
+                resolve(this);
+            });
+        });
+    };
+
+    const markSessionNudged = (userPhone) => {
+        return new Promise((resolve, reject) => {
+            db.run("UPDATE sessions SET nudged_at = ? WHERE user_phone = ?", [Date.now(), userPhone], function(err) {
+                if (err) return reject(err);
+                resolve(this);
+            });
+        });
+    };
+
+    const deleteUserState = (userPhone) => {
+        return new Promise((resolve, reject) => {
+            db.run("DELETE FROM sessions WHERE user_phone = ?", [userPhone], function(err) {
+                if (err) return reject(err);
+                resolve(this);
+            });
+        });
+    };
+
+    const saveTicket = (userPhone, userName, produto, relato, departamento = null, diagnostico = null) => {
+        const now = Date.now();
+        return new Promise((resolve, reject) => {
+            const query = `INSERT INTO chamados (user_phone, user_name, produto_detectado, relato, timestamp, departamento, diagnostico) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+            db.run(query, [userPhone, userName, produto, relato, now, departamento, diagnostico && JSON.stringify(diagnostico)], function(err) {
+                if (err) return reject(err);
+                console.log(`💾 Novo chamado técnico salvo no DB. ID: ${this.lastID}`);
+                const statement = this;
+                saveTicketEvent(this.lastID, 'aberto', 'Chamado aberto', userPhone, now, 'aberto')
+                    .then(() => resolve(statement), reject);
+            });
+        });
+    };
+
+    const saveTicketEvent = (ticketId, status, descricao, autor = null, timestamp = Date.now(), codigo = null) => {
+        return new Promise((resolve, reject) => {
+            db.run("INSERT INTO chamado_eventos (chamado_id, status, descricao, autor, timestamp, codigo) VALUES (?, ?, ?, ?, ?, ?)",
+                [ticketId, status, descricao, autor, timestamp, codigo], function(err) {
+                    if (err) return reject(err);
+                    resolve(this.lastID);
+                });
+        });
+    };
+
+    // Eventos dos chamados informados, agrupados por chamado_id e em ordem cronológica.
+    const listTicketEventsByTickets = (ticketIds) => {
+        if (ticketIds.length === 0) return Promise.resolve({});
+        return new Promise((resolve, reject) => {
+            db.all(`SELECT * FROM chamado_eventos WHERE chamado_id IN (${ticketIds.map(() => '?').join(', ')}) ORDER BY timestamp ASC, id ASC`, ticketIds, (err, rows) => {
+                if (err) return reject(err);
+                const byTicket = {};
+                rows.forEach(row => {
+                    (byTicket[row.chamado_id] = byTicket[row.chamado_id] || []).push(row);
+                });
+                resolve(byTicket);
+            });
+        });
+    };
+
+    const getTicketById = (ticketId) => {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT * FROM chamados WHERE id = ?", [ticketId], (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+    };
+
+    // Retorna o chamado mais recente do cliente que ainda não foi resolvido.
+    const getOpenTicketByPhone = (userPhone) => {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT * FROM chamados WHERE user_phone = ? AND status != 'resolvido' ORDER BY id DESC LIMIT 1", [userPhone], (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+    };
+
+    const listOpenTickets = () => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT * FROM chamados WHERE status != 'resolvido' ORDER BY id ASC", [], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    };
+
+    // Só altera (e registra no histórico) se o status for diferente do atual. Resolve com true se mudou.
+    const updateTicketStatus = (ticketId, status, { descricao = null, autor = null, codigo = null } = {}) => {
+        return new Promise((resolve, reject) => {
+            db.run("UPDATE chamados SET status = ? WHERE id = ? AND status IS NOT ?", [status, ticketId, status], function(err) {
+                if (err) return reject(err);
+                if (this.changes === 0) return resolve(false);
+                saveTicketEvent(ticketId, status, descricao, autor, Date.now(), codigo).then(() => resolve(true), reject);
+            });
+        });
+    };
+
+    // Lista chamados para o painel, com filtros opcionais por status, telefone e texto livre.
+    const listTickets = ({ status, phone, q } = {}) => {
+        const conditions = [];
+        const params = [];
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (phone) {
+            conditions.push('user_phone = ?');
+            params.push(phone);
+        }
+        if (q) {
+            const like = `%${q}%`;
+            conditions.push('(id = ? OR user_name LIKE ? OR user_phone LIKE ? OR produto_detectado LIKE ? OR relato LIKE ?)');
+            params.push(parseProtocol(q), like, like, like, like);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        return new Promise((resolve, reject) => {
+            db.all(`SELECT * FROM chamados ${where} ORDER BY id DESC LIMIT 200`, params, (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    };
+
+    // Reaproveita o chamado aberto do cliente ou cria um novo, para que toda conversa
+    // encaminhada ao especialista tenha um ID que ele possa usar nas respostas.
+    const ensureOpenTicket = async (userPhone, userName, motivo, departamento = null) => {
+        const ticket = await getOpenTicketByPhone(userPhone);
+        if (ticket) return ticket.id;
+        const result = await saveTicket(userPhone, userName, null, motivo, departamento);
+        return result.lastID;
+    };
+
+    // --- ROTEAMENTO ENTRE AGENTES ---
+    const assignTicket = (ticketId, agent) => {
+        return new Promise((resolve, reject) => {
+            db.run("UPDATE chamados SET agente = ? WHERE id = ?", [agent, ticketId], function(err) {
+                if (err) return reject(err);
+                resolve(this);
+            });
+        });
+    };
+
+    // Quantidade de chamados não resolvidos por agente, para a estratégia "least-busy".
+    const countOpenTicketsByAgent = () => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT agente, COUNT(*) AS total FROM chamados WHERE status != 'resolvido' AND agente IS NOT NULL GROUP BY agente", [], (err, rows) => {
+                if (err) return reject(err);
+                resolve(Object.fromEntries(rows.map(row => [row.agente, row.total])));
+            });
+        });
+    };
+
+    // Último agente que atendeu o cliente no departamento, para manter a conversa com a mesma pessoa.
+    const getLastAgentForCustomer = (userPhone, departamento) => {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT agente FROM chamados WHERE user_phone = ? AND departamento = ? AND agente IS NOT NULL ORDER BY id DESC LIMIT 1", [userPhone, departamento], (err, row) => {
+                if (err) return reject(err);
+                resolve(row ? row.agente : null);
+            });
+        });
+    };
+
+    // Posição do chamado na fila do departamento (chamados ainda "aberto", do mais antigo ao mais novo).
+    // Só contam os chamados que ainda esperam um agente: os já atribuídos estão sendo atendidos.
+    const getQueuePosition = (ticketId, departamento) => {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT COUNT(*) AS posicao FROM chamados WHERE departamento = ? AND status = 'aberto' AND agente IS NULL AND id <= ?", [departamento, ticketId], (err, row) => {
+                if (err) return reject(err);
+                resolve(row.posicao);
+            });
+        });
+    };
+
+    const setAgentOnline = (phone, online) => {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO agentes (phone, online, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(phone) DO UPDATE SET online = excluded.online, updated_at = excluded.updated_at;
+            `;
+            db.run(query, [phone, online ? 1 : 0, Date.now()], function(err) {
+                if (err) return reject(err);
+                resolve(this);
+            });
+        });
+    };
+
+    // Agentes que nunca usaram #online/#offline não aparecem aqui e são considerados online.
+    const listOfflineAgents = () => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT phone FROM agentes WHERE online = 0", [], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows.map(row => row.phone));
+            });
+        });
+    };
+
+    const saveAttachment = (chamadoId, userPhone, { path, fileName, mimetype, size }) => {
+        const now = Date.now();
+        return new Promise((resolve, reject) => {
+            const query = `INSERT INTO anexos (chamado_id, user_phone, arquivo, nome, mimetype, tamanho, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+            db.run(query, [chamadoId, userPhone, path, fileName, mimetype, size, now], function(err) {
+                if (err) return reject(err);
+                console.log(`💾 Novo anexo salvo no DB. ID: ${this.lastID} (chamado #${chamadoId})`);
+                resolve(this.lastID);
+            });
+        });
+    };
+
+    const getAttachmentById = (attachmentId) => {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT * FROM anexos WHERE id = ?", [attachmentId], (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+    };
+
+    // Anexos de vários chamados de uma vez, agrupados por chamado ({ [chamadoId]: [anexos] }).
+    const listAttachmentsByTickets = (ticketIds) => {
+        if (ticketIds.length === 0) return Promise.resolve({});
+        return new Promise((resolve, reject) => {
+            db.all(`SELECT * FROM anexos WHERE chamado_id IN (${ticketIds.map(() => '?').join(', ')}) ORDER BY id ASC`, ticketIds, (err, rows) => {
+                if (err) return reject(err);
+                const byTicket = {};
+                rows.forEach(row => {
+                    (byTicket[row.chamado_id] = byTicket[row.chamado_id] || []).push(row);
+                });
+                resolve(byTicket);
+            });
+        });
+    };
+
+    // Registra um retorno pendente e resolve com o id criado. Se o chamado já tem um na fila, o novo motivo
+    // (ex: o código da peça enviado depois do pedido) é acrescentado a ele e resolve com null.
+    const saveCallback = (userPhone, userName, chamadoId, motivo) => {
+        const now = Date.now();
+        return new Promise((resolve, reject) => {
+            db.get("SELECT id FROM retornos WHERE chamado_id = ? AND entregue_em IS NULL", [chamadoId], (err, row) => {
+                if (err) return reject(err);
+                if (row) {
+                    db.run("UPDATE retornos SET motivo = motivo || ' • ' || ? WHERE id = ? AND instr(motivo, ?) = 0", [motivo, row.id, motivo], (updateErr) => (updateErr ? reject(updateErr) : resolve(null)));
+                    return;
+                }
+                const query = `INSERT INTO retornos (user_phone, user_name, chamado_id, motivo, timestamp) VALUES (?, ?, ?, ?, ?)`;
+                db.run(query, [userPhone, userName, chamadoId, motivo, now], function(err) {
+                    if (err) return reject(err);
+                    console.log(`💾 Retorno fora do horário salvo no DB. ID: ${this.lastID}`);
+                    resolve(this.lastID);
+                });
+            });
+        });
+    };
+
+    const listPendingCallbacks = () => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT * FROM retornos WHERE entregue_em IS NULL ORDER BY timestamp ASC", [], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    };
+
+    const markCallbacksDelivered = (ids) => {
+        if (ids.length === 0) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            db.run(`UPDATE retornos SET entregue_em = ? WHERE id IN (${ids.map(() => '?').join(', ')})`, [Date.now(), ...ids], function(err) {
+                if (err) return reject(err);
+                resolve(this);
+            });
+        });
+    };
+
+    // Reserva um horário. Resolve com o id criado, ou null se o técnico já estiver ocupado nesse horário.
+    const saveBooking = (userPhone, userName, { servico, equipamento, endereco, cep, tecnico, inicio, fim }) => {
+        const now = Date.now();
+        return new Promise((resolve, reject) => {
+            const query = `INSERT INTO agendamentos (user_phone, user_name, servico, equipamento, endereco, cep, tecnico, inicio, fim, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+            db.run(query, [userPhone, userName, servico, equipamento, endereco, cep, tecnico, inicio, fim, now], function(err) {
+                if (err && err.code === 'SQLITE_CONSTRAINT') return resolve(null);
+                if (err) return reject(err);
+                console.log(`💾 Novo agendamento salvo no DB. ID: ${this.lastID}`);
+                resolve(this.lastID);
+            });
+        });
+    };
+
+    // Move um agendamento para outro horário. Resolve com false se o novo horário já estiver ocupado.
+    const rescheduleBooking = (bookingId, { tecnico, inicio, fim }) => {
+        return new Promise((resolve, reject) => {
+            const query = `UPDATE agendamentos SET tecnico = ?, inicio = ?, fim = ?, remarcacoes = remarcacoes + 1, lembrete_em = NULL WHERE id = ? AND status = 'confirmado'`;
+            db.run(query, [tecnico, inicio, fim, bookingId], function(err) {
+                if (err && err.code === 'SQLITE_CONSTRAINT') return resolve(false);
+                if (err) return reject(err);
+                resolve(this.changes > 0);
+            });
+        });
+    };
+
+    const cancelBooking = (bookingId) => {
+        return new Promise((resolve, reject) => {
+            db.run("UPDATE agendamentos SET status = 'cancelado' WHERE id = ?", [bookingId], function(err) {
+                if (err) return reject(err);
+                resolve(this.changes > 0);
+            });
+        });
+    };
+
+    const getBookingById = (bookingId) => {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT * FROM agendamentos WHERE id = ?", [bookingId], (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+    };
+
+    // Próximo agendamento confirmado do cliente (ainda não realizado).
+    const getUpcomingBookingByPhone = (userPhone, now = Date.now()) => {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT * FROM agendamentos WHERE user_phone = ? AND status = 'confirmado' AND inicio > ? ORDER BY inicio ASC LIMIT 1", [userPhone, now], (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+    };
+
+    const listBookingsBetween = (from, to) => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT * FROM agendamentos WHERE status = 'confirmado' AND inicio >= ? AND inicio < ? ORDER BY inicio ASC", [from, to], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    };
+
+    // Agendamentos confirmados que começam até `until` e ainda não receberam o lembrete.
+    const listBookingsToRemind = (now, until) => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT * FROM agendamentos WHERE status = 'confirmado' AND lembrete_em IS NULL AND inicio > ? AND inicio <= ? ORDER BY inicio ASC", [now, until], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    };
+
+    const markBookingReminded = (bookingId, now = Date.now()) => {
+        return new Promise((resolve, reject) => {
+            db.run("UPDATE agendamentos SET lembrete_em = ? WHERE id = ?", [now, bookingId], function(err) {
+                if (err) return reject(err);
+                resolve(this);
+            });
+        });
+    };
+
+    // Nota de 1 a 5, ligada ao chamado (e ao agente e departamento dele) quando houver. Resolve com o ID da avaliação.
+    const saveRating = (userPhone, userName, { nota, chamadoId = null, agente = null, departamento = null }) => {
+        const now = Date.now();
+        return new Promise((resolve, reject) => {
+            const query = `INSERT INTO avaliacoes (user_phone, user_name, nota, chamado_id, agente, departamento, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+            db.run(query, [userPhone, userName, String(nota), chamadoId, agente, departamento, now], function(err) {
+                if (err) return reject(err);
+                console.log(`💾 Nova avaliação salva no DB. ID: ${this.lastID}`);
+                resolve(this.lastID);
+            });
+        });
+    };
+
+    const saveRatingComment = (ratingId, comentario) => {
+        return new Promise((resolve, reject) => {
+            db.run("UPDATE avaliacoes SET comentario = ? WHERE id = ?", [comentario, ratingId], function(err) {
+                if (err) return reject(err);
+                resolve(this);
+            });
+        });
+    };
+
+    // Avaliações no intervalo [since, until), da mais antiga à mais recente, para os relatórios.
+    const listRatings = ({ since = 0, until = Date.now() } = {}) => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT * FROM avaliacoes WHERE timestamp >= ? AND timestamp < ? ORDER BY timestamp ASC", [since, until], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    };
+
+    // Marca o relatório como enviado. Resolve false se ele já tinha sido enviado antes.
+    const markReportSent = (tipo, periodo, now = Date.now()) => {
+        return new Promise((resolve, reject) => {
+            db.run("INSERT OR IGNORE INTO relatorios (tipo, periodo, enviado_em) VALUES (?, ?, ?)", [tipo, periodo, now], function(err) {
+                if (err) return reject(err);
+                resolve(this.changes > 0);
+            });
+        });
+    };
+
+    const saveQuote = (userPhone, userName, { cep, cidade, chamadoId }, itens) => {
+        const now = Date.now();
+        return new Promise((resolve, reject) => {
+            const query = `INSERT INTO orcamentos (user_phone, user_name, cep, cidade, chamado_id, timestamp) VALUES (?, ?, ?, ?, ?, ?)`;
+            db.run(query, [userPhone, userName, cep, cidade, chamadoId, now], function(err) {
+                if (err) return reject(err);
+                const quoteId = this.lastID;
+                const inserts = itens.map(item => new Promise((res, rej) => {
+                    db.run(`INSERT INTO orcamento_itens (orcamento_id, produto, categoria, quantidade) VALUES (?, ?, ?, ?)`,
+                        [quoteId, item.n, item.category, item.qty], (itemErr) => (itemErr ? rej(itemErr) : res()));
+                }));
+                Promise.all(inserts).then(() => {
+                    console.log(`💾 Novo orçamento salvo no DB. ID: ${quoteId}`);
+                    resolve(quoteId);
+                }, reject);
+            });
+        });
+    };
+
+    const listQuotesByPhone = (userPhone, limit = 5) => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT * FROM orcamentos WHERE user_phone = ? ORDER BY id DESC LIMIT ?", [userPhone, limit], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    };
+
+    const getQuoteItems = (quoteId) => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT * FROM orcamento_itens WHERE orcamento_id = ? ORDER BY id ASC", [quoteId], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    };
+
+    const listRatingsByPhone = (userPhone) => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT * FROM avaliacoes WHERE user_phone = ? ORDER BY timestamp DESC", [userPhone], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    };
+
+    const listSessions = () => {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT * FROM sessions ORDER BY last_updated DESC", [], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    };
+
+    // --- PERFIL DO CLIENTE ---
+    const CUSTOMER_LIST_SIZE = 5;
+
+    const parseList = (json) => {
+        try {
+            return JSON.parse(json) || [];
+        } catch (e) {
+            return [];
+        }
+    };
+
+    // Perfil com equipamentos e assuntos já convertidos em listas, ou null para quem nunca se identificou.
+    const getCustomer = (userPhone) => {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT * FROM clientes WHERE user_phone = ?", [userPhone], (err, row) => {
+                if (err) return reject(err);
+                resolve(row ? { ...row, equipamentos: parseList(row.equipamentos), assuntos: parseList(row.assuntos) } : null);
+            });
+        });
+    };
+
+    // Cria o perfil ou atualiza o nome e o último contato.
+    const saveCustomer = (userPhone, nome) => {
+        const now = Date.now();
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO clientes (user_phone, nome, equipamentos, assuntos, primeiro_contato, ultimo_contato)
+                VALUES (?, ?, '[]', '[]', ?, ?)
+                ON CONFLICT(user_phone) DO UPDATE SET
+                nome = excluded.nome,
+                ultimo_contato = excluded.ultimo_contato;
+            `;
+            db.run(query, [userPhone, nome, now, now], function(err) {
+                if (err) return reject(err);
+                resolve(this);
+            });
+        });
+    };
+
+    // Idioma escolhido (#idioma) ou detectado. Retorna false se o cliente ainda não tem perfil.
+    const setCustomerLanguage = (userPhone, idioma) => {
+        return new Promise((resolve, reject) => {
+            db.run("UPDATE clientes SET idioma = ? WHERE user_phone = ?", [idioma, userPhone], function(err) {
+                if (err) return reject(err);
+                resolve(this.changes > 0);
+            });
+        });
+    };
+
+    /**
+     * Acrescenta um equipamento e/ou um assunto ao perfil, mantendo só os mais recentes e sem repetições.
+     * @param {string} userPhone
+     * @param {{equipamento?: string, assunto?: {tipo: string, ref: *, titulo: string}}} dados
+     * @returns {Promise<boolean>} false se o cliente ainda não tem perfil.
+     */
+    const rememberCustomer = async (userPhone, { equipamento, assunto } = {}) => {
+        const customer = await getCustomer(userPhone);
+        if (!customer) return false;
+        const now = Date.now();
+        let { equipamentos, assuntos } = customer;
+        if (equipamento) {
+            equipamentos = [equipamento, ...equipamentos.filter(item => item.toLowerCase() !== equipamento.toLowerCase())].slice(0, CUSTOMER_LIST_SIZE);
+        }
+        if (assunto) {
+            const mesmo = (item) => item.tipo === assunto.tipo && JSON.stringify(item.ref) === JSON.stringify(assunto.ref);
+            assuntos = [{ ...assunto, timestamp: now }, ...assuntos.filter(item => !mesmo(item))].slice(0, CUSTOMER_LIST_SIZE);
+        }
+        return new Promise((resolve, reject) => {
+            db.run("UPDATE clientes SET equipamentos = ?, assuntos = ?, ultimo_contato = ? WHERE user_phone = ?",
+                [JSON.stringify(equipamentos), JSON.stringify(assuntos), now, userPhone], function(err) {
+                    if (err) return reject(err);
+                    resolve(true);
+                });
+        });
+    };
+
+    // --- PRIVACIDADE (LGPD) ---
+    const saveConsent = (userPhone, versao) => {
+        return new Promise((resolve, reject) => {
+            db.run("INSERT INTO consentimentos (user_phone, versao, timestamp) VALUES (?, ?, ?)", [userPhone, versao, Date.now()], function(err) {
+                if (err) return reject(err);
+                resolve(this.lastID);
+            });
+        });
+    };
+
+    const getLatestConsent = (userPhone) => {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT * FROM consentimentos WHERE user_phone = ? ORDER BY timestamp DESC, id DESC LIMIT 1", [userPhone], (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+    };
+
+    // Tudo o que o banco guarda sobre o telefone, para o #meusdados.
+    const exportCustomerData = async (userPhone) => {
+        const select = (query) => new Promise((resolve, reject) => {
+            db.all(query, [userPhone], (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+        const [sessoes, clientes, consentimentos, chamados, anexos, avaliacoes, orcamentos, itens, agendamentos, retornos] = await Promise.all([
+            select("SELECT stage, nome, last_updated, context FROM sessions WHERE user_phone = ?"),
+            select("SELECT * FROM clientes WHERE user_phone = ?"),
+            select("SELECT versao, timestamp FROM consentimentos WHERE user_phone = ? ORDER BY timestamp ASC"),
+            select("SELECT * FROM chamados WHERE user_phone = ? ORDER BY id ASC"),
+            select("SELECT chamado_id, nome, mimetype, tamanho, timestamp FROM anexos WHERE user_phone = ? ORDER BY id ASC"),
+            select("SELECT nota, comentario, chamado_id, timestamp FROM avaliacoes WHERE user_phone = ? ORDER BY timestamp ASC"),
+            select("SELECT * FROM orcamentos WHERE user_phone = ? ORDER BY id ASC"),
+            select("SELECT i.* FROM orcamento_itens i JOIN orcamentos o ON o.id = i.orcamento_id WHERE o.user_phone = ? ORDER BY i.id ASC"),
+            select("SELECT * FROM agendamentos WHERE user_phone = ? ORDER BY inicio ASC"),
+            select("SELECT chamado_id, motivo, timestamp, entregue_em FROM retornos WHERE user_phone = ? ORDER BY id ASC")
+        ]);
+        const eventos = await listTicketEventsByTickets(chamados.map(chamado => chamado.id));
+        const [perfil = null] = clientes.map(row => ({ ...row, equipamentos: parseList(row.equipamentos), assuntos: parseList(row.assuntos) }));
+        return {
+            telefone: userPhone,
+            perfil,
+            sessao: sessoes[0] ? { ...sessoes[0], context: getUserContext(sessoes[0]) } : null,
+            consentimentos,
+            chamados: chamados.map(chamado => ({ ...chamado, diagnostico: getTicketDiagnosis(chamado), historico: eventos[chamado.id] || [] })),
+            anexos,
+            avaliacoes,
+            orcamentos: orcamentos.map(orcamento => ({ ...orcamento, itens: itens.filter(item => item.orcamento_id === orcamento.id) })),
+            agendamentos,
+            retornos
+        };
+    };
+
+    /**
+     * Apaga ou anonimiza os dados pessoais do telefone em todas as tabelas. Chamados, avaliações,
+     * orçamentos e agendamentos continuam existindo (sem nome, telefone, relato ou endereço) para as
+     * estatísticas; chamados em aberto são encerrados e visitas futuras, canceladas.
+     * @returns {Promise<{chamados: number, arquivos: string[]}>} Os arquivos dos anexos devem ser apagados do disco.
+     */
+    const anonymizeCustomer = (userPhone, descricao = 'Dados pessoais anonimizados') => {
+        const now = Date.now();
+        return new Promise((resolve, reject) => {
+            db.all("SELECT arquivo FROM anexos WHERE user_phone = ?", [userPhone], (err, anexos) => {
+                if (err) return reject(err);
+                let falha = null;
+                let chamados = 0;
+                const run = (query, params, onDone) => db.run(query, params, function(runErr) {
+                    if (runErr && !falha) falha = runErr;
+                    if (onDone) onDone(this);
+                });
+                db.serialize(() => {
+                    run(`INSERT INTO chamado_eventos (chamado_id, status, descricao, autor, timestamp)
+                        SELECT id, 'resolvido', ?, NULL, ? FROM chamados WHERE user_phone = ? AND status != 'resolvido'`, [descricao, now, userPhone]);
+                    run("UPDATE chamado_eventos SET autor = NULL WHERE autor = ?", [userPhone]);
+                    run(`UPDATE chamados SET user_phone = ?, user_name = ?, relato = '[removido]', diagnostico = NULL, status = 'resolvido'
+                        WHERE user_phone = ?`, [ANONYMIZED_PHONE, ANONYMIZED_NAME, userPhone], (statement) => { chamados = statement.changes; });
+                    run(`UPDATE avaliacoes SET user_phone = ?, user_name = ?, comentario = CASE WHEN comentario IS NULL THEN NULL ELSE '[removido]' END
+                        WHERE user_phone = ?`, [ANONYMIZED_PHONE, ANONYMIZED_NAME, userPhone]);
+                    run("UPDATE orcamentos SET user_phone = ?, user_name = ?, cep = NULL, cidade = NULL WHERE user_phone = ?", [ANONYMIZED_PHONE, ANONYMIZED_NAME, userPhone]);
+                    run(`UPDATE agendamentos SET user_phone = ?, user_name = ?, endereco = NULL, cep = NULL,
+                        status = CASE WHEN status = 'confirmado' AND inicio > ? THEN 'cancelado' ELSE status END
+                        WHERE user_phone = ?`, [ANONYMIZED_PHONE, ANONYMIZED_NAME, now, userPhone]);
+                    ['anexos', 'retornos', 'sessions', 'clientes'].forEach(tabela => {
+                        run(`DELETE FROM ${tabela} WHERE user_phone = ?`, [userPhone]);
+                    });
+                    // Com db.serialize, o último comando termina depois de todos os anteriores.
+                    run("DELETE FROM consentimentos WHERE user_phone = ?", [userPhone], () => {
+                        if (falha) return reject(falha);
+                        console.log(`🔒 Dados de ${userPhone} anonimizados (${chamados} chamado(s)).`);
+                        resolve({ chamados, arquivos: anexos.map(anexo => anexo.arquivo) });
+                    });
+                });
+            });
+        });
+    };
+
+    // Telefones sem nenhum contato desde `cutoff` e sem chamado em aberto: alvo da retenção automática.
+    const listExpiredCustomers = (cutoff) => {
+        const query = `
+            SELECT user_phone FROM (
+                SELECT user_phone, ultimo_contato AS ts FROM clientes
+                UNION ALL SELECT user_phone, last_updated FROM sessions
+                UNION ALL SELECT user_phone, timestamp FROM chamados
+                UNION ALL SELECT user_phone, timestamp FROM avaliacoes
+                UNION ALL SELECT user_phone, timestamp FROM consentimentos
+                UNION ALL SELECT user_phone, fim FROM agendamentos
+            )
+            WHERE user_phone IS NOT NULL AND user_phone != ?
+            GROUP BY user_phone
+            HAVING MAX(ts) < ?
+                AND user_phone NOT IN (SELECT user_phone FROM chamados WHERE status != 'resolvido' AND user_phone IS NOT NULL)
+        `;
+        return new Promise((resolve, reject) => {
+            db.all(query, [ANONYMIZED_PHONE, cutoff], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows.map(row => row.user_phone));
+            });
+        });
+    };
+
+    const close = () => new Promise((resolve, reject) => {
+        db.close((err) => (err ? reject(err) : resolve()));
+    });
+
+    return {
+        ready, close, getUserState, setUserState, updateUserContext, deleteUserState, touchSession, markSessionNudged,
+        saveTicket, getTicketById, getOpenTicketByPhone, listOpenTickets, updateTicketStatus, listTickets, ensureOpenTicket,
+        saveTicketEvent, listTicketEventsByTickets,
+        assignTicket, countOpenTicketsByAgent, getLastAgentForCustomer, getQueuePosition, setAgentOnline, listOfflineAgents,
+        getCustomer, saveCustomer, rememberCustomer, setCustomerLanguage,
+        saveRating, saveRatingComment, listRatings, markReportSent, listRatingsByPhone, saveQuote, listQuotesByPhone, getQuoteItems, listSessions,
+        saveCallback, listPendingCallbacks, markCallbacksDelivered,
+        saveAttachment, getAttachmentById, listAttachmentsByTickets,
+        saveBooking, rescheduleBooking, cancelBooking, getBookingById, getUpcomingBookingByPhone, listBookingsBetween,
+        listBookingsToRemind, markBookingReminded,
+        saveConsent, getLatestConsent, exportCustomerData, anonymizeCustomer, listExpiredCustomers
+    };
+};
+
+module.exports = { createDatabase, getUserContext, getTicketDiagnosis, formatProtocol, parseProtocol, ANONYMIZED_PHONE };
@@ -0,0 +1,45 @@
+const { createConfigTexts } = require('./i18n');
+
+// --- DEPARTAMENTOS E AGENTES ---
+// Cada departamento tem seus agentes (números de WhatsApp) e a estratégia usada para
+// distribuir os chamados entre eles. Um mesmo número pode atender mais de um departamento.
+
+const STRATEGIES = ['round-robin', 'least-busy'];
+
+/**
+ * Valida a configuração (ex: departments.json) e devolve funções de consulta.
+ * @param {Object<string, {name: string|Object<string, string>, agents: string[], strategy?: string}>} config
+ *   A primeira entrada é o departamento padrão, usado para pedidos de departamentos não configurados.
+ *   O nome pode vir por idioma ({ "pt-BR": "Vendas", "en": "Sales" }); a equipe vê o do idioma padrão.
+ * @param {object} [options] Idiomas conhecidos e o padrão (ver createConfigTexts em src/i18n.js).
+ */
+const createDepartmentDirectory = (config, options = {}) => {
+    const entries = Object.entries(config || {});
+    if (entries.length === 0) throw new Error('Nenhum departamento configurado.');
+    const { localized, textIn } = createConfigTexts(options);
+
+    const departments = entries.map(([id, { name, agents, strategy = 'round-robin' }]) => {
+        if (!Array.isArray(agents) || agents.length === 0) throw new Error(`Departamento "${id}" sem agentes.`);
+        if (!STRATEGIES.includes(strategy)) throw new Error(`Estratégia inválida em "${id}": "${strategy}" (use ${STRATEGIES.join(' ou ')})`);
+        agents.forEach(agent => {
+            if (!/^\S+@\S+$/.test(agent)) throw new Error(`Agente inválido em "${id}": "${agent}" (ex: 5511999999999@c.us)`);
+        });
+        const names = localized(name || id, `departamento "${id}"`);
+        return { id, name: textIn(names), names, agents: [...new Set(agents)], strategy };
+    });
+    const allAgents = new Set(departments.flatMap(department => department.agents));
+
+    /** Departamento pelo id, ou o padrão quando o id não está configurado. */
+    const get = (id) => departments.find(department => department.id === id) || departments[0];
+
+    return {
+        list: departments,
+        get,
+        /** Nome do departamento no idioma do cliente. */
+        nameIn: (id, code) => textIn(get(id).names, code),
+        isAgent: (phone) => allAgents.has(phone),
+        departmentsOf: (phone) => departments.filter(department => department.agents.includes(phone))
+    };
+};
+
+module.exports = { createDepartmentDirectory };
@@ -0,0 +1,2265 @@
+const { searchCatalog, getProductByRef, productRef } = require('./product-search');
+const catalogPdf = require('./catalog-pdf');
+const { createAttachmentStorage } = require('./attachments');
+const { createBotTexts } = require('./bot-texts');
+const { getUserContext, formatProtocol, parseProtocol, ANONYMIZED_PHONE } = require('./database');
+const { createDepartmentDirectory } = require('./departments');
+const { createKeyedQueue, createRateLimiter } = require('./flow-control');
+const { createPrivacyPolicy } = require('./privacy');
+const { LOW_RATING, parseRating, localDay, formatRatingsDigest } = require('./ratings');
+const { createScheduler } = require('./scheduling');
+const { createTriage } = require('./triage');
+
+// --- MOTOR DE CONVERSA ---
+// Toda a lógica do atendimento (máquina de estados, busca, orçamento, central do especialista)
+// fica aqui, sem depender do whatsapp-web.js. O envio de mensagens é feito por um transporte
+// (src/transports), então o mesmo motor roda no WhatsApp, no simulador e nos testes.
+
+/**
+ * @typedef {object} Transport
+ * @property {(to: string, text: string) => Promise<void>} sendText Envia uma mensagem de texto.
+ * @property {(to: string, filePath: string, options?: {fileName?: string, caption?: string}) => Promise<void>} sendFile Envia um arquivo do disco.
+ * @property {(to: string, media: object, options?: {caption?: string}) => Promise<void>} sendMedia Reenvia uma mídia obtida com `message.downloadMedia()`.
+ * @property {(to: string) => Promise<void>} sendTyping Mostra "digitando..." para o destinatário.
+ */
+
+/**
+ * @typedef {object} IncomingMessage
+ * @property {string} from Remetente (ex: 5511999999999@c.us).
+ * @property {string} body Texto ou legenda da mensagem.
+ * @property {string} [type] Tipo da mensagem (chat, image, revoked...).
+ * @property {boolean} [fromMe]
+ * @property {boolean} [hasMedia]
+ * @property {boolean} [hasQuotedMsg]
+ * @property {() => Promise<object>} [downloadMedia]
+ * @property {() => Promise<{body: string}>} [getQuotedMessage]
+ */
+
+// --- ESTADOS DA CONVERSA ---
+const STAGES = {
+    CONSENTIMENTO: 'CONSENTIMENTO',
+    CAPTURA_NOME: 'CAPTURA_NOME',
+    RETORNO_CLIENTE: 'RETORNO_CLIENTE',
+    MENU_PRINCIPAL: 'MENU_PRINCIPAL',
+    SUPORTE_TRIAGEM: 'SUPORTE_TRIAGEM',
+    ESCOLHA_PRODUTO: 'ESCOLHA_PRODUTO',
+    NAVEGACAO_CATALOGO: 'NAVEGACAO_CATALOGO',
+    ORCAMENTO_QUANTIDADE: 'ORCAMENTO_QUANTIDADE',
+    ORCAMENTO_REVISAO: 'ORCAMENTO_REVISAO',
+    ORCAMENTO_ENTREGA: 'ORCAMENTO_ENTREGA',
+    ORCAMENTO_CONFIRMACAO: 'ORCAMENTO_CONFIRMACAO',
+    ORCAMENTO_HISTORICO: 'ORCAMENTO_HISTORICO',
+    AGENDAMENTO_SERVICO: 'AGENDAMENTO_SERVICO',
+    AGENDAMENTO_EQUIPAMENTO: 'AGENDAMENTO_EQUIPAMENTO',
+    AGENDAMENTO_ENDERECO: 'AGENDAMENTO_ENDERECO',
+    AGENDAMENTO_HORARIO: 'AGENDAMENTO_HORARIO',
+    AGENDAMENTO_CONFIRMACAO: 'AGENDAMENTO_CONFIRMACAO',
+    AGENDAMENTO_GERENCIAR: 'AGENDAMENTO_GERENCIAR',
+    AGUARDANDO_HUMANO: 'AGUARDANDO_HUMANO',
+    AVALIACAO: 'AVALIACAO',
+    AVALIACAO_COMENTARIO: 'AVALIACAO_COMENTARIO'
+};
+
+// --- DEPARTAMENTOS ---
+// Ids usados no roteamento; os agentes de cada um vêm da configuração (departments.json).
+// Um id não configurado cai no primeiro departamento da lista.
+const DEPARTMENTS = {
+    VENDAS: 'vendas',
+    PECAS: 'pecas',
+    SUPORTE: 'suporte'
+};
+
+// --- INATIVIDADE E SLA ---
+// Minutos sem mensagem do cliente até o lembrete ("ainda está aí?") e até o encerramento
+// automático, por estágio. onClose 'rating' leva à pesquisa de avaliação; 'expire' apaga a
+// sessão sem avisar. Estágios fora da lista nunca expiram.
+const DEFAULT_STAGE_TIMEOUTS = {
+    [STAGES.CONSENTIMENTO]: { nudgeAfter: 10, closeAfter: 60, onClose: 'expire' },
+    [STAGES.CAPTURA_NOME]: { nudgeAfter: 10, closeAfter: 60, onClose: 'expire' },
+    [STAGES.RETORNO_CLIENTE]: { nudgeAfter: 10, closeAfter: 60, onClose: 'expire' },
+    [STAGES.MENU_PRINCIPAL]: { nudgeAfter: 15, closeAfter: 60, onClose: 'rating' },
+    [STAGES.SUPORTE_TRIAGEM]: { nudgeAfter: 15, closeAfter: 60, onClose: 'rating' },
+    [STAGES.ESCOLHA_PRODUTO]: { nudgeAfter: 15, closeAfter: 60, onClose: 'rating' },
+    [STAGES.NAVEGACAO_CATALOGO]: { nudgeAfter: 15, closeAfter: 60, onClose: 'rating' },
+    [STAGES.ORCAMENTO_QUANTIDADE]: { nudgeAfter: 30, closeAfter: 120, onClose: 'rating' },
+    [STAGES.ORCAMENTO_REVISAO]: { nudgeAfter: 30, closeAfter: 120, onClose: 'rating' },
+    [STAGES.ORCAMENTO_ENTREGA]: { nudgeAfter: 30, closeAfter: 120, onClose: 'rating' },
+    [STAGES.ORCAMENTO_CONFIRMACAO]: { nudgeAfter: 30, closeAfter: 120, onClose: 'rating' },
+    [STAGES.ORCAMENTO_HISTORICO]: { nudgeAfter: 15, closeAfter: 60, onClose: 'rating' },
+    [STAGES.AGENDAMENTO_SERVICO]: { nudgeAfter: 15, closeAfter: 60, onClose: 'rating' },
+    [STAGES.AGENDAMENTO_EQUIPAMENTO]: { nudgeAfter: 15, closeAfter: 60, onClose: 'rating' },
+    [STAGES.AGENDAMENTO_ENDERECO]: { nudgeAfter: 30, closeAfter: 120, onClose: 'rating' },
+    [STAGES.AGENDAMENTO_HORARIO]: { nudgeAfter: 30, closeAfter: 120, onClose: 'rating' },
+    [STAGES.AGENDAMENTO_CONFIRMACAO]: { nudgeAfter: 30, closeAfter: 120, onClose: 'rating' },
+    [STAGES.AGENDAMENTO_GERENCIAR]: { nudgeAfter: 15, closeAfter: 60, onClose: 'rating' },
+    [STAGES.AGUARDANDO_HUMANO]: { nudgeAfter: null, closeAfter: 24 * 60, onClose: 'rating' },
+    [STAGES.AVALIACAO]: { nudgeAfter: null, closeAfter: 24 * 60, onClose: 'expire' },
+    [STAGES.AVALIACAO_COMENTARIO]: { nudgeAfter: null, closeAfter: 60, onClose: 'expire' },
+    MODO_SILENCIOSO: { nudgeAfter: null, closeAfter: 3 * 24 * 60, onClose: 'expire' }
+};
+// Minutos que um cliente pode esperar pela primeira resposta humana antes de o especialista ser alertado.
+const DEFAULT_SLA_MINUTES = 15;
+// Mensagens do cliente que chegam dentro deste intervalo após um repasse viram um único aviso ao especialista.
+const DEFAULT_RELAY_WINDOW_MS = 10 * 1000;
+
+// --- FUNÇÕES AUXILIARES ---
+const normalizeText = (text = '') => {
+    return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+};
+
+const defaultDelay = (ms) => new Promise(res => setTimeout(res, ms));
+
+/**
+ * Cria o motor de conversa.
+ * @param {object} options
+ * @param {Transport} options.transport Canal usado para responder.
+ * @param {object} options.store Funções do banco (ver src/database.js).
+ * @param {{pages: Array}} options.catalog Catálogo carregado (ver src/catalog.js).
+ * @param {object} [options.departments] Departamentos e seus agentes (ver src/departments.js).
+ * @param {string} [options.specialistNumber] Atalho para um único agente que atende todos os departamentos.
+ * @param {object} [options.pdf] Geração dos PDFs do catálogo (padrão: src/catalog-pdf.js).
+ * @param {object} [options.attachments] Onde guardar as mídias dos clientes (padrão: pasta anexos/, ver src/attachments.js).
+ * @param {object} [options.triage] Perguntas da triagem técnica (padrão: triage.json e error-codes.json, ver src/triage.js).
+ * @param {object} [options.scheduler] Agenda dos técnicos para instalação e manutenção (padrão: scheduling.json, ver src/scheduling.js).
+ * @param {object} [options.privacy] Política de privacidade, retenção e exportação de dados (padrão: privacy.json, ver src/privacy.js).
+ * @param {object} [options.texts] Mensagens em cada idioma e menu principal (padrão: locales/ e menu.json, ver src/bot-texts.js).
+ * @param {(ms: number) => Promise<void>} [options.delay] Pausa usada para simular digitação.
+ * @param {object} [options.stageTimeouts] Limites de inatividade por estágio (padrão: DEFAULT_STAGE_TIMEOUTS).
+ * @param {number} [options.slaMinutes] Espera máxima pela resposta do especialista antes do alerta.
+ * @param {object} [options.businessHours] Horário do time humano (ver src/business-hours.js). Sem ele, o time está sempre disponível.
+ * @param {{limit?: number, windowMs?: number}} [options.rateLimit] Mensagens por janela antes de o cliente ser barrado (ver src/flow-control.js).
+ * @param {number} [options.relayWindowMs] Intervalo em que as mensagens repassadas ao especialista são agrupadas em um só aviso.
+ * @param {string[]} [options.digestRecipients] Quem recebe o resumo diário das avaliações (padrão: todos os agentes).
+ * @param {object} [options.metrics] Contadores de mensagens por estágio e de erros (ver src/metrics.js).
+ * @returns {{handleMessage: (msg: IncomingMessage) => Promise<void>, changeTicketStatus: Function, resetSession: (userPhone: string) => Promise<void>, checkInactiveSessions: (now?: number) => Promise<void>, deliverPendingCallbacks: (now?: number) => Promise<void>, sendBookingReminders: (now?: number) => Promise<void>, sendRatingsDigest: (now?: number) => Promise<void>, purgeExpiredData: (now?: number) => Promise<number>}}
+ */
+const createBotEngine = ({
+    transport, store, catalog, departments, specialistNumber, pdf = catalogPdf, delay = defaultDelay, attachments = createAttachmentStorage(),
+    triage = createTriage({ ...require('../triage.json'), errorCodes: require('../error-codes.json') }),
+    scheduler = createScheduler(require('../scheduling.json')),
+    privacy = createPrivacyPolicy(require('../privacy.json')),
+    texts = createBotTexts(),
+    stageTimeouts = DEFAULT_STAGE_TIMEOUTS, slaMinutes = DEFAULT_SLA_MINUTES, businessHours = null,
+    rateLimit = {}, relayWindowMs = DEFAULT_RELAY_WINDOW_MS, digestRecipients = null, metrics = null
+}) => {
+    const directory = createDepartmentDirectory(departments || { geral: { name: 'Atendimento', agents: [specialistNumber] } },
+        { locales: texts.i18n.codes, defaultLocale: texts.i18n.defaultLocale });
+    const digestTo = digestRecipients || [...new Set(directory.list.flatMap(department => department.agents))];
+    const {
+        getUserState, setUserState, updateUserContext, deleteUserState, touchSession, markSessionNudged,
+        saveTicket, getTicketById, getOpenTicketByPhone, listOpenTickets, updateTicketStatus, ensureOpenTicket, listTickets,
+        listTicketEventsByTickets, getCustomer, saveCustomer, rememberCustomer, listRatingsByPhone,
+        assignTicket, countOpenTicketsByAgent, getLastAgentForCustomer, getQueuePosition, setAgentOnline, listOfflineAgents,
+        saveRating, saveRatingComment, listRatings, markReportSent, saveQuote, listQuotesByPhone, getQuoteItems, listSessions,
+        saveCallback, listPendingCallbacks, markCallbacksDelivered, saveAttachment, listAttachmentsByTickets,
+        saveBooking, rescheduleBooking, cancelBooking, getBookingById, getUpcomingBookingByPhone, listBookingsBetween,
+        listBookingsToRemind, markBookingReminded, setCustomerLanguage,
+        saveConsent, getLatestConsent, exportCustomerData, anonymizeCustomer, listExpiredCustomers
+    } = store;
+
+    // --- IDIOMA DO CLIENTE ---
+    // Escolhido com #idioma ou detectado na primeira mensagem. Fica no contexto da sessão e, depois
+    // do aceite da política, no perfil do cliente. O cache evita ir ao banco a cada mensagem enviada;
+    // toda entrada do motor (mensagem, verificação periódica, ação do especialista) o carrega antes.
+    const LANGUAGE_COMMANDS = ['#idioma', '#language', '#lenguaje'];
+    const LANGUAGE_CACHE_MS = 60 * 60 * 1000;
+    const languages = new Map(); // telefone -> { code, at }
+
+    const langOf = (userPhone) => {
+        const cached = languages.get(userPhone);
+        return (cached && cached.code) || texts.i18n.defaultLocale;
+    };
+
+    // Retorna o idioma salvo para o cliente, ou null se ele nunca escolheu (nem foi detectado).
+    const loadLanguage = async (userPhone, userState) => {
+        const cached = languages.get(userPhone);
+        if (cached) {
+            cached.at = Date.now();
+            return cached.code;
+        }
+        const state = userState === undefined ? await getUserState(userPhone) : userState;
+        let code = getUserContext(state).idioma || null;
+        if (!code) {
+            const customer = await getCustomer(userPhone);
+            code = (customer && customer.idioma) || null;
+        }
+        languages.set(userPhone, { code, at: Date.now() });
+        return code;
+    };
+
+    const setLanguage = async (userPhone, code) => {
+        languages.set(userPhone, { code, at: Date.now() });
+        await updateUserContext(userPhone, { idioma: code });
+        await setCustomerLanguage(userPhone, code); // Só grava para quem já tem perfil (depois do aceite)
+    };
+
+    // Leva para a sessão (e para o perfil, se já existir) o idioma detectado antes de ela existir.
+    const persistLanguage = async (userPhone) => {
+        const cached = languages.get(userPhone);
+        if (!cached || !cached.code) return;
+        await updateUserContext(userPhone, { idioma: cached.code });
+        await setCustomerLanguage(userPhone, cached.code);
+    };
+
+    const pruneLanguages = (now) => {
+        for (const [userPhone, cached] of languages) {
+            if (now - cached.at >= LANGUAGE_CACHE_MS) languages.delete(userPhone);
+        }
+    };
+
+    // Teclas do menu como variáveis ({menu.especialista} -> "6"), para os textos acompanharem o menu.json.
+    const menuVars = () => Object.fromEntries(Object.entries(texts.menu.keys).map(([action, key]) => [`menu.${action}`, key]));
+
+    /** Mensagem no idioma do cliente (ver locales/). */
+    const tr = (userPhone, key, vars = {}) => texts.i18n.t(langOf(userPhone), key, { ...menuVars(), ...vars });
+
+    // Datas no formato do idioma; um código que o Intl não conhece usa o padrão brasileiro.
+    const dateLocale = (userPhone) => {
+        try {
+            return Intl.DateTimeFormat.supportedLocalesOf(langOf(userPhone))[0] || 'pt-BR';
+        } catch (e) {
+            return 'pt-BR';
+        }
+    };
+
+    // "terça-feira, 21/10 às 08:00" no idioma do cliente.
+    const formatSlotFor = (userPhone, timestamp) => {
+        const { weekday, day, month, time } = scheduler.slotParts(timestamp);
+        return tr(userPhone, 'booking.slot', { dia: tr(userPhone, `weekdays.${weekday}`), data: `${day}/${month}`, hora: time });
+    };
+
+    const languageOptions = (userPhone) => tr(userPhone, 'language.options', {
+        lista: texts.i18n.languages.map(language => `*#idioma ${language.shortcut}* — ${language.name}`).join('\n')
+    });
+
+    // Convite para trocar de idioma, escrito em cada um dos outros idiomas.
+    const languageOffer = (userPhone) => [...new Set(texts.i18n.languages
+        .filter(language => language.code !== langOf(userPhone))
+        .map(language => texts.i18n.t(language.code, 'language.offer', { atalho: language.shortcut })))].join('\n');
+
+    // Máximo de produtos na lista de sugestões. Fica abaixo de 6 para não colidir com o atalho do especialista.
+    const SHORTLIST_SIZE = 5;
+
+    const matchesTrigger = (triggers, normalizedInput) => triggers.some(trigger => {
+        // Exige correspondência exata para gatilhos de um único caractere (como '0' e '6'),
+        // senão buscas como "ar 12000 btus" encerrariam a conversa.
+        if (trigger.length === 1) return normalizedInput === trigger;
+        // Usa 'includes' para gatilhos de texto para mais flexibilidade
+        return normalizedInput.includes(trigger);
+    });
+
+    const searchProducts = (query, options) => searchCatalog(catalog.pages, query, options);
+
+    const formatProductDetails = (userPhone, produto) => {
+        let respostaProduto = `${tr(userPhone, 'product.found')}\n\n`;
+        respostaProduto += `📦 *${produto.n}*\n`;
+        respostaProduto += `📝 _${produto.d}_\n\n`;
+        if (produto.techSpecs) {
+            respostaProduto += `${tr(userPhone, 'product.specs')}\n`;
+            produto.techSpecs.filter(spec => spec.trim()).forEach(spec => {
+                respostaProduto += `• ${spec}\n`;
+            });
+        }
+        respostaProduto += `\n${tr(userPhone, 'product.category', { categoria: `${produto.category} - ${produto.sub}` })}`;
+        respostaProduto += `\n\n${tr(userPhone, 'product.cta')}`;
+        return respostaProduto;
+    };
+
+    // Mostra o detalhe e guarda o produto como o último visto, para o comando "add" do orçamento.
+    const showProductDetails = async (userPhone, produto, sufixo = '') => {
+        await transport.sendText(userPhone, formatProductDetails(userPhone, produto) + sufixo);
+        await updateUserContext(userPhone, { lastProduct: { ref: produto.ref, n: produto.n, category: `${produto.category} - ${produto.sub}` } });
+        await rememberCustomer(userPhone, { assunto: { tipo: 'produto', ref: produto.ref, titulo: produto.n } });
+    };
+
+    // Um resultado vai direto para o detalhe; vários viram uma lista numerada para o cliente escolher.
+    const sendProductResults = async (userPhone, userName, resultados) => {
+        if (resultados.length === 1) {
+            await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userName);
+            await showProductDetails(userPhone, resultados[0]);
+            return;
+        }
+        let lista = `${tr(userPhone, 'product.results', { total: resultados.length })}\n\n`;
+        resultados.forEach((produto, index) => {
+            lista += `*${index + 1}.* ${produto.n}\n   _${produto.category} - ${produto.sub}_\n`;
+        });
+        lista += `\n${tr(userPhone, 'product.resultsHint')}`;
+        await transport.sendText(userPhone, lista);
+        await setUserState(userPhone, STAGES.ESCOLHA_PRODUTO, userName);
+        await updateUserContext(userPhone, { shortlist: resultados.map(produto => produto.ref) });
+    };
+
+    // --- STATUS DOS CHAMADOS ---
+    const TICKET_STATUS = {
+        ABERTO: 'aberto',
+        EM_ANDAMENTO: 'em andamento',
+        RESOLVIDO: 'resolvido'
+    };
+    const STATUS_EMOJI = { [TICKET_STATUS.ABERTO]: '🕒', [TICKET_STATUS.EM_ANDAMENTO]: '👨‍🔧', [TICKET_STATUS.RESOLVIDO]: '✅' };
+    // O nome de cada status e o texto enviado a cada mudança (ver setTicketStatus) vêm de ticket.status e ticket.update.
+    const statusLabel = (userPhone, status) => (Object.values(TICKET_STATUS).includes(status) ? tr(userPhone, `ticket.status.${status}`) : status.toUpperCase());
+
+    // Linha padrão incluída em todo alerta enviado ao especialista. O número do chamado
+    // é lido de volta quando ele responde citando (quote) o alerta.
+    const ticketTag = (ticketId) => `🎫 *Chamado:* #${ticketId}`;
+    const extractTicketIdFromAlert = (text = '') => {
+        const match = text.match(/Chamado:\*?\s*#(\d+)/);
+        return match ? parseInt(match[1], 10) : null;
+    };
+    const REPLY_HINT = `_Responda citando esta mensagem ou use *#r ID texto*._`;
+
+    // A avaliação fica ligada ao chamado encerrado ou, sem ele, ao chamado ainda aberto do cliente.
+    const askForRating = async (userPhone, userName, ticket = null) => {
+        const chamado = ticket || await getOpenTicketByPhone(userPhone);
+        await setUserState(userPhone, STAGES.AVALIACAO, userName);
+        await updateUserContext(userPhone, { avaliacao: { chamadoId: chamado ? chamado.id : null } });
+        await transport.sendText(userPhone, tr(userPhone, 'rating.ask', { nome: userName }));
+    };
+
+    // Marca o início da espera pela resposta humana, usada no alerta de SLA.
+    const startWaitingForReply = (userPhone) => updateUserContext(userPhone, { awaitingReplySince: Date.now(), slaAlerted: false });
+
+    // --- HORÁRIO DE ATENDIMENTO ---
+    // Fora do horário, os alertas ao especialista viram retornos pendentes (tabela "retornos"),
+    // entregues em um único resumo na abertura. Catálogo, busca e orçamento seguem 24h.
+    const isTeamAvailable = (now = Date.now()) => !businessHours || businessHours.isOpen(new Date(now));
+    const describeOpening = (userPhone) => (opening) => {
+        if (!opening) return tr(userPhone, 'hours.soon');
+        if (opening.daysAhead === 0) return tr(userPhone, 'hours.today', { hora: opening.time });
+        if (opening.daysAhead === 1) return tr(userPhone, 'hours.tomorrow', { hora: opening.time });
+        return tr(userPhone, 'hours.weekday', { dia: tr(userPhone, `weekdays.${opening.weekday}`), data: `${opening.day}/${opening.month}`, hora: opening.time });
+    };
+    const outOfHoursNote = (userPhone) => tr(userPhone, 'hours.closed', { retorno: businessHours.describeNextOpening(new Date(), describeOpening(userPhone)) });
+    const withHoursNote = (userPhone, texto) => (isTeamAvailable() ? texto : `${texto}\n\n${outOfHoursNote(userPhone)}`);
+
+    // --- ROTEAMENTO POR DEPARTAMENTO ---
+    // Cada chamado vai para um agente online do seu departamento (round-robin ou o menos
+    // ocupado) e fica com ele até ser encerrado ou liberado. Sem ninguém online, o chamado
+    // espera na fila e é distribuído quando um agente envia #online.
+    const roundRobinIndex = {};
+    const departmentId = (key) => directory.get(key).id;
+
+    const pickAgent = async (department, userPhone, exclude = null) => {
+        const offline = await listOfflineAgents();
+        const online = department.agents.filter(agent => !offline.includes(agent) && agent !== exclude);
+        if (online.length === 0) return null;
+        // O cliente volta a falar com quem já o atendeu, se essa pessoa estiver online.
+        const anterior = await getLastAgentForCustomer(userPhone, department.id);
+        if (online.includes(anterior)) return anterior;
+        if (department.strategy === 'least-busy') {
+            const carga = await countOpenTicketsByAgent();
+            return online.reduce((melhor, agent) => ((carga[agent] || 0) < (carga[melhor] || 0) ? agent : melhor));
+        }
+        const index = (roundRobinIndex[department.id] || 0) % online.length;
+        roundRobinIndex[department.id] = index + 1;
+        return online[index];
+    };
+
+    // Garante um agente para o chamado (mantém o atual, se houver) e devolve o chamado atualizado.
+    const routeTicket = async (ticketId, exclude = null) => {
+        const ticket = await getTicketById(ticketId);
+        if (ticket.agente) return ticket;
+        const agent = await pickAgent(directory.get(ticket.departamento), ticket.user_phone, exclude);
+        if (agent) {
+            await assignTicket(ticket.id, agent);
+            ticket.agente = agent;
+        }
+        return ticket;
+    };
+
+    // Protocolo e posição na fila (só enquanto nenhum agente assumiu), para anexar às confirmações enviadas ao cliente.
+    const ticketNotice = async (ticket) => {
+        const posicao = ticket.agente ? 0 : await getQueuePosition(ticket.id, ticket.departamento);
+        const fila = posicao > 0 ? `\n${tr(ticket.user_phone, 'ticket.queue', { posicao, departamento: directory.nameIn(ticket.departamento, langOf(ticket.user_phone)) })}` : '';
+        return `\n${tr(ticket.user_phone, 'ticket.protocol', { protocolo: formatProtocol(ticket) })}${fila}`;
+    };
+
+    // Quem recebe os avisos de um chamado: o agente dele ou, se ainda não tem, todo o departamento.
+    const ticketRecipients = (ticket) => (ticket.agente ? [ticket.agente] : directory.get(ticket.departamento).agents);
+
+    // Envia o alerta ao agente do chamado. Fora do horário, guarda o pedido para o resumo da abertura;
+    // sem agente online, o chamado espera na fila (ver assignWaitingTickets).
+    const alertAgent = async (ticket, alerta, motivo) => {
+        if (!isTeamAvailable()) {
+            await saveCallback(ticket.user_phone, ticket.user_name, ticket.id, motivo);
+            return;
+        }
+        if (ticket.agente) await transport.sendText(ticket.agente, alerta);
+    };
+
+    const formatQueuedAlert = (ticket) => `📥 *CHAMADO DA FILA* 📥\n\n${ticketTag(ticket.id)}\n👤 *Cliente:* ${ticket.user_name || 'Sem nome'}\n📂 *Departamento:* ${directory.get(ticket.departamento).name}\n📝 *Relato:* "${ticket.relato}"\n📱 *Link:* https://wa.me/${ticket.user_phone.split('@')[0]}\n\n${REPLY_HINT}`;
+
+    // Distribui os chamados que ficaram sem agente quando um agente volta a ficar online.
+    const assignWaitingTickets = async (agent) => {
+        const departamentos = directory.departmentsOf(agent).map(department => department.id);
+        const pendentes = (await listOpenTickets()).filter(ticket => !ticket.agente && departamentos.includes(directory.get(ticket.departamento).id));
+        let distribuidos = 0;
+        for (const pendente of pendentes) {
+            const ticket = await routeTicket(pendente.id);
+            if (!ticket.agente) continue;
+            await transport.sendText(ticket.agente, formatQueuedAlert(ticket));
+            distribuidos++;
+        }
+        return distribuidos;
+    };
+
+    // --- ANEXOS DOS CLIENTES ---
+    // Estágios em que fotos, vídeos e documentos são guardados no chamado. Nos demais, uma mídia
+    // sem legenda recebe uma dica de como falar com um especialista.
+    const MEDIA_STAGES = [STAGES.SUPORTE_TRIAGEM, STAGES.AGUARDANDO_HUMANO, 'MODO_SILENCIOSO'];
+
+    // Baixa e valida a mídia do cliente. Retorna null, já avisando o cliente, quando o arquivo não pôde ser aceito.
+    const downloadCustomerMedia = async (msg) => {
+        const media = await msg.downloadMedia();
+        if (!media) {
+            await transport.sendText(msg.from, tr(msg.from, 'media.downloadFailed'));
+            return null;
+        }
+        const problema = attachments.check(media);
+        if (problema) {
+            await transport.sendText(msg.from, problema.code === 'tipo'
+                ? tr(msg.from, 'media.typeNotAllowed')
+                : tr(msg.from, 'media.tooLarge', { tamanho: problema.size, limite: problema.max }));
+            return null;
+        }
+        return media;
+    };
+
+    // Guarda a mídia no chamado e repassa o arquivo ao agente responsável (dentro do horário).
+    // Retorna false quando o arquivo não pôde ser aceito.
+    const receiveCustomerMedia = async (msg, ticket, userName) => {
+        const media = await downloadCustomerMedia(msg);
+        if (!media) return false;
+        await saveAttachment(ticket.id, msg.from, await attachments.save(media, ticket.id));
+        if (isTeamAvailable() && ticket.agente) {
+            const legenda = (msg.body || '').trim();
+            await transport.sendMedia(ticket.agente, media, {
+                caption: `📎 *Anexo do cliente* (${userName})\n${ticketTag(ticket.id)}${legenda ? `\n\n_"${legenda}"_` : ''}\n\n${REPLY_HINT}`
+            });
+        }
+        return true;
+    };
+
+    // --- TRIAGEM TÉCNICA GUIADA ---
+    // As respostas ficam no contexto da sessão (triagem: { etapa, respostas, erros, produto, anexos })
+    // até o chamado ser aberto. Arquivos enviados no meio das perguntas vão junto com o chamado.
+    const AUTOAJUDA = 'autoajuda'; // Última etapa: o cliente diz se os passos de autoajuda resolveram
+
+    const startTriage = async (userPhone, userName) => {
+        await setUserState(userPhone, STAGES.SUPORTE_TRIAGEM, userName);
+        await updateUserContext(userPhone, { triagem: { etapa: triage.firstStep, respostas: {}, erros: [], produto: null, anexos: [] } });
+        await transport.sendText(userPhone, tr(userPhone, 'triage.start', { pergunta: formatTriageQuestion(userPhone, triage.getStep(triage.firstStep)) }));
+    };
+
+    // Pergunta no idioma do cliente; nas etapas com opções, a instrução de resposta vem do arquivo de idioma.
+    const formatTriageQuestion = (userPhone, step) => {
+        const pergunta = triage.formatQuestion(step, langOf(userPhone));
+        return step.options ? `${pergunta}\n\n${tr(userPhone, 'triage.chooseOption')}` : pergunta;
+    };
+
+    const currentTriagePrompt = (userPhone, triagem) => (triagem.etapa === AUTOAJUDA ? tr(userPhone, 'triage.selfHelpQuestion') : formatTriageQuestion(userPhone, triage.getStep(triagem.etapa)));
+
+    const formatErrorCodes = (userPhone, codigo, erros) => {
+        if (erros.length === 0) return tr(userPhone, 'triage.unknownCode', { codigo });
+        return erros.map(erro => `🔢 *${erro.code}* (${erro.brand}): ${triage.describeError(erro, langOf(userPhone))}`).join('\n');
+    };
+
+    const formatSelfHelp = (userPhone, passos) => tr(userPhone, 'triage.selfHelp', {
+        passos: passos.map((passo, index) => `*${index + 1}.* ${passo}`).join('\n'),
+        pergunta: tr(userPhone, 'triage.selfHelpQuestion')
+    });
+
+    // Texto do diagnóstico para o alerta do técnico.
+    const formatDiagnosis = (diagnostico) => {
+        let texto = `📋 *Triagem:*\n${diagnostico.respostas.map(item => `• *${item.titulo}:* ${item.resposta}`).join('\n')}`;
+        diagnostico.erros.forEach(erro => { texto += `\n🔢 *${erro.code}* (${erro.brand}): ${erro.description}`; });
+        if (diagnostico.autoajuda.length > 0) texto += `\n🧰 _Cliente tentou ${diagnostico.autoajuda.length} passo(s) de autoajuda, sem sucesso._`;
+        return texto;
+    };
+
+    // Os arquivos enviados durante as perguntas entram no chamado e vão ao agente responsável.
+    const attachTriageFiles = async (chamado, userPhone, userName, triagem) => {
+        for (const arquivo of triagem.anexos) {
+            await saveAttachment(chamado.id, userPhone, arquivo);
+            if (isTeamAvailable() && chamado.agente) {
+                await transport.sendFile(chamado.agente, arquivo.path, { fileName: arquivo.fileName, caption: `📎 *Anexo do cliente* (${userName})\n${ticketTag(chamado.id)}\n\n${REPLY_HINT}` });
+            }
+        }
+        await updateUserContext(userPhone, { triagem: null });
+    };
+
+    // Triagem que termina sem chamado (resolvida, sair, menu, inatividade ou sessão reiniciada):
+    // os arquivos guardados nela não têm mais para onde ir e são apagados do disco.
+    const discardTriage = async (userPhone, userState) => {
+        const { triagem } = getUserContext(userState);
+        if (!triagem) return;
+        await Promise.all((triagem.anexos || []).map(arquivo => attachments.remove(arquivo)));
+        await updateUserContext(userPhone, { triagem: null });
+    };
+
+    // Pedido de especialista no meio das perguntas: os arquivos já enviados vão para o chamado aberto.
+    const handOverTriageFiles = async (chamado, userPhone, userState) => {
+        const { triagem } = getUserContext(userState);
+        if (triagem) await attachTriageFiles(chamado, userPhone, userState.nome, triagem);
+    };
+
+    const openTriageTicket = async (userPhone, userName, triagem) => {
+        const diagnostico = {
+            respostas: triage.describe(triagem.respostas),
+            erros: triagem.erros.map(({ code, brand, description }) => ({ code, brand, description })),
+            autoajuda: triagem.etapa === AUTOAJUDA ? triage.selfHelpFor(triagem.respostas, triagem.erros) : []
+        };
+        const relato = diagnostico.respostas.map(item => item.resposta).join(' • ');
+        // Só para o alerta da equipe: sem produto identificado, o chamado guarda NULL.
+        const nomeProduto = triagem.produto || 'Equipamento não especificado';
+        await transport.sendTyping(userPhone);
+        await delay(1500);
+        const linkWppSuporte = `https://wa.me/${userPhone.split('@')[0]}`;
+        const novoChamado = await saveTicket(userPhone, userName, triagem.produto, relato, departmentId(DEPARTMENTS.SUPORTE), diagnostico); // Salva o chamado no DB
+        const chamado = await routeTicket(novoChamado.lastID);
+        await transport.sendText(userPhone, withHoursNote(userPhone, tr(userPhone, 'triage.opened', { nome: userName, aviso: await ticketNotice(chamado) })));
+        await rememberCustomer(userPhone, { equipamento: triagem.produto, assunto: { tipo: 'chamado', ref: chamado.id, chave: triagem.produto ? 'support' : 'supportNoProduct', vars: { produto: triagem.produto } } });
+        await alertAgent(chamado, `🛠️ *NOVO CHAMADO TÉCNICO* 🛠️\n\n${ticketTag(chamado.id)}\n👤 *Cliente:* ${userName}\n❄️ *Possível Produto:* ${nomeProduto}\n${formatDiagnosis(diagnostico)}\n${await formatCustomerHistory(userPhone, chamado.id)}📱 *Link:* ${linkWppSuporte}\n\n${REPLY_HINT}`, `Suporte técnico: ${relato}`);
+        await attachTriageFiles(chamado, userPhone, userName, triagem);
+        await setUserState(userPhone, 'MODO_SILENCIOSO', userName); // Pausa o bot para este usuário
+        await startWaitingForReply(userPhone);
+    };
+
+    const handleTriageInput = async (msg, userPhone, userState, texto, normalizedInput) => {
+        const { triagem } = getUserContext(userState);
+        if (!triagem) return startTriage(userPhone, userState.nome); // Sessão iniciada antes da triagem guiada
+
+        let resposta = texto;
+        if (msg.hasMedia) {
+            const media = await downloadCustomerMedia(msg);
+            if (!media) return;
+            triagem.anexos.push(await attachments.stage(media, userPhone));
+            await updateUserContext(userPhone, { triagem });
+            const step = triage.getStep(triagem.etapa);
+            // Uma foto sem legenda responde as perguntas abertas (ex: foto da etiqueta com o modelo).
+            if (!resposta && step && !step.options) resposta = '📎 Ver arquivo anexado';
+            if (!resposta) {
+                await transport.sendText(userPhone, tr(userPhone, 'triage.fileReceived', { pergunta: currentTriagePrompt(userPhone, triagem) }));
+                return;
+            }
+        }
+
+        if (triagem.etapa === AUTOAJUDA) {
+            if (normalizedInput === '1') {
+                await discardTriage(userPhone, userState);
+                await transport.sendText(userPhone, tr(userPhone, 'triage.solved', { nome: userState.nome }));
+                await askForRating(userPhone, userState.nome);
+                return;
+            }
+            if (normalizedInput === '2') return openTriageTicket(userPhone, userState.nome, triagem);
+            await transport.sendText(userPhone, `${tr(userPhone, 'triage.invalidOption')}\n\n${tr(userPhone, 'triage.selfHelpQuestion')}`);
+            return;
+        }
+
+        const step = triage.getStep(triagem.etapa);
+        const resultado = triage.answer(triagem.etapa, resposta);
+        if (!resultado) {
+            await transport.sendText(userPhone, `${tr(userPhone, 'triage.notUnderstood')}\n\n${formatTriageQuestion(userPhone, step)}`);
+            return;
+        }
+        triagem.respostas[step.id] = resultado.value;
+
+        let aviso = '';
+        if (step.lookup === 'product' && texto) {
+            const [produtoDetectado] = searchProducts(texto, { limit: 1 });
+            if (produtoDetectado) triagem.produto = produtoDetectado.n;
+        }
+        if (step.lookup === 'errorCode') {
+            triagem.erros = triage.lookupErrorCode(resultado.value, Object.values(triagem.respostas).join(' '));
+            aviso = `${formatErrorCodes(userPhone, resultado.value, triagem.erros)}\n\n`;
+        }
+
+        if (resultado.next) {
+            triagem.etapa = resultado.next;
+            await updateUserContext(userPhone, { triagem });
+            await transport.sendText(userPhone, `${aviso}${currentTriagePrompt(userPhone, triagem)}`);
+            return;
+        }
+
+        // Fim das perguntas: oferece a autoajuda (se houver) antes de abrir o chamado.
+        const passos = triage.selfHelpFor(triagem.respostas, triagem.erros, langOf(userPhone));
+        if (passos.length === 0) {
+            if (aviso) await transport.sendText(userPhone, aviso.trim());
+            return openTriageTicket(userPhone, userState.nome, triagem);
+        }
+        triagem.etapa = AUTOAJUDA;
+        await updateUserContext(userPhone, { triagem });
+        await transport.sendText(userPhone, `${aviso}${formatSelfHelp(userPhone, passos)}`);
+    };
+
+    // --- ENVIO DO CATÁLOGO EM PDF ---
+    const sendCatalogPdf = async (userPhone, file, caption) => {
+        await transport.sendFile(userPhone, file.path, { fileName: file.fileName, caption });
+    };
+
+    // --- NAVEGAÇÃO POR CATEGORIAS (MENU 2) ---
+    // Categorias e subcategorias vêm das páginas "grid" do catalog.json (title/sub), então
+    // páginas novas aparecem aqui sem mudança de código. A posição do cliente fica em
+    // context.browse: { level, category, sub, offset }, por nome e não pelo índice da página,
+    // para sobreviver a um catalog.json recarregado; se a subcategoria sumiu, volta às categorias.
+    const BROWSE_PAGE_SIZE = 5;
+
+    const getCatalogCategories = () => {
+        const categories = [];
+        catalog.pages.forEach((page, pageIndex) => {
+            if (page.type !== 'grid' || !page.title || !page.items) return;
+            let category = categories.find(c => c.title === page.title);
+            if (!category) {
+                category = { title: page.title, pageIndexes: [] };
+                categories.push(category);
+            }
+            category.pageIndexes.push(pageIndex);
+        });
+        return categories;
+    };
+
+    const subcategoryName = (page) => page.sub || page.title;
+
+    // Índice da página da subcategoria em que o cliente está, ou -1.
+    const findBrowsePage = (browse) => catalog.pages.findIndex(page => page.type === 'grid' && page.items
+        && page.title === browse.category && subcategoryName(page) === browse.sub);
+
+    // Números escolhem itens da lista e "voltar"/"mais" navegam, em vez de acionar os comandos globais.
+    // No detalhe de um produto os números voltam a valer como atalhos (ex: 6 para o especialista).
+    const isBrowseCommand = (userState, normalizedInput) => {
+        if (userState.stage !== STAGES.NAVEGACAO_CATALOGO) return false;
+        if (['voltar', 'mais', 'pdf'].includes(normalizedInput)) return true;
+        const { browse = {} } = getUserContext(userState);
+        return browse.level !== 'detalhe' && /^[1-9]\d*$/.test(normalizedInput);
+    };
+
+    const showBrowseLevel = async (userPhone, userName, browse) => {
+        const categories = getCatalogCategories();
+        const category = categories.find(c => c.title === browse.category);
+        let texto;
+
+        if (browse.level === 'subcategorias' && category) {
+            texto = `📂 *${category.title}*\n\n`;
+            category.pageIndexes.forEach((pageIndex, index) => {
+                const page = catalog.pages[pageIndex];
+                texto += `${tr(userPhone, 'browse.subcategory', { numero: index + 1, nome: subcategoryName(page), total: page.items.length })}\n`;
+            });
+        } else if (browse.level === 'itens' && findBrowsePage(browse) >= 0) {
+            const page = catalog.pages[findBrowsePage(browse)];
+            const visiveis = page.items.slice(browse.offset, browse.offset + BROWSE_PAGE_SIZE);
+            texto = `📦 *${page.title} / ${page.sub}*\n\n`;
+            visiveis.forEach((item, index) => {
+                texto += `*${browse.offset + index + 1}.* ${item.n}\n   _${item.d}_\n`;
+            });
+            const restantes = page.items.length - (browse.offset + visiveis.length);
+            if (restantes > 0) texto += `\n${tr(userPhone, 'browse.more', { restantes })}`;
+        } else {
+            browse = { level: 'categorias' };
+            texto = `${tr(userPhone, 'browse.categories')}\n\n`;
+            categories.forEach((cat, index) => {
+                texto += `*${index + 1}.* ${cat.title}\n`;
+            });
+            texto += `\n${tr(userPhone, 'browse.searchHint')}`;
+        }
+
+        await transport.sendText(userPhone, `${texto}\n\n${tr(userPhone, 'browse.footer')}`);
+        await setUserState(userPhone, STAGES.NAVEGACAO_CATALOGO, userName);
+        await updateUserContext(userPhone, { browse });
+    };
+
+    const openCategory = async (userPhone, userName, category) => {
+        // Categorias com uma única página pulam direto para a lista de itens.
+        if (category.pageIndexes.length === 1) {
+            await showBrowseLevel(userPhone, userName, { level: 'itens', category: category.title, sub: subcategoryName(catalog.pages[category.pageIndexes[0]]), offset: 0 });
+        } else {
+            await showBrowseLevel(userPhone, userName, { level: 'subcategorias', category: category.title });
+        }
+    };
+
+    const handleBrowseInput = async (userPhone, userState, texto, normalizedInput) => {
+        const { browse = { level: 'categorias' } } = getUserContext(userState);
+        const categories = getCatalogCategories();
+        const category = categories.find(c => c.title === browse.category);
+        const escolha = /^[1-9]\d*$/.test(normalizedInput) ? parseInt(normalizedInput, 10) : null;
+
+        if (normalizedInput === 'voltar') {
+            if (browse.level === 'detalhe') {
+                return showBrowseLevel(userPhone, userState.nome, { ...browse, level: 'itens' });
+            }
+            if (browse.level === 'itens' && category && category.pageIndexes.length > 1) {
+                return showBrowseLevel(userPhone, userState.nome, { level: 'subcategorias', category: category.title });
+            }
+            if (browse.level === 'categorias') {
+                return sendMainMenu(userPhone, userState.nome);
+            }
+            return showBrowseLevel(userPhone, userState.nome, { level: 'categorias' });
+        }
+
+        if (normalizedInput === 'mais' && browse.level === 'itens') {
+            const page = catalog.pages[findBrowsePage(browse)];
+            if (page && browse.offset + BROWSE_PAGE_SIZE < page.items.length) {
+                return showBrowseLevel(userPhone, userState.nome, { ...browse, offset: browse.offset + BROWSE_PAGE_SIZE });
+            }
+            await transport.sendText(userPhone, tr(userPhone, 'browse.allShown'));
+            return;
+        }
+
+        if (normalizedInput === 'pdf') {
+            // Na lista de itens (ou no detalhe) vai só aquela página; em uma categoria, a categoria inteira.
+            const pageIndex = findBrowsePage(browse);
+            const secao = ['itens', 'detalhe'].includes(browse.level) && pageIndex >= 0 ? { pageIndex }
+                : browse.level === 'subcategorias' ? { category: browse.category } : null;
+            await transport.sendText(userPhone, tr(userPhone, 'browse.preparingPdf'));
+            try {
+                const arquivo = (secao && await pdf.getSectionPdf(catalog.pages, secao)) || await pdf.getFullCatalogPdf(catalog.pages);
+                await sendCatalogPdf(userPhone, arquivo, `${tr(userPhone, 'browse.pdfCaption', { nome: userState.nome })}\n\n${tr(userPhone, 'browse.footer')}`);
+            } catch (e) {
+                console.error('Erro ao enviar PDF da seção:', e);
+                await transport.sendText(userPhone, tr(userPhone, 'browse.pdfError'));
+            }
+            return;
+        }
+
+        if (escolha !== null && browse.level !== 'detalhe') {
+            if (browse.level === 'categorias' && categories[escolha - 1]) {
+                return openCategory(userPhone, userState.nome, categories[escolha - 1]);
+            }
+            if (browse.level === 'subcategorias' && category && category.pageIndexes[escolha - 1] !== undefined) {
+                return showBrowseLevel(userPhone, userState.nome, { level: 'itens', category: category.title, sub: subcategoryName(catalog.pages[category.pageIndexes[escolha - 1]]), offset: 0 });
+            }
+            const page = browse.level === 'itens' ? catalog.pages[findBrowsePage(browse)] : null;
+            if (page && page.items[escolha - 1]) {
+                const produto = getProductByRef(catalog.pages, productRef(page, page.items[escolha - 1]));
+                await showProductDetails(userPhone, produto, `\n\n${tr(userPhone, 'product.backToList')}`);
+                await updateUserContext(userPhone, { browse: { ...browse, level: 'detalhe' } });
+                return;
+            }
+            await transport.sendText(userPhone, `${tr(userPhone, 'browse.invalid')} ${tr(userPhone, 'browse.footer')}`);
+            return;
+        }
+
+        // Texto livre durante a navegação continua funcionando como busca de produto.
+        const resultados = searchProducts(texto, { limit: SHORTLIST_SIZE });
+        if (resultados.length > 0) {
+            await sendProductResults(userPhone, userState.nome, resultados);
+        } else {
+            await transport.sendText(userPhone, `${tr(userPhone, 'browse.notFound')} ${tr(userPhone, 'browse.footer')}`);
+        }
+    };
+
+    // --- ORÇAMENTO (CARRINHO) ---
+    // O carrinho em construção fica em context.cart ([{ ref, n, category, qty }]). Só ao
+    // confirmar ele vira um registro em "orcamentos" e é enviado ao especialista de vendas.
+    const MAX_QUANTITY = 999;
+    const QUOTE_HISTORY_SIZE = 5;
+    // Estágios em que "add", "orcamento" e "meus orcamentos" são aceitos.
+    const CART_COMMAND_STAGES = [STAGES.MENU_PRINCIPAL, STAGES.ESCOLHA_PRODUTO, STAGES.NAVEGACAO_CATALOGO];
+    // Estágios em que um número responde à pergunta do bot em vez de acionar os atalhos do menu.
+    const NUMERIC_INPUT_STAGES = [
+        STAGES.RETORNO_CLIENTE, STAGES.ORCAMENTO_QUANTIDADE, STAGES.ORCAMENTO_HISTORICO, STAGES.SUPORTE_TRIAGEM,
+        STAGES.AGENDAMENTO_SERVICO, STAGES.AGENDAMENTO_EQUIPAMENTO, STAGES.AGENDAMENTO_ENDERECO,
+        STAGES.AGENDAMENTO_HORARIO, STAGES.AGENDAMENTO_CONFIRMACAO, STAGES.AGENDAMENTO_GERENCIAR
+    ];
+
+    const isNumericStageInput = (userState, normalizedInput) => {
+        return NUMERIC_INPUT_STAGES.includes(userState.stage) && /^[1-9]\d*$/.test(normalizedInput);
+    };
+
+    const formatCartItems = (cart) => cart.map((item, index) => `*${index + 1}.* ${item.qty}x ${item.n}\n   _${item.category}_`).join('\n');
+
+    const showCart = async (userPhone, userName, cart) => {
+        if (!cart || cart.length === 0) {
+            await transport.sendText(userPhone, tr(userPhone, 'cart.empty'));
+            await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userName);
+            return;
+        }
+        await transport.sendText(userPhone, `${tr(userPhone, 'cart.title')}\n\n${formatCartItems(cart)}\n\n${tr(userPhone, 'cart.help')}`);
+        await setUserState(userPhone, STAGES.ORCAMENTO_REVISAO, userName);
+    };
+
+    const showQuoteHistory = async (userPhone, userName) => {
+        const quotes = await listQuotesByPhone(userPhone, QUOTE_HISTORY_SIZE);
+        if (quotes.length === 0) {
+            await transport.sendText(userPhone, tr(userPhone, 'cart.noHistory'));
+            return;
+        }
+        let lista = `${tr(userPhone, 'cart.history')}\n\n`;
+        for (const [index, quote] of quotes.entries()) {
+            const itens = await getQuoteItems(quote.id);
+            const data = new Date(quote.timestamp).toLocaleDateString(dateLocale(userPhone), { timeZone: 'America/Sao_Paulo' });
+            lista += `${tr(userPhone, 'cart.historyItem', { numero: index + 1, id: quote.id, data })}\n   _${itens.map(item => `${item.quantidade}x ${item.produto}`).join(', ')}_\n`;
+        }
+        lista += `\n${tr(userPhone, 'cart.historyHint')}`;
+        await transport.sendText(userPhone, lista);
+        await setUserState(userPhone, STAGES.ORCAMENTO_HISTORICO, userName);
+        await updateUserContext(userPhone, { quoteHistory: quotes.map(quote => quote.id) });
+    };
+
+    // Comandos do orçamento aceitos durante a busca e a navegação. Retorna true se tratou a mensagem.
+    const handleCartCommand = async (userPhone, userState, normalizedInput) => {
+        const context = getUserContext(userState);
+        if (['add', 'adicionar'].includes(normalizedInput)) {
+            if (!context.lastProduct) {
+                await transport.sendText(userPhone, tr(userPhone, 'cart.addFirst'));
+                return true;
+            }
+            await transport.sendText(userPhone, tr(userPhone, 'cart.quantity', { produto: context.lastProduct.n }));
+            await setUserState(userPhone, STAGES.ORCAMENTO_QUANTIDADE, userState.nome);
+            return true;
+        }
+        if (['meus orcamentos', 'orcamentos anteriores'].includes(normalizedInput)) {
+            await showQuoteHistory(userPhone, userState.nome);
+            return true;
+        }
+        if (['orcamento', 'carrinho'].includes(normalizedInput)) {
+            await showCart(userPhone, userState.nome, context.cart);
+            return true;
+        }
+        return false;
+    };
+
+    const handleQuoteQuantity = async (userPhone, userState, normalizedInput) => {
+        const { lastProduct, cart = [] } = getUserContext(userState);
+        const quantidade = parseInt(normalizedInput, 10);
+        if (!lastProduct) {
+            await sendMainMenu(userPhone, userState.nome);
+            return;
+        }
+        if (String(quantidade) !== normalizedInput || quantidade < 1 || quantidade > MAX_QUANTITY) {
+            await transport.sendText(userPhone, tr(userPhone, 'cart.invalidQuantity', { maximo: MAX_QUANTITY }));
+            return;
+        }
+        // Se o produto já está no carrinho, soma as quantidades.
+        const existente = cart.find(item => item.n === lastProduct.n);
+        if (existente) {
+            existente.qty = Math.min(existente.qty + quantidade, MAX_QUANTITY);
+        } else {
+            cart.push({ ...lastProduct, qty: quantidade });
+        }
+        await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userState.nome);
+        await updateUserContext(userPhone, { cart });
+        const itens = tr(userPhone, cart.length === 1 ? 'cart.itemOne' : 'cart.itemOther', { total: cart.length });
+        await transport.sendText(userPhone, tr(userPhone, 'cart.added', { quantidade, produto: lastProduct.n, itens }));
+    };
+
+    const handleCartReview = async (userPhone, userState, normalizedInput) => {
+        const { cart = [] } = getUserContext(userState);
+        const [comando, arg1, arg2] = normalizedInput.split(/\s+/);
+        const item = cart[parseInt(arg1, 10) - 1];
+
+        switch (comando) {
+            case 'alterar': {
+                const quantidade = parseInt(arg2, 10);
+                if (!item || !(quantidade >= 1 && quantidade <= MAX_QUANTITY)) {
+                    await transport.sendText(userPhone, tr(userPhone, 'cart.changeUsage'));
+                    return;
+                }
+                item.qty = quantidade;
+                await updateUserContext(userPhone, { cart });
+                await showCart(userPhone, userState.nome, cart);
+                return;
+            }
+            case 'remover':
+                if (!item) {
+                    await transport.sendText(userPhone, tr(userPhone, 'cart.removeUsage'));
+                    return;
+                }
+                cart.splice(cart.indexOf(item), 1);
+                await updateUserContext(userPhone, { cart });
+                await showCart(userPhone, userState.nome, cart);
+                return;
+            case 'limpar':
+                await updateUserContext(userPhone, { cart: [] });
+                await showCart(userPhone, userState.nome, []);
+                return;
+            case 'finalizar':
+                if (cart.length === 0) {
+                    await showCart(userPhone, userState.nome, cart);
+                    return;
+                }
+                await transport.sendText(userPhone, tr(userPhone, 'cart.askDelivery'));
+                await setUserState(userPhone, STAGES.ORCAMENTO_ENTREGA, userState.nome);
+                return;
+            default:
+                await transport.sendText(userPhone, `${tr(userPhone, 'cart.notUnderstood')}\n\n${tr(userPhone, 'cart.help')}`);
+        }
+    };
+
+    const handleQuoteDelivery = async (userPhone, userState, texto) => {
+        const cepMatch = texto.match(/\b(\d{5})-?(\d{3})\b/);
+        const cep = cepMatch ? `${cepMatch[1]}-${cepMatch[2]}` : '';
+        const cidade = texto.replace(cepMatch ? cepMatch[0] : '', '').replace(/^[\s,.;-]+|[\s,.;-]+$/g, '');
+        if (!cep && cidade.length < 3) {
+            await transport.sendText(userPhone, tr(userPhone, 'cart.deliveryInvalid'));
+            return;
+        }
+        const { cart = [] } = await updateUserContext(userPhone, { delivery: { cep, cidade } });
+        const entrega = [cep, cidade].filter(Boolean).join(' - ');
+        await transport.sendText(userPhone, tr(userPhone, 'cart.review', { itens: formatCartItems(cart), entrega }));
+        await setUserState(userPhone, STAGES.ORCAMENTO_CONFIRMACAO, userState.nome);
+    };
+
+    const handleQuoteConfirmation = async (userPhone, userState, normalizedInput) => {
+        const { cart = [], delivery = {} } = getUserContext(userState);
+        if (['orcamento', 'carrinho', 'editar'].includes(normalizedInput)) {
+            await showCart(userPhone, userState.nome, cart);
+            return;
+        }
+        if (!['confirmar', 'sim', 'ok'].includes(normalizedInput)) {
+            await transport.sendText(userPhone, tr(userPhone, 'cart.confirmHint'));
+            return;
+        }
+        if (cart.length === 0) {
+            await showCart(userPhone, userState.nome, cart);
+            return;
+        }
+
+        const resumo = cart.map(item => `${item.qty}x ${item.n}`).join('; ');
+        const entrega = [delivery.cep, delivery.cidade].filter(Boolean).join(' - ');
+        const chamado = await saveTicket(userPhone, userState.nome, resumo, `Orçamento: ${resumo} | Entrega: ${entrega}`, departmentId(DEPARTMENTS.VENDAS));
+        const quoteId = await saveQuote(userPhone, userState.nome, { cep: delivery.cep, cidade: delivery.cidade, chamadoId: chamado.lastID }, cart);
+        const ticket = await routeTicket(chamado.lastID);
+
+        const linkWpp = `https://wa.me/${userPhone.split('@')[0]}`;
+        const itensEspecialista = cart.map(item => `• ${item.qty}x ${item.n} _(${item.category})_`).join('\n');
+        await rememberCustomer(userPhone, { assunto: { tipo: 'chamado', ref: ticket.id, chave: 'quote', vars: { id: quoteId } } });
+        await alertAgent(ticket, `🧾 *NOVA SOLICITAÇÃO DE ORÇAMENTO* 🧾\n\n${ticketTag(ticket.id)}\n📄 *Orçamento:* #${quoteId}\n👤 *Cliente:* ${userState.nome}\n📍 *Entrega:* ${entrega}\n${await formatCustomerHistory(userPhone, ticket.id)}📱 *Link:* ${linkWpp}\n\n*Itens:*\n${itensEspecialista}\n\n${REPLY_HINT}`, `Orçamento #${quoteId}: ${resumo}`);
+        await transport.sendText(userPhone, withHoursNote(userPhone, tr(userPhone, 'cart.sent', { id: quoteId, nome: userState.nome, aviso: await ticketNotice(ticket) })));
+        await updateUserContext(userPhone, { cart: [], delivery: null });
+        await setUserState(userPhone, 'MODO_SILENCIOSO', userState.nome);
+        await startWaitingForReply(userPhone);
+    };
+
+    const handleQuoteHistory = async (userPhone, userState, normalizedInput) => {
+        const { quoteHistory = [] } = getUserContext(userState);
+        const quoteId = quoteHistory[parseInt(normalizedInput, 10) - 1];
+        if (!quoteId) {
+            await transport.sendText(userPhone, tr(userPhone, 'cart.historyInvalid', { total: quoteHistory.length }));
+            return;
+        }
+        const itens = await getQuoteItems(quoteId);
+        const cart = itens.map(item => ({ n: item.produto, category: item.categoria, qty: item.quantidade }));
+        await updateUserContext(userPhone, { cart });
+        await transport.sendText(userPhone, tr(userPhone, 'cart.reopened', { id: quoteId }));
+        await showCart(userPhone, userState.nome, cart);
+    };
+
+    // --- AGENDAMENTO DE INSTALAÇÃO E MANUTENÇÃO ---
+    // O pedido em construção fica em context.agendamento ({ servico, equipamento, endereco, cep,
+    // horarios, inicio, remarcarId }) e só vira um registro em "agendamentos" na confirmação.
+    // A disponibilidade é recalculada ao confirmar; o índice único do banco barra a reserva dupla.
+    const SLOT_PAGE_SIZE = 5;
+    const REMINDER_LEAD = 24 * 60 * 60 * 1000; // Lembrete na véspera
+
+    // Resumo da visita para o cliente. Sem técnico (pedido ainda não confirmado), a linha do técnico é omitida.
+    const formatBookingSummary = (userPhone, booking) => {
+        const resumo = tr(userPhone, 'booking.summary', {
+            servico: scheduler.serviceName(booking.servico, langOf(userPhone)),
+            equipamento: booking.equipamento,
+            endereco: booking.endereco,
+            cep: booking.cep ? tr(userPhone, 'booking.zipCode', { cep: booking.cep }) : '',
+            data: formatSlotFor(userPhone, booking.inicio)
+        });
+        if (!booking.tecnico) return resumo;
+        const tecnico = scheduler.getTechnician(booking.tecnico);
+        return `${resumo}\n${tr(userPhone, 'booking.technician', { tecnico: tecnico ? tecnico.name : booking.tecnico })}`;
+    };
+
+    // Para o técnico, sempre em português.
+    const formatBooking = (booking) => {
+        const tecnico = scheduler.getTechnician(booking.tecnico);
+        return `🛠️ *Serviço:* ${booking.servico}\n❄️ *Equipamento:* ${booking.equipamento}\n📍 *Endereço:* ${booking.endereco}${booking.cep ? ` (CEP ${booking.cep})` : ''}\n🗓️ *Data:* ${scheduler.formatSlot(booking.inicio)}\n👨‍🔧 *Técnico:* ${tecnico ? tecnico.name : booking.tecnico}`;
+    };
+
+    const freeSlots = async (now = Date.now()) => {
+        const booked = await listBookingsBetween(now, now + (scheduler.daysAhead + 1) * 24 * 60 * 60 * 1000);
+        return scheduler.availableSlots({ now, booked, isOpen: businessHours ? businessHours.isOpen : null });
+    };
+
+    // Envia o convite .ics e avisa o técnico (se ele tiver WhatsApp cadastrado).
+    const sendBookingFiles = async (booking, caption, avisoTecnico) => {
+        try {
+            const convite = await scheduler.writeIcs(booking);
+            await transport.sendFile(booking.user_phone, convite.path, { fileName: convite.fileName, caption });
+        } catch (e) {
+            console.error(`❌ Erro ao enviar o convite do agendamento #${booking.id}:`, e);
+            await transport.sendText(booking.user_phone, caption);
+        }
+        const tecnico = scheduler.getTechnician(booking.tecnico);
+        if (tecnico && tecnico.phone) {
+            await transport.sendText(tecnico.phone, `${avisoTecnico}\n\n👤 *Cliente:* ${booking.user_name}\n📱 https://wa.me/${booking.user_phone.split('@')[0]}\n${formatBooking(booking)}`);
+        }
+    };
+
+    const startBooking = async (userPhone, userName) => {
+        const ativo = await getUpcomingBookingByPhone(userPhone);
+        if (ativo) {
+            await transport.sendText(userPhone, tr(userPhone, 'booking.manage', { agendamento: formatBookingSummary(userPhone, ativo) }));
+            await setUserState(userPhone, STAGES.AGENDAMENTO_GERENCIAR, userName);
+            await updateUserContext(userPhone, { agendamento: { gerenciarId: ativo.id } });
+            return;
+        }
+        await askBookingService(userPhone, userName);
+    };
+
+    const askBookingService = async (userPhone, userName) => {
+        const servicos = scheduler.services.map((servico, index) => `*${index + 1}* - ${scheduler.serviceName(servico, langOf(userPhone))}`).join('\n');
+        await transport.sendText(userPhone, tr(userPhone, 'booking.askService', { servicos }));
+        await setUserState(userPhone, STAGES.AGENDAMENTO_SERVICO, userName);
+        await updateUserContext(userPhone, { agendamento: {} });
+    };
+
+    const handleBookingService = async (userPhone, userState, normalizedInput) => {
+        const servico = scheduler.services[parseInt(normalizedInput, 10) - 1];
+        if (!servico || !/^\d+$/.test(normalizedInput)) {
+            await transport.sendText(userPhone, tr(userPhone, 'booking.serviceInvalid', { total: scheduler.services.length }));
+            return;
+        }
+        await updateUserContext(userPhone, { agendamento: { servico } });
+        await transport.sendText(userPhone, tr(userPhone, 'booking.askEquipment'));
+        await setUserState(userPhone, STAGES.AGENDAMENTO_EQUIPAMENTO, userState.nome);
+    };
+
+    const askBookingAddress = async (userPhone, userName) => {
+        await transport.sendText(userPhone, tr(userPhone, 'booking.askAddress'));
+        await setUserState(userPhone, STAGES.AGENDAMENTO_ENDERECO, userName);
+    };
+
+    // O equipamento vem do catálogo: o texto digitado é buscado e o cliente escolhe na lista.
+    const handleBookingEquipment = async (userPhone, userState, texto, normalizedInput) => {
+        const { agendamento = {} } = getUserContext(userState);
+        const opcoes = agendamento.opcoes || [];
+        if (opcoes.length > 0 && /^\d+$/.test(normalizedInput)) {
+            const escolhido = opcoes[parseInt(normalizedInput, 10) - 1];
+            if (!escolhido) {
+                await transport.sendText(userPhone, tr(userPhone, 'booking.equipmentInvalid', { total: opcoes.length }));
+                return;
+            }
+            await updateUserContext(userPhone, { agendamento: { ...agendamento, equipamento: escolhido, opcoes: null } });
+            return askBookingAddress(userPhone, userState.nome);
+        }
+        if (opcoes.length > 0 && normalizedInput === 'outro') {
+            await updateUserContext(userPhone, { agendamento: { ...agendamento, equipamento: agendamento.digitado, opcoes: null } });
+            return askBookingAddress(userPhone, userState.nome);
+        }
+        if (texto.length < 3) {
+            await transport.sendText(userPhone, tr(userPhone, 'booking.equipmentTooShort'));
+            return;
+        }
+        const resultados = searchProducts(texto, { limit: SHORTLIST_SIZE });
+        if (resultados.length === 0) {
+            await updateUserContext(userPhone, { agendamento: { ...agendamento, equipamento: texto, opcoes: null } });
+            return askBookingAddress(userPhone, userState.nome);
+        }
+        const lista = resultados.map((produto, index) => `*${index + 1}* - ${produto.n}`).join('\n');
+        await updateUserContext(userPhone, { agendamento: { ...agendamento, opcoes: resultados.map(produto => produto.n), digitado: texto } });
+        await transport.sendText(userPhone, tr(userPhone, 'booking.equipmentOptions', { lista, digitado: texto }));
+    };
+
+    const handleBookingAddress = async (userPhone, userState, texto) => {
+        const cepMatch = texto.match(/\b(\d{5})-?(\d{3})\b/);
+        const endereco = texto.replace(cepMatch ? cepMatch[0] : '', '').replace(/^[\s,.;-]+|[\s,.;-]+$/g, '').replace(/\s*,\s*(,\s*)+/g, ', ');
+        if (!cepMatch || endereco.length < 8) {
+            await transport.sendText(userPhone, tr(userPhone, 'booking.addressInvalid'));
+            return;
+        }
+        const { agendamento = {} } = await updateUserContext(userPhone, { agendamento: { ...getUserContext(userState).agendamento, endereco, cep: `${cepMatch[1]}-${cepMatch[2]}` } });
+        await showBookingSlots(userPhone, userState.nome, agendamento);
+    };
+
+    const showBookingSlots = async (userPhone, userName, agendamento, offset = 0) => {
+        const slots = await freeSlots();
+        if (slots.length === 0) {
+            await transport.sendText(userPhone, tr(userPhone, 'booking.noSlots', { dias: scheduler.daysAhead }));
+            await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userName);
+            return;
+        }
+        const inicio = offset < slots.length ? offset : 0;
+        const pagina = slots.slice(inicio, inicio + SLOT_PAGE_SIZE);
+        const lista = pagina.map((slot, index) => `*${index + 1}* - ${formatSlotFor(userPhone, slot.start)}`).join('\n');
+        const mais = inicio + SLOT_PAGE_SIZE < slots.length ? tr(userPhone, 'booking.moreSlots') : '';
+        await transport.sendText(userPhone, tr(userPhone, 'booking.slots', { lista, mais }));
+        await setUserState(userPhone, STAGES.AGENDAMENTO_HORARIO, userName);
+        await updateUserContext(userPhone, { agendamento: { ...agendamento, horarios: pagina.map(slot => slot.start), offset: inicio } });
+    };
+
+    const handleBookingSlot = async (userPhone, userState, normalizedInput) => {
+        const { agendamento = {} } = getUserContext(userState);
+        const horarios = agendamento.horarios || [];
+        if (normalizedInput === 'mais') {
+            return showBookingSlots(userPhone, userState.nome, agendamento, (agendamento.offset || 0) + SLOT_PAGE_SIZE);
+        }
+        const inicio = /^\d+$/.test(normalizedInput) ? horarios[parseInt(normalizedInput, 10) - 1] : undefined;
+        if (!inicio) {
+            await transport.sendText(userPhone, tr(userPhone, 'booking.slotInvalid', { total: horarios.length }));
+            return;
+        }
+        await updateUserContext(userPhone, { agendamento: { ...agendamento, inicio } });
+        const resumo = formatBookingSummary(userPhone, { ...agendamento, inicio, tecnico: null });
+        await transport.sendText(userPhone, tr(userPhone, 'booking.review', { resumo }));
+        await setUserState(userPhone, STAGES.AGENDAMENTO_CONFIRMACAO, userState.nome);
+    };
+
+    const handleBookingConfirmation = async (userPhone, userState, normalizedInput) => {
+        const { agendamento = {} } = getUserContext(userState);
+        if (normalizedInput === '2') return showBookingSlots(userPhone, userState.nome, agendamento, agendamento.offset);
+        if (normalizedInput !== '1') {
+            await transport.sendText(userPhone, tr(userPhone, 'booking.confirmInvalid'));
+            return;
+        }
+
+        // Tenta os técnicos livres no horário; se outro cliente reservou antes, o banco recusa.
+        const now = Date.now();
+        const slot = (await freeSlots(now)).find(candidate => candidate.start === agendamento.inicio);
+        let bookingId = null;
+        for (const tecnico of (slot ? slot.technicians : [])) {
+            const horario = { tecnico, inicio: slot.start, fim: slot.end };
+            if (agendamento.remarcarId) {
+                if (await rescheduleBooking(agendamento.remarcarId, horario)) bookingId = agendamento.remarcarId;
+            } else {
+                bookingId = await saveBooking(userPhone, userState.nome, { ...agendamento, ...horario });
+            }
+            if (bookingId) break;
+        }
+        if (!bookingId) {
+            await transport.sendText(userPhone, tr(userPhone, 'booking.slotTaken'));
+            return showBookingSlots(userPhone, userState.nome, agendamento);
+        }
+
+        // Visitas para as próximas 24 horas já contam a confirmação como lembrete.
+        if (agendamento.inicio - now <= REMINDER_LEAD) await markBookingReminded(bookingId, now);
+        const booking = await getBookingById(bookingId);
+        await rememberCustomer(userPhone, { equipamento: booking.equipamento, assunto: { tipo: 'agendamento', ref: booking.id, chave: 'booking', vars: { servico: booking.servico, id: booking.id } } });
+        const titulo = tr(userPhone, agendamento.remarcarId ? 'booking.rescheduled' : 'booking.confirmed', { id: booking.id });
+        await sendBookingFiles(booking, tr(userPhone, 'booking.confirmedCaption', { titulo, agendamento: formatBookingSummary(userPhone, booking) }),
+            agendamento.remarcarId ? `🔁 *AGENDAMENTO #${booking.id} REMARCADO*` : `🗓️ *NOVO AGENDAMENTO #${booking.id}*`);
+        await updateUserContext(userPhone, { agendamento: null });
+        await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userState.nome);
+        console.log(`🗓️  Agendamento #${booking.id} ${agendamento.remarcarId ? 'remarcado' : 'confirmado'} para ${userPhone} (${booking.tecnico}).`);
+    };
+
+    const handleBookingManagement = async (userPhone, userState, normalizedInput) => {
+        const { agendamento = {} } = getUserContext(userState);
+        const booking = agendamento.gerenciarId && await getBookingById(agendamento.gerenciarId);
+        if (!booking || booking.status !== 'confirmado') return startBooking(userPhone, userState.nome);
+        switch (normalizedInput) {
+            case '1': {
+                const { servico, equipamento, endereco, cep } = booking;
+                return showBookingSlots(userPhone, userState.nome, { servico, equipamento, endereco, cep, remarcarId: booking.id });
+            }
+            case '2':
+                await cancelBooking(booking.id);
+                await sendBookingFiles({ ...booking, status: 'cancelado' }, tr(userPhone, 'booking.cancelled', { id: booking.id }), `❌ *AGENDAMENTO #${booking.id} CANCELADO*`);
+                await updateUserContext(userPhone, { agendamento: null });
+                await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userState.nome);
+                console.log(`🗓️  Agendamento #${booking.id} cancelado por ${userPhone}.`);
+                return;
+            case '3':
+                return askBookingService(userPhone, userState.nome);
+            default:
+                await transport.sendText(userPhone, tr(userPhone, 'booking.manageInvalid'));
+        }
+    };
+
+    // --- FUNÇÃO PARA ENVIAR O MENU PRINCIPAL (TEXTO) ---
+    // Cabeçalho do arquivo de idioma e seções do menu.json (ver src/menu.js).
+    const sendMainMenu = async (userPhone, userName) => {
+        const menuText = `${tr(userPhone, 'menu.header', { nome: userName })}\n\n${texts.menu.render(langOf(userPhone))}`;
+
+        await transport.sendText(userPhone, menuText);
+        await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userName);
+    };
+
+
+    // --- PRIVACIDADE (LGPD) ---
+    // O aceite da política (tabela "consentimentos") vem antes de qualquer dado pessoal: a sessão
+    // fica sem nome até lá, então os comandos globais não funcionam. #meusdados e #apagar valem
+    // a qualquer momento; o que passar do prazo de retenção é anonimizado por purgeExpiredData.
+    const CONSENT_ACCEPT = ['1', 'aceito', 'sim', 'concordo'];
+    const CONSENT_DECLINE = ['2', 'nao', 'nao aceito'];
+    // "confirmar" é a forma canônica dos apelidos em outros idiomas (ex: "#erase confirm").
+    const ERASE_CONFIRMATIONS = ['confirmo', 'confirmar'];
+
+    const askForConsent = async (userPhone, customer) => {
+        const saudacao = customer && customer.nome
+            ? tr(userPhone, 'privacy.welcomeBack', { nome: customer.nome })
+            : tr(userPhone, 'privacy.welcome');
+        await transport.sendTyping(userPhone);
+        await delay(1500);
+        const consentimento = tr(userPhone, 'privacy.consent', {
+            saudacao,
+            dias: privacy.retentionDays,
+            politica: privacy.policyUrl ? tr(userPhone, 'privacy.policyLink', { url: privacy.policyUrl }) : ''
+        });
+        const convite = languageOffer(userPhone);
+        await transport.sendText(userPhone, convite ? `${consentimento}\n\n${convite}` : consentimento);
+        await setUserState(userPhone, STAGES.CONSENTIMENTO, '');
+    };
+
+    const handleConsent = async (userPhone, normalizedInput) => {
+        if (CONSENT_ACCEPT.includes(normalizedInput)) {
+            await saveConsent(userPhone, privacy.version);
+            console.log(`🔒 Consentimento ${privacy.version} registrado para ${userPhone}.`);
+            const customer = await getCustomer(userPhone);
+            if (customer && customer.nome) return greetReturningCustomer(userPhone, customer);
+            await transport.sendText(userPhone, `${tr(userPhone, 'privacy.accepted')}\n\n${tr(userPhone, 'privacy.namePrompt')}`);
+            await setUserState(userPhone, STAGES.CAPTURA_NOME, '');
+            return;
+        }
+        if (CONSENT_DECLINE.includes(normalizedInput)) {
+            await deleteUserState(userPhone);
+            await transport.sendText(userPhone, tr(userPhone, 'privacy.declined'));
+            return;
+        }
+        await transport.sendText(userPhone, tr(userPhone, 'privacy.consentInvalid'));
+    };
+
+    // Envia em JSON tudo o que o banco guarda sobre o telefone; o arquivo não fica no servidor.
+    const sendCustomerData = async (userPhone) => {
+        const arquivo = await privacy.writeExport(userPhone, await exportCustomerData(userPhone));
+        try {
+            await transport.sendFile(userPhone, arquivo.path, {
+                fileName: arquivo.fileName,
+                caption: tr(userPhone, 'privacy.exportCaption')
+            });
+        } finally {
+            await privacy.removeExport(arquivo);
+        }
+        console.log(`🔒 Cópia dos dados enviada para ${userPhone}.`);
+    };
+
+    // Além dos anexos dos chamados, apaga os da triagem em andamento: eles só existem no contexto
+    // da sessão e na pasta do telefone (anexos/triagem/<telefone>/), e a sessão some na anonimização.
+    const anonymizeWithFiles = async (userPhone, descricao) => {
+        const { triagem } = getUserContext(await getUserState(userPhone));
+        const { arquivos } = await anonymizeCustomer(userPhone, descricao);
+        const daTriagem = triagem && triagem.anexos ? triagem.anexos.map(arquivo => arquivo.path) : [];
+        for (const arquivo of [...arquivos, ...daTriagem]) await attachments.remove({ path: arquivo });
+        await attachments.removeStaged(userPhone);
+    };
+
+    const eraseCustomerData = async (userPhone, confirmacao) => {
+        if (!ERASE_CONFIRMATIONS.includes(confirmacao)) {
+            await transport.sendText(userPhone, tr(userPhone, 'privacy.eraseConfirm'));
+            return;
+        }
+        // Quem estava cuidando do cliente é avisado antes que telefone e agendamento deixem de existir.
+        const aberto = await getOpenTicketByPhone(userPhone);
+        const visita = await getUpcomingBookingByPhone(userPhone, Date.now());
+        await anonymizeWithFiles(userPhone, 'Dados apagados a pedido do cliente');
+        if (aberto && aberto.agente) {
+            await transport.sendText(aberto.agente, `🔒 *DADOS APAGADOS (LGPD)*\n\n${ticketTag(aberto.id)}\nO cliente pediu a exclusão dos dados. O chamado foi encerrado e não aceita mais respostas.`);
+        }
+        const tecnico = visita && scheduler.getTechnician(visita.tecnico);
+        if (tecnico && tecnico.phone) {
+            await transport.sendText(tecnico.phone, `❌ *AGENDAMENTO #${visita.id} CANCELADO*\n\n🗓️ ${scheduler.formatSlot(visita.inicio)}\nO cliente pediu a exclusão dos dados (LGPD).`);
+        }
+        await transport.sendText(userPhone, tr(userPhone, 'privacy.erased'));
+        languages.delete(userPhone);
+    };
+
+    // Retenção: anonimiza quem passou de privacy.retentionDays sem nenhum contato (e sem chamado em aberto).
+    const purgeExpiredData = async (now = Date.now()) => {
+        const telefones = await listExpiredCustomers(privacy.retentionCutoff(now));
+        for (const telefone of telefones) {
+            await anonymizeWithFiles(telefone, 'Prazo de retenção expirado');
+            languages.delete(telefone);
+        }
+        if (telefones.length > 0) console.log(`🔒 Retenção: dados de ${telefones.length} cliente(s) anonimizados.`);
+        return telefones.length;
+    };
+
+    // --- CLIENTES RECORRENTES ---
+    // Quem já se identificou antes (tabela "clientes") é recebido pelo nome, sem CAPTURA_NOME,
+    // e pode retomar o último assunto: o chamado, o produto visto ou o agendamento.
+    // Os assuntos abertos pelo bot guardam a chave do título (topic.* nos arquivos de idioma), traduzida
+    // na hora de responder, inclusive o serviço do agendamento. Produtos (e assuntos antigos) guardam o título.
+    const topicTitle = (code, assunto) => {
+        if (!assunto.chave) return assunto.titulo;
+        const vars = { ...assunto.vars };
+        if (vars.servico) vars.servico = scheduler.serviceName(vars.servico, code);
+        return texts.i18n.t(code, `topic.${assunto.chave}`, vars);
+    };
+
+    const formatTopic = (userPhone, assunto) => {
+        const data = new Date(assunto.timestamp).toLocaleDateString(dateLocale(userPhone), { timeZone: 'America/Sao_Paulo', day: '2-digit', month: '2-digit' });
+        return `_${topicTitle(langOf(userPhone), assunto)}_ (${data})`;
+    };
+
+    const greetReturningCustomer = async (userPhone, customer) => {
+        console.log(`🔁 Cliente recorrente: ${userPhone} (${customer.nome})`);
+        await saveCustomer(userPhone, customer.nome);
+        await persistLanguage(userPhone);
+        const [ultimo] = customer.assuntos;
+        if (!ultimo) {
+            await sendMainMenu(userPhone, customer.nome);
+            return;
+        }
+        await transport.sendTyping(userPhone);
+        await delay(1000);
+        await transport.sendText(userPhone, tr(userPhone, 'returning.greeting', { nome: customer.nome, assunto: formatTopic(userPhone, ultimo) }));
+        await setUserState(userPhone, STAGES.RETORNO_CLIENTE, customer.nome);
+    };
+
+    const resumeLastTopic = async (userPhone, userState, assunto) => {
+        if (assunto.tipo === 'produto') {
+            const produto = getProductByRef(catalog.pages, assunto.ref);
+            if (produto) {
+                await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userState.nome);
+                await showProductDetails(userPhone, produto);
+                return;
+            }
+        }
+        if (assunto.tipo === 'agendamento') return startBooking(userPhone, userState.nome);
+        const anterior = assunto.tipo === 'chamado' && await getTicketById(assunto.ref);
+        if (!anterior) {
+            await transport.sendText(userPhone, tr(userPhone, 'returning.notFound'));
+            await sendMainMenu(userPhone, userState.nome);
+            return;
+        }
+        // Chamado encerrado vira um novo chamado no mesmo departamento, com referência ao anterior.
+        const motivo = `Retomada do chamado ${formatProtocol(anterior)}`;
+        const ticketId = anterior.status !== TICKET_STATUS.RESOLVIDO
+            ? anterior.id
+            : await ensureOpenTicket(userPhone, userState.nome, motivo, anterior.departamento);
+        const ticket = await routeTicket(ticketId);
+        await rememberCustomer(userPhone, { assunto: { ...assunto, ref: ticket.id } });
+        await transport.sendText(userPhone, withHoursNote(userPhone, tr(userPhone, 'returning.resumed', { nome: userState.nome, assunto: topicTitle(langOf(userPhone), assunto), aviso: await ticketNotice(ticket) })));
+        await setUserState(userPhone, STAGES.AGUARDANDO_HUMANO, userState.nome);
+        await startWaitingForReply(userPhone);
+        const linkWpp = `https://wa.me/${userPhone.split('@')[0]}`;
+        await alertAgent(ticket, `🔄 *CLIENTE RETOMOU O ATENDIMENTO* 🔄\n\n${ticketTag(ticket.id)}\n👤 *Cliente:* ${userState.nome}\n📂 *Assunto:* ${topicTitle(texts.i18n.defaultLocale, assunto)}\n${await formatCustomerHistory(userPhone, ticket.id)}📱 *Link:* ${linkWpp}\n\n${REPLY_HINT}`, motivo);
+    };
+
+    const handleReturningCustomer = async (userPhone, userState, normalizedInput) => {
+        const customer = await getCustomer(userPhone);
+        const [ultimo] = customer ? customer.assuntos : [];
+        switch (normalizedInput) {
+            case '1':
+                if (ultimo) return resumeLastTopic(userPhone, userState, ultimo);
+                return sendMainMenu(userPhone, userState.nome);
+            case '2':
+                return sendMainMenu(userPhone, userState.nome);
+            case '3':
+                await transport.sendText(userPhone, tr(userPhone, 'returning.askName'));
+                await setUserState(userPhone, STAGES.CAPTURA_NOME, '');
+                return;
+            default:
+                await transport.sendText(userPhone, tr(userPhone, 'returning.invalid', { nome: userState.nome }));
+        }
+    };
+
+    // Primeira mensagem sem sessão: aceite da política, cliente recorrente ou captura do nome.
+    const startSession = async (userPhone) => {
+        const customer = await getCustomer(userPhone);
+        const consentimento = await getLatestConsent(userPhone);
+        if (!consentimento || consentimento.versao !== privacy.version) {
+            await askForConsent(userPhone, customer);
+        } else if (customer && customer.nome) {
+            await greetReturningCustomer(userPhone, customer);
+        } else {
+            console.log(`✨ Iniciando nova sessão para: ${userPhone}`);
+            await transport.sendTyping(userPhone);
+            await delay(1500);
+            await transport.sendText(userPhone, `${tr(userPhone, 'privacy.welcome')}\n\n${tr(userPhone, 'privacy.namePrompt')}`);
+            await setUserState(userPhone, STAGES.CAPTURA_NOME, ''); // Define o estágio, nome vazio
+        }
+        await persistLanguage(userPhone);
+    };
+
+    // #idioma sem argumento lista as opções; com um idioma conhecido, troca e repete a pergunta da etapa atual.
+    const changeLanguage = async (userPhone, userState, escolha) => {
+        if (!escolha) {
+            await transport.sendText(userPhone, languageOptions(userPhone));
+            return;
+        }
+        const code = texts.i18n.resolveLocale(escolha);
+        if (!code) {
+            await transport.sendText(userPhone, `${tr(userPhone, 'language.unknown', { idioma: escolha })}\n\n${languageOptions(userPhone)}`);
+            return;
+        }
+        await setLanguage(userPhone, code);
+        const { name } = texts.i18n.languages.find(language => language.code === code);
+        await transport.sendText(userPhone, tr(userPhone, 'language.changed', { idioma: name }));
+        if (!userState) return startSession(userPhone);
+        if (userState.stage === STAGES.CONSENTIMENTO) return askForConsent(userPhone, await getCustomer(userPhone));
+        if (userState.stage === STAGES.MENU_PRINCIPAL && userState.nome) return sendMainMenu(userPhone, userState.nome);
+    };
+
+    // Resumo para os alertas do especialista: tempo de cliente, chamados anteriores, última nota e equipamentos.
+    const formatCustomerHistory = async (userPhone, ticketId) => {
+        const customer = await getCustomer(userPhone);
+        const anteriores = (await listTickets({ phone: userPhone })).filter(ticket => ticket.id !== ticketId);
+        const [ultimaNota] = await listRatingsByPhone(userPhone);
+        if (anteriores.length === 0 && !ultimaNota && !(customer && customer.equipamentos.length)) return `🗂️ *Histórico:* primeiro atendimento\n`;
+        const partes = [];
+        if (customer) partes.push(`cliente desde ${new Date(customer.primeiro_contato).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' })}`);
+        if (anteriores.length > 0) partes.push(`${anteriores.length} chamado(s) anterior(es), último ${formatProtocol(anteriores[0])} (${anteriores[0].status})`);
+        if (ultimaNota) partes.push(`última nota ${ultimaNota.nota}/5`);
+        if (customer && customer.equipamentos.length > 0) partes.push(`equipamentos: ${customer.equipamentos.join(', ')}`);
+        return `🗂️ *Histórico:* ${partes.join(' • ')}\n`;
+    };
+
+
+    // --- AVALIAÇÃO DO ATENDIMENTO ---
+    // Nota de 1 a 5 e um comentário opcional, ligados ao chamado, agente e departamento avaliados.
+    // Notas baixas (até LOW_RATING) avisam quem atendeu, para um contato de retorno: um único alerta,
+    // depois da etapa do comentário (respondida, pulada com "0" ou expirada), já com o comentário.
+    const alertLowRating = async (ticket, userPhone, userName, nota, comentario = null) => {
+        if (ticket && !isTeamAvailable()) {
+            await saveCallback(userPhone, userName, ticket.id, `⭐ Avaliação ${nota}/5${comentario ? `: ${comentario}` : ''}`);
+            return;
+        }
+        const alerta = `⚠️ *AVALIAÇÃO BAIXA: ${nota}/5* ⚠️\n\n${ticket ? `${ticketTag(ticket.id)}\n` : ''}👤 *Cliente:* ${userName}\n${comentario ? `💬 *Comentário:* "${comentario}"\n` : ''}📱 *Link:* https://wa.me/${userPhone.split('@')[0]}\n\n_Vale um contato para entender o que aconteceu._`;
+        // Sem chamado (ex: avaliação do atendimento do bot), o alerta vai para o departamento padrão.
+        const destinatarios = ticket ? ticketRecipients(ticket) : directory.list[0].agents;
+        for (const agent of destinatarios) await transport.sendText(agent, alerta);
+    };
+
+    // Fecha a etapa do comentário: alerta a nota baixa, se for o caso, e apaga a sessão.
+    const finishRating = async (userPhone, userState, comentario = null) => {
+        const { avaliacao = {} } = getUserContext(userState);
+        if (avaliacao.nota <= LOW_RATING) {
+            const ticket = avaliacao.chamadoId ? await getTicketById(avaliacao.chamadoId) : null;
+            await alertLowRating(ticket, userPhone, userState.nome, avaliacao.nota, comentario);
+        }
+        await deleteUserState(userPhone);
+    };
+
+    const handleRating = async (userPhone, userState, nota) => {
+        const { avaliacao = {} } = getUserContext(userState);
+        const ticket = avaliacao.chamadoId ? await getTicketById(avaliacao.chamadoId) : null;
+        const ratingId = await saveRating(userPhone, userState.nome, {
+            nota, chamadoId: ticket ? ticket.id : null, agente: ticket ? ticket.agente : null, departamento: ticket ? ticket.departamento : null
+        });
+        await setUserState(userPhone, STAGES.AVALIACAO_COMENTARIO, userState.nome);
+        await updateUserContext(userPhone, { avaliacao: { ...avaliacao, id: ratingId, nota } });
+        const agradecimento = tr(userPhone, nota >= 4 ? 'rating.thanksHigh' : nota <= LOW_RATING ? 'rating.thanksLow' : 'rating.thanks');
+        await transport.sendText(userPhone, `${agradecimento}\n\n${tr(userPhone, 'rating.askComment')}`);
+    };
+
+    const handleRatingComment = async (userPhone, userState, texto) => {
+        if (!texto) {
+            await transport.sendText(userPhone, tr(userPhone, 'rating.commentEmpty'));
+            return;
+        }
+        const { avaliacao = {} } = getUserContext(userState);
+        const comentario = texto !== '0' ? texto : null;
+        if (comentario && avaliacao.id) await saveRatingComment(avaliacao.id, comentario);
+        await transport.sendText(userPhone, tr(userPhone, 'rating.done'));
+        await finishRating(userPhone, userState, comentario);
+    };
+
+
+    // --- REPASSE AGRUPADO AO ESPECIALISTA ---
+    // A primeira mensagem do cliente vai na hora; as seguintes, dentro de relayWindowMs, esperam
+    // o fim do intervalo e seguem juntas em um único aviso. Um cliente inundando a fila humana
+    // gera no máximo um aviso por intervalo para o agente.
+    // Chave: chamado + agente, para que o novo responsável (#assumir, #liberar) receba a próxima mensagem na hora.
+    const relays = new Map(); // "chamado:agente" -> { ticket, userName, mensagens, timer, ultimoEnvio }
+
+    const formatRelay = ({ ticket, userName, mensagens }) => {
+        const titulo = mensagens.length === 1 ? '*Nova mensagem do cliente*' : `*${mensagens.length} novas mensagens do cliente*`;
+        const textos = mensagens.map(mensagem => `_"${mensagem}"_`).join('\n');
+        return `💬 ${titulo} (${userName}):\n${ticketTag(ticket.id)}\n\n${textos}\n\n🔗 *Responder:* https://wa.me/${ticket.user_phone.split('@')[0]}\n${REPLY_HINT}`;
+    };
+
+    const flushRelay = async (key) => {
+        const relay = relays.get(key);
+        if (!relay || relay.mensagens.length === 0) return;
+        const aviso = formatRelay(relay);
+        relay.mensagens = [];
+        relay.timer = null;
+        relay.ultimoEnvio = Date.now();
+        await transport.sendText(relay.ticket.agente, aviso);
+    };
+
+    const relayCustomerMessage = async (ticket, userName, texto) => {
+        const key = `${ticket.id}:${ticket.agente}`;
+        const relay = relays.get(key) || { mensagens: [], timer: null, ultimoEnvio: 0 };
+        relays.set(key, Object.assign(relay, { ticket, userName }));
+        relay.mensagens.push(texto);
+        if (relay.timer) return;
+        const espera = relay.ultimoEnvio + relayWindowMs - Date.now();
+        if (espera <= 0) return flushRelay(key);
+        relay.timer = setTimeout(() => {
+            flushRelay(key).catch(e => console.error(`❌ Erro ao repassar mensagens do chamado #${ticket.id}:`, e));
+        }, espera);
+        if (relay.timer.unref) relay.timer.unref(); // Não segura o processo no encerramento
+    };
+
+    // Esquece os chamados sem repasse recente (chamado nas verificações periódicas).
+    const pruneRelays = (now) => {
+        for (const [key, relay] of relays) {
+            if (!relay.timer && now - relay.ultimoEnvio >= relayWindowMs) relays.delete(key);
+        }
+    };
+
+
+    // --- CENTRAL DO ESPECIALISTA (RELAY BIDIRECIONAL) ---
+    // Mensagens vindas de um agente (qualquer número dos departamentos) não passam pela máquina
+    // de estados do cliente: são interpretadas como comandos para responder, assumir, liberar ou
+    // encerrar chamados e para ficar online/offline.
+    const SPECIALIST_HELP = `🧰 *Comandos do Especialista*
+
+• *#r ID texto* — Responde ao cliente do chamado (também aceita mídia com legenda)
+• _Citar um alerta_ — Responde ao cliente daquele chamado
+• *#fila* — Lista as conversas em aberto dos seus departamentos
+• *#assumir ID* — Assume o atendimento do chamado
+• *#liberar ID* — Devolve o chamado para a fila (vai para outro agente online)
+• *#online* / *#offline* — Liga ou desliga o recebimento de novos chamados
+• *#agenda* — Lista as visitas agendadas dos próximos 7 dias
+• *#encerrar ID* — Encerra o chamado e envia a pesquisa de avaliação
+• *#ajuda* — Mostra esta lista`;
+
+    const relayToCustomer = async (ticket, texto, msg) => {
+        await loadLanguage(ticket.user_phone);
+        const prefixo = tr(ticket.user_phone, 'ticket.specialist');
+        if (msg.hasMedia) {
+            const media = await msg.downloadMedia();
+            if (!media) throw new Error('Não foi possível baixar a mídia enviada pelo especialista.');
+            await transport.sendMedia(ticket.user_phone, media, { caption: texto ? `${prefixo}\n\n${texto}` : prefixo });
+        } else {
+            await transport.sendText(ticket.user_phone, `${prefixo}\n\n${texto}`);
+        }
+
+        // Quem responde um chamado ainda sem agente passa a ser o responsável por ele.
+        if (!ticket.agente) await assignTicket(ticket.id, msg.from);
+
+        // Se o bot estava pausado (ou a sessão já expirou), volta a encaminhar as respostas do cliente.
+        const customerState = await getUserState(ticket.user_phone);
+        if (!customerState || customerState.stage === 'MODO_SILENCIOSO') {
+            await setUserState(ticket.user_phone, STAGES.AGUARDANDO_HUMANO, customerState ? customerState.nome : ticket.user_name);
+        }
+        await updateUserContext(ticket.user_phone, { awaitingReplySince: null, slaAlerted: false });
+    };
+
+    // Toda mudança de status fica no histórico do chamado e é avisada ao cliente, com o protocolo.
+    const setTicketStatus = async (ticket, status, { descricao, autor, codigo }) => {
+        if (!(await updateTicketStatus(ticket.id, status, { descricao, autor, codigo }))) return false;
+        await loadLanguage(ticket.user_phone);
+        await transport.sendText(ticket.user_phone, tr(ticket.user_phone, 'ticket.changed', {
+            emoji: STATUS_EMOJI[status], protocolo: formatProtocol(ticket), status: statusLabel(ticket.user_phone, status), atualizacao: tr(ticket.user_phone, `ticket.update.${status}`)
+        }));
+        return true;
+    };
+
+    // Retorna null quando o chamado já estava encerrado; senão, se a pesquisa de avaliação foi enviada.
+    const closeTicket = async (ticket, autor) => {
+        if (!(await setTicketStatus(ticket, TICKET_STATUS.RESOLVIDO, { descricao: 'Atendimento encerrado', autor, codigo: 'encerrado' }))) return null;
+        const customerState = await getUserState(ticket.user_phone);
+        if (customerState && [STAGES.AGUARDANDO_HUMANO, 'MODO_SILENCIOSO'].includes(customerState.stage)) {
+            await askForRating(ticket.user_phone, customerState.nome || ticket.user_name, ticket);
+            return true;
+        }
+        return false;
+    };
+
+    // Usado pelo painel web. "resolvido" segue o mesmo caminho do #encerrar do especialista.
+    const changeTicketStatus = async (ticket, status) => {
+        if (status === TICKET_STATUS.RESOLVIDO) {
+            await closeTicket(ticket, 'painel');
+        } else {
+            await setTicketStatus(ticket, status, { descricao: 'Status alterado pelo painel', autor: 'painel', codigo: 'painel' });
+        }
+        console.log(`📋 Chamado #${ticket.id} alterado para "${status}" pelo painel.`);
+    };
+
+    // --- ACOMPANHAMENTO PELO CLIENTE (#status / #protocolo) ---
+    const CUSTOMER_TICKETS_SIZE = 5;
+    const STATUS_COMMANDS = ['#status', '#protocolo'];
+    const formatEventDate = (userPhone, timestamp) => new Date(timestamp).toLocaleString(dateLocale(userPhone), { timeZone: 'America/Sao_Paulo', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+    // Últimos chamados do cliente com o histórico de cada um; com um protocolo, mostra só aquele chamado.
+    const showCustomerTickets = async (userPhone, protocolo) => {
+        const todos = await listTickets({ phone: userPhone });
+        if (todos.length === 0) {
+            await transport.sendText(userPhone, tr(userPhone, 'ticket.none'));
+            return;
+        }
+        const ticketId = protocolo ? parseProtocol(protocolo) : null;
+        const tickets = protocolo ? todos.filter(ticket => ticket.id === ticketId) : todos.slice(0, CUSTOMER_TICKETS_SIZE);
+        if (tickets.length === 0) {
+            await transport.sendText(userPhone, tr(userPhone, 'ticket.notFound', { protocolo }));
+            return;
+        }
+        const eventos = await listTicketEventsByTickets(tickets.map(ticket => ticket.id));
+        let lista = `${protocolo ? tr(userPhone, 'ticket.listOne') : tr(userPhone, 'ticket.list', { total: tickets.length, todos: todos.length })}\n`;
+        tickets.forEach(ticket => {
+            lista += `\n${STATUS_EMOJI[ticket.status] || '📌'} *${formatProtocol(ticket)}* — ${statusLabel(userPhone, ticket.status)}\n`;
+            lista += `   📂 ${directory.nameIn(ticket.departamento, langOf(userPhone))} • ${ticket.produto_detectado || tr(userPhone, 'ticket.noProduct')}\n`;
+            (eventos[ticket.id] || []).forEach(evento => {
+                // A descrição é o registro da equipe; o cliente vê o tipo do evento no seu idioma.
+                lista += `   • ${formatEventDate(userPhone, evento.timestamp)} — ${evento.codigo ? tr(userPhone, `ticket.event.${evento.codigo}`) : statusLabel(userPhone, evento.status)}\n`;
+            });
+        });
+        if (!protocolo && todos.length > tickets.length) lista += `\n${tr(userPhone, 'ticket.older')}`;
+        await transport.sendText(userPhone, lista);
+    };
+
+    const handleSpecialistMessage = async (msg) => {
+        const agent = msg.from;
+        const reply = (text) => transport.sendText(agent, text);
+        const texto = (msg.body || '').trim();
+        const [comando = '', ...args] = texto.split(/\s+/);
+        const command = normalizeText(comando);
+
+        const loadTicket = async (rawId) => {
+            const ticketId = parseInt((rawId || '').replace('#', ''), 10);
+            if (!ticketId) {
+                await reply('⚠️ Informe o número do chamado. Ex: *#r 42 Olá!*');
+                return null;
+            }
+            const ticket = await getTicketById(ticketId);
+            if (!ticket) {
+                await reply(`⚠️ Chamado #${ticketId} não encontrado.`);
+                return null;
+            }
+            if (ticket.user_phone === ANONYMIZED_PHONE) {
+                await reply(`🔒 Chamado #${ticketId} foi anonimizado (LGPD) e não aceita mais ações.`);
+                return null;
+            }
+            return ticket;
+        };
+
+        switch (command) {
+            case '#r':
+            case '#responder': {
+                const ticket = await loadTicket(args[0]);
+                if (!ticket) return;
+                const resposta = texto.replace(/^\S+\s+\S+\s*/, '');
+                if (!resposta && !msg.hasMedia) {
+                    await reply('⚠️ A resposta está vazia. Ex: *#r 42 Olá!*');
+                    return;
+                }
+                await relayToCustomer(ticket, resposta, msg);
+                await reply(`✅ Enviado para ${ticket.user_name} (chamado #${ticket.id}).`);
+                return;
+            }
+
+            case '#fila': {
+                const departamentos = directory.departmentsOf(agent).map(department => department.id);
+                const tickets = (await listOpenTickets()).filter(ticket => departamentos.includes(directory.get(ticket.departamento).id));
+                if (tickets.length === 0) {
+                    await reply('📭 Nenhuma conversa em aberto no momento.');
+                    return;
+                }
+                const anexos = await listAttachmentsByTickets(tickets.map(ticket => ticket.id));
+                let lista = `📋 *Conversas em aberto (${tickets.length})*\n`;
+                tickets.forEach(ticket => {
+                    const espera = Math.round((Date.now() - ticket.timestamp) / 60000);
+                    const responsavel = !ticket.agente ? 'sem agente' : ticket.agente === agent ? 'com você' : `com ${ticket.agente.split('@')[0]}`;
+                    lista += `\n🎫 *#${ticket.id}* — ${ticket.user_name || 'Sem nome'} (${ticket.status})\n`;
+                    lista += `   📂 ${directory.get(ticket.departamento).name} • 👤 ${responsavel}\n`;
+                    lista += `   ❄️ ${ticket.produto_detectado || 'Não informado'} • 🕒 ${espera} min\n`;
+                    lista += `   📝 _${(ticket.relato || '').slice(0, 80)}_\n`;
+                    if (anexos[ticket.id]) lista += `   📎 ${anexos[ticket.id].length} anexo(s)\n`;
+                });
+                await reply(lista);
+                return;
+            }
+
+            case '#assumir': {
+                const ticket = await loadTicket(args[0]);
+                if (!ticket) return;
+                // Só quem atende o departamento pode assumir: a distribuição por departamento vale também aqui.
+                const departamento = directory.get(ticket.departamento);
+                if (!directory.departmentsOf(agent).some(department => department.id === departamento.id)) {
+                    await reply(`⛔ O chamado #${ticket.id} é do departamento *${departamento.name}*, que você não atende.`);
+                    return;
+                }
+                await assignTicket(ticket.id, agent); // A conversa passa a ficar com quem assumiu
+                await setTicketStatus(ticket, TICKET_STATUS.EM_ANDAMENTO, { descricao: 'Especialista assumiu o atendimento', autor: agent, codigo: 'assumido' });
+                await reply(`✅ Chamado #${ticket.id} (${ticket.user_name}) agora está em andamento.`);
+                return;
+            }
+
+            case '#liberar': {
+                const ticket = await loadTicket(args[0]);
+                if (!ticket) return;
+                await setTicketStatus(ticket, TICKET_STATUS.ABERTO, { descricao: 'Devolvido para a fila', autor: agent, codigo: 'devolvido' });
+                await assignTicket(ticket.id, null);
+                const redistribuido = await routeTicket(ticket.id, agent);
+                if (redistribuido.agente) {
+                    await transport.sendText(redistribuido.agente, formatQueuedAlert(redistribuido));
+                    await reply(`↩️ Chamado #${ticket.id} devolvido para a fila e repassado para ${redistribuido.agente.split('@')[0]}.`);
+                } else {
+                    await reply(`↩️ Chamado #${ticket.id} devolvido para a fila. Nenhum outro agente online no momento.`);
+                }
+                return;
+            }
+
+            case '#online': {
+                await setAgentOnline(agent, true);
+                const distribuidos = await assignWaitingTickets(agent);
+                await reply(`🟢 Você está *online* e vai receber novos chamados.${distribuidos ? ` ${distribuidos} chamado(s) da fila foram distribuídos.` : ''}`);
+                return;
+            }
+
+            case '#offline':
+                await setAgentOnline(agent, false);
+                await reply(`⚪ Você está *offline*. Novos chamados irão para outros agentes; os que já estão com você continuam.`);
+                return;
+
+            case '#encerrar': {
+                const ticket = await loadTicket(args[0]);
+                if (!ticket) return;
+                const avaliacaoEnviada = await closeTicket(ticket, agent);
+                if (avaliacaoEnviada === null) {
+                    await reply(`ℹ️ Chamado #${ticket.id} já estava encerrado.`);
+                    return;
+                }
+                await reply(`🏁 Chamado #${ticket.id} encerrado.${avaliacaoEnviada ? ' Pesquisa de avaliação enviada ao cliente.' : ''}`);
+                return;
+            }
+
+            case '#agenda': {
+                const agora = Date.now();
+                const visitas = await listBookingsBetween(agora, agora + 7 * 24 * 60 * 60 * 1000);
+                if (visitas.length === 0) {
+                    await reply('📭 Nenhuma visita agendada para os próximos 7 dias.');
+                    return;
+                }
+                let lista = `🗓️ *Visitas agendadas (${visitas.length})*\n`;
+                visitas.forEach(visita => {
+                    const tecnico = scheduler.getTechnician(visita.tecnico);
+                    lista += `\n📅 *#${visita.id}* — ${scheduler.formatSlot(visita.inicio)}\n`;
+                    lista += `   👨‍🔧 ${tecnico ? tecnico.name : visita.tecnico} • 🛠️ ${visita.servico}\n`;
+                    lista += `   👤 ${visita.user_name || 'Sem nome'} • 📍 ${visita.endereco}\n`;
+                });
+                await reply(lista);
+                return;
+            }
+
+            case '#ajuda':
+                await reply(SPECIALIST_HELP);
+                return;
+        }
+
+        // Sem comando: se o especialista citou um alerta, a mensagem vai para aquele cliente.
+        if (msg.hasQuotedMsg) {
+            const quoted = await msg.getQuotedMessage();
+            const ticketId = extractTicketIdFromAlert(quoted && quoted.body);
+            if (ticketId) {
+                const ticket = await loadTicket(String(ticketId));
+                if (!ticket) return;
+                await relayToCustomer(ticket, texto, msg);
+                await reply(`✅ Enviado para ${ticket.user_name} (chamado #${ticket.id}).`);
+                return;
+            }
+        }
+
+        await reply(`🤖 Não entendi o comando.\n\n${SPECIALIST_HELP}`);
+    };
+
+    // --- LÓGICA PRINCIPAL DE MENSAGENS ---
+    // --- FILA POR CLIENTE E ANTI-FLOOD ---
+    // Cada remetente tem sua fila: a próxima mensagem só começa quando a anterior terminou de
+    // ler e gravar o estágio. Acima do limite de mensagens, o cliente é barrado por alguns segundos.
+    const userQueue = createKeyedQueue();
+    const rateLimiter = createRateLimiter(rateLimit);
+
+    const handleMessage = (msg) => userQueue.run(msg.from || '', () => processMessage(msg));
+
+    // Sem options.metrics (ex: testes e simulador), as contagens são ignoradas.
+    if (metrics) {
+        metrics.counter('messages_total', 'Mensagens recebidas, por estágio da conversa.');
+        metrics.counter('messages_dropped_total', 'Mensagens descartadas pelo anti-flood.');
+        metrics.counter('handler_errors_total', 'Erros no processamento de mensagens.');
+    }
+    const count = (name, labels) => {
+        if (metrics) metrics.increment(name, labels);
+    };
+
+    const processMessage = async (msg) => {
+        try {
+            // Filtros de segurança e anti-loop
+            if (msg.fromMe || !msg.from || msg.from.includes('@g.us') || msg.from === 'status@broadcast' || msg.type === 'revoked' || msg.type === 'e2e_notification' || msg.type === 'call_log') {
+                return;
+            }
+
+            if (directory.isAgent(msg.from)) {
+                count('messages_total', { stage: 'ESPECIALISTA' });
+                await handleSpecialistMessage(msg);
+                return;
+            }
+
+            const userPhone = msg.from;
+            const texto = (msg.body || '').trim();
+            if (texto === '' && !msg.hasMedia) return; // Ignora mensagens vazias
+            let userState = await getUserState(userPhone);
+            count('messages_total', { stage: userState ? userState.stage : 'SEM_SESSAO' });
+            const idiomaSalvo = await loadLanguage(userPhone, userState);
+            // Comandos digitados no idioma do cliente viram a palavra em português (ex: "back" -> "voltar").
+            const normalizedInput = texts.i18n.canonicalCommand(langOf(userPhone), normalizeText(texto));
+
+            // Na fila humana o texto nunca é descartado: o repasse ao especialista já é agrupado.
+            const limite = rateLimiter.hit(userPhone);
+            if (limite.limited && !(userState && userState.stage === STAGES.AGUARDANDO_HUMANO && !msg.hasMedia)) {
+                count('messages_dropped_total');
+                if (limite.warn) {
+                    console.warn(`🚫 Flood de ${userPhone}: mensagens descartadas até a janela liberar.`);
+                    await transport.sendText(userPhone, tr(userPhone, 'session.flood'));
+                }
+                return;
+            }
+
+            if (userState) await touchSession(userPhone); // Reinicia a contagem de inatividade
+
+            // Consulta de chamados e dos dados pessoais: funciona em qualquer etapa (e sem sessão), sem mudar o estado da conversa.
+            const [comandoCliente, ...argsCliente] = normalizedInput.split(/\s+/);
+            if (STATUS_COMMANDS.includes(comandoCliente)) {
+                await showCustomerTickets(userPhone, argsCliente[0]);
+                return;
+            }
+            if (comandoCliente === '#meusdados') {
+                await sendCustomerData(userPhone);
+                return;
+            }
+            if (comandoCliente === '#apagar') {
+                await eraseCustomerData(userPhone, argsCliente[0]);
+                return;
+            }
+            if (LANGUAGE_COMMANDS.includes(comandoCliente)) {
+                await changeLanguage(userPhone, userState, argsCliente.join(' '));
+                return;
+            }
+
+            // --- CAPTURA DE NOME PARA NOVAS SESSÕES ---
+            if (!userState) {
+                // Sem idioma salvo, a primeira mensagem decide ("hello" responde em inglês).
+                if (!idiomaSalvo) {
+                    const detectado = texts.i18n.detectLocale(texto);
+                    if (detectado) languages.set(userPhone, { code: detectado, at: Date.now() });
+                }
+                await startSession(userPhone);
+                return;
+            }
+
+            // --- PESQUISA DE SATISFAÇÃO ---
+            // A nota e o comentário vêm antes dos comandos globais: "0" pula o comentário, e palavras
+            // como "obrigado" ou "atendente" fazem parte do que o cliente quer dizer.
+            if (userState.stage === STAGES.AVALIACAO_COMENTARIO) {
+                await handleRatingComment(userPhone, userState, texto);
+                return;
+            }
+            const nota = userState.stage === STAGES.AVALIACAO ? parseRating(texto) : null;
+            if (nota) {
+                await handleRating(userPhone, userState, nota);
+                return;
+            }
+
+            // --- GESTÃO DE COMANDOS GLOBAIS (SAIR, VOLTAR, HUMANO) ---
+            // O comando "sair" funciona a qualquer momento
+            const comandoDeNavegacao = isBrowseCommand(userState, normalizedInput) || isNumericStageInput(userState, normalizedInput);
+            const lang = langOf(userPhone);
+            if (!comandoDeNavegacao && matchesTrigger([...texts.i18n.triggers(lang, 'sair'), texts.menu.keyOf('sair')], normalizedInput)) {
+                await discardTriage(userPhone, userState);
+                if (userState.nome && userState.stage !== STAGES.AVALIACAO) { // Se o usuário já se identificou, pede avaliação
+                    await askForRating(userPhone, userState.nome);
+                } else { // Se não, apenas encerra
+                    await transport.sendText(userPhone, tr(userPhone, 'session.closed'));
+                    await deleteUserState(userPhone);
+                }
+                return;
+            }
+
+            // Outros comandos globais só funcionam se o usuário já tiver um nome
+            if (userState.nome && !comandoDeNavegacao) {
+                const querHumano = matchesTrigger([...texts.i18n.triggers(lang, 'humano'), texts.menu.keyOf('especialista')], normalizedInput);
+                if (querHumano && !isTeamAvailable()) {
+                    // Fora do horário: registra o pedido e deixa o cliente livre para usar o menu.
+                    const ticket = await routeTicket(await ensureOpenTicket(userPhone, userState.nome, 'Falar com Especialista (Menu)', departmentId(DEPARTMENTS.VENDAS)));
+                    await saveCallback(userPhone, userState.nome, ticket.id, 'Falar com Especialista (Menu)');
+                    await handOverTriageFiles(ticket, userPhone, userState);
+                    await rememberCustomer(userPhone, { assunto: { tipo: 'chamado', ref: ticket.id, chave: 'specialist' } });
+                    await transport.sendText(userPhone, tr(userPhone, 'human.requestSaved', { foraDoHorario: outOfHoursNote(userPhone), protocolo: formatProtocol(ticket) }));
+                    await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userState.nome);
+                    return;
+                }
+                if (querHumano) {
+                    const ticket = await routeTicket(await ensureOpenTicket(userPhone, userState.nome, 'Falar com Especialista (Menu)', departmentId(DEPARTMENTS.VENDAS)));
+                    await transport.sendText(userPhone, tr(userPhone, 'human.transferred', { aviso: await ticketNotice(ticket) }));
+                    await setUserState(userPhone, STAGES.AGUARDANDO_HUMANO, userState.nome);
+                    await startWaitingForReply(userPhone);
+                    await rememberCustomer(userPhone, { assunto: { tipo: 'chamado', ref: ticket.id, chave: 'specialist' } });
+                    const linkWpp = `https://wa.me/${userPhone.split('@')[0]}`;
+                    await alertAgent(ticket, `🚨 *ALERTA DE ATENDIMENTO* 🚨\n\n${ticketTag(ticket.id)}\n👤 *Cliente:* ${userState.nome}\n📂 *Solicitação:* Falar com Especialista (Menu)\n${await formatCustomerHistory(userPhone, ticket.id)}📱 *Link direto:* ${linkWpp}\n\n_O cliente está aguardando na fila._\n${REPLY_HINT}`, 'Falar com Especialista (Menu)');
+                    await handOverTriageFiles(ticket, userPhone, userState);
+                    return;
+                }
+
+                if (texts.i18n.triggers(lang, 'menu').includes(normalizedInput)) {
+                    await discardTriage(userPhone, userState);
+                    await sendMainMenu(userPhone, userState.nome);
+                    return;
+                }
+            }
+
+
+            if (userState.nome && msg.hasMedia && texto === '' && !MEDIA_STAGES.includes(userState.stage)) {
+                await transport.sendText(userPhone, tr(userPhone, 'media.hint'));
+                return;
+            }
+
+            if (userState.nome && CART_COMMAND_STAGES.includes(userState.stage)) {
+                if (await handleCartCommand(userPhone, userState, normalizedInput)) return;
+            }
+
+            // ============================================================
+            // 🚦 MÁQUINA DE ESTADOS PRINCIPAL
+            // ============================================================
+            switch (userState.stage) {
+                case STAGES.CONSENTIMENTO:
+                    await handleConsent(userPhone, normalizedInput);
+                    break;
+
+                case STAGES.CAPTURA_NOME:
+                    const nomeCapturado = texto.split(' ')[0];
+                    // Validação básica para evitar nomes muito curtos ou inválidos
+                    if (nomeCapturado.length < 2) {
+                        await transport.sendText(userPhone, tr(userPhone, 'session.invalidName'));
+                        return;
+                    }
+                    const nomeFormatado = nomeCapturado.charAt(0).toUpperCase() + nomeCapturado.slice(1).toLowerCase();
+                    await saveCustomer(userPhone, nomeFormatado);
+                    await persistLanguage(userPhone);
+                    await transport.sendTyping(userPhone);
+                    await delay(1000);
+                    await sendMainMenu(userPhone, nomeFormatado); // Esta função já atualiza o estado
+                    break;
+
+                case STAGES.RETORNO_CLIENTE:
+                    await handleReturningCustomer(userPhone, userState, normalizedInput);
+                    break;
+
+                case STAGES.MENU_PRINCIPAL:
+                    // As teclas de cada ação vêm do menu.json.
+                    switch (texts.menu.actionFor(normalizedInput)) {
+                        case 'catalogo': // Baixar Catálogo
+                            await transport.sendText(userPhone, tr(userPhone, 'catalog.sending'));
+                            try {
+                                const arquivo = await pdf.getFullCatalogPdf(catalog.pages);
+                                await sendCatalogPdf(userPhone, arquivo, tr(userPhone, 'catalog.caption', { nome: userState.nome }));
+                            } catch (e) {
+                                console.error('Erro ao enviar PDF:', e);
+                                await transport.sendText(userPhone, tr(userPhone, 'catalog.error'));
+                            }
+                            await delay(2000);
+                            await sendMainMenu(userPhone, userState.nome); // Volta ao menu principal
+                            break;
+
+                        case 'categorias': // Ver Produtos por Categoria
+                            await showBrowseLevel(userPhone, userState.nome, { level: 'categorias' });
+                            break;
+
+                        case 'pecas': // Peças
+                            const prazoPecas = tr(userPhone, isTeamAvailable() ? 'parts.now' : 'parts.later');
+                            const chamadoPecas = await routeTicket(await ensureOpenTicket(userPhone, userState.nome, 'Cotação de Peças (Menu)', departmentId(DEPARTMENTS.PECAS)));
+                            await transport.sendText(userPhone, withHoursNote(userPhone, tr(userPhone, 'parts.request', { prazo: prazoPecas, aviso: await ticketNotice(chamadoPecas) })));
+                            await rememberCustomer(userPhone, { assunto: { tipo: 'chamado', ref: chamadoPecas.id, chave: 'parts' } });
+                            await setUserState(userPhone, STAGES.AGUARDANDO_HUMANO, userState.nome);
+                            await startWaitingForReply(userPhone);
+                            // Fora do horário, o pedido vira retorno pendente; o código ou a foto que o cliente mandar em seguida entram nele.
+                            await alertAgent(chamadoPecas, `⚙️ *COTAÇÃO DE PEÇAS* ⚙️\n\n${ticketTag(chamadoPecas.id)}\n👤 *Cliente:* ${userState.nome}\n📂 *Solicitação:* Cotação de Peças (Menu)\n${await formatCustomerHistory(userPhone, chamadoPecas.id)}📱 *Link direto:* https://wa.me/${userPhone.split('@')[0]}\n\n_O cliente vai enviar a foto da etiqueta ou o código da peça._\n${REPLY_HINT}`, 'Cotação de Peças (Menu)');
+                            break;
+
+                        case 'agendamento': // Instalação/Manutenção
+                            await startBooking(userPhone, userState.nome);
+                            break;
+
+                        case 'suporte': // Suporte
+                            await startTriage(userPhone, userState.nome);
+                            break;
+
+                        default: // Fallback para busca de produto
+                            const produtosEncontrados = searchProducts(texto, { limit: SHORTLIST_SIZE });
+                            if (produtosEncontrados.length > 0) {
+                                await transport.sendTyping(userPhone);
+                                await delay(1000);
+                                await sendProductResults(userPhone, userState.nome, produtosEncontrados);
+                            } else {
+                                await transport.sendText(userPhone, tr(userPhone, 'product.unknownOption'));
+                            }
+                            break;
+                    }
+                    break;
+
+                case STAGES.ESCOLHA_PRODUTO: {
+                    const { shortlist = [] } = getUserContext(userState);
+                    const escolha = parseInt(normalizedInput, 10);
+                    if (String(escolha) === normalizedInput && escolha >= 1 && escolha <= shortlist.length) {
+                        const produtoEscolhido = getProductByRef(catalog.pages, shortlist[escolha - 1]);
+                        if (produtoEscolhido) {
+                            await setUserState(userPhone, STAGES.MENU_PRINCIPAL, userState.nome);
+                            await showProductDetails(userPhone, produtoEscolhido);
+                            break;
+                        }
+                    }
+                    // Qualquer outro texto é tratado como uma nova busca.
+                    const novaBusca = searchProducts(texto, { limit: SHORTLIST_SIZE });
+                    if (novaBusca.length > 0) {
+                        await sendProductResults(userPhone, userState.nome, novaBusca);
+                    } else {
+                        await transport.sendText(userPhone, tr(userPhone, 'product.notInList', { total: shortlist.length }));
+                    }
+                    break;
+                }
+
+                case STAGES.NAVEGACAO_CATALOGO:
+                    await handleBrowseInput(userPhone, userState, texto, normalizedInput);
+                    break;
+
+                case STAGES.ORCAMENTO_QUANTIDADE:
+                    await handleQuoteQuantity(userPhone, userState, normalizedInput);
+                    break;
+
+                case STAGES.ORCAMENTO_REVISAO:
+                    await handleCartReview(userPhone, userState, normalizedInput);
+                    break;
+
+                case STAGES.ORCAMENTO_ENTREGA:
+                    await handleQuoteDelivery(userPhone, userState, texto);
+                    break;
+
+                case STAGES.ORCAMENTO_CONFIRMACAO:
+                    await handleQuoteConfirmation(userPhone, userState, normalizedInput);
+                    break;
+
+                case STAGES.ORCAMENTO_HISTORICO:
+                    await handleQuoteHistory(userPhone, userState, normalizedInput);
+                    break;
+
+                case STAGES.AGENDAMENTO_SERVICO:
+                    await handleBookingService(userPhone, userState, normalizedInput);
+                    break;
+
+                case STAGES.AGENDAMENTO_EQUIPAMENTO:
+                    await handleBookingEquipment(userPhone, userState, texto, normalizedInput);
+                    break;
+
+                case STAGES.AGENDAMENTO_ENDERECO:
+                    await handleBookingAddress(userPhone, userState, texto);
+                    break;
+
+                case STAGES.AGENDAMENTO_HORARIO:
+                    await handleBookingSlot(userPhone, userState, normalizedInput);
+                    break;
+
+                case STAGES.AGENDAMENTO_CONFIRMACAO:
+                    await handleBookingConfirmation(userPhone, userState, normalizedInput);
+                    break;
+
+                case STAGES.AGENDAMENTO_GERENCIAR:
+                    await handleBookingManagement(userPhone, userState, normalizedInput);
+                    break;
+
+                case STAGES.SUPORTE_TRIAGEM:
+                    await handleTriageInput(msg, userPhone, userState, texto, normalizedInput);
+                    break;
+
+                case STAGES.AGUARDANDO_HUMANO:
+                    // Neste estado, qualquer mensagem do usuário é encaminhada para o agente do chamado.
+                    // O bot não responde, apenas repassa, até que o usuário use um comando global (sair, etc).
+                    // Sem agente online, a mensagem fica no chamado, que é entregue quando alguém envia #online.
+                    const ticketAtendimento = await routeTicket(await ensureOpenTicket(userPhone, userState.nome, 'Mensagem na fila de atendimento humano', departmentId(DEPARTMENTS.VENDAS)));
+                    // Mídias ficam guardadas no chamado; dentro do horário o próprio arquivo vai ao agente.
+                    if (msg.hasMedia && !(await receiveCustomerMedia(msg, ticketAtendimento, userState.nome))) break;
+                    if (!isTeamAvailable()) {
+                        // Fora do horário, a primeira mensagem vira retorno pendente (e recebe o aviso); as seguintes são acrescentadas a ele.
+                        const motivo = msg.hasMedia ? `📎 Anexo enviado${texto ? `: ${texto}` : ''}` : texto;
+                        if (await saveCallback(userPhone, userState.nome, ticketAtendimento.id, motivo)) {
+                            await transport.sendText(userPhone, tr(userPhone, 'human.messageSaved', { foraDoHorario: outOfHoursNote(userPhone), protocolo: formatProtocol(ticketAtendimento) }));
+                        }
+                        break;
+                    }
+                    if (ticketAtendimento.agente && !msg.hasMedia) {
+                        await relayCustomerMessage(ticketAtendimento, userState.nome, texto);
+                    }
+                    if (!getUserContext(userState).awaitingReplySince) await startWaitingForReply(userPhone);
+                    // Não mudamos o estado para MODO_SILENCIOSO para que o usuário possa continuar enviando mensagens.
+                    break;
+
+                case STAGES.AVALIACAO:
+                    // As notas válidas já foram tratadas antes dos comandos globais.
+                    await transport.sendText(userPhone, tr(userPhone, 'rating.notUnderstood'));
+                    break;
+
+                case 'MODO_SILENCIOSO':
+                    // O bot não responde nada, para não interferir em uma conversa humana.
+                    // Apenas verifica se o usuário quer reativar o menu. Mídias (ex: foto da etiqueta pedida
+                    // pelo especialista) são guardadas no chamado aberto e repassadas ao agente.
+                    if (msg.hasMedia) {
+                        const chamadoAberto = await getOpenTicketByPhone(userPhone);
+                        if (chamadoAberto) await receiveCustomerMedia(msg, chamadoAberto, userState.nome);
+                    }
+                    if (['#menu', '#iniciar', '#voltar', 'menu principal'].includes(normalizedInput)) {
+                        console.log(`♻️  Reativando bot para ${userPhone} a pedido do usuário.`);
+                        await sendMainMenu(userPhone, userState.nome);
+                    }
+                    break;
+
+                default:
+                    console.log(`Estado desconhecido: ${userState.stage}. Reiniciando para ${userPhone}`);
+                    await sendMainMenu(userPhone, userState.nome || 'visitante');
+                    break;
+            }
+
+        } catch (err) {
+            console.error('❌ Erro fatal no processamento da mensagem:', err);
+            count('handler_errors_total');
+        }
+    };
+
+    // --- INATIVIDADE E SLA ---
+    // Chamado periodicamente (ver index.js). Cada sessão parada além do limite do seu estágio
+    // recebe um lembrete e, depois, é encerrada; clientes na fila humana sem resposta há mais
+    // que o SLA geram um alerta (uma única vez por espera) para o especialista.
+    const MINUTE = 60 * 1000;
+    const SLA_STAGES = [STAGES.AGUARDANDO_HUMANO, 'MODO_SILENCIOSO'];
+
+    const sendIdleNudge = async (session) => {
+        await loadLanguage(session.user_phone, session);
+        const lembrete = session.stage === STAGES.CONSENTIMENTO
+            ? tr(session.user_phone, 'idle.nudgeConsent')
+            : session.nome
+                ? tr(session.user_phone, 'idle.nudge', { nome: session.nome })
+                : tr(session.user_phone, 'idle.nudgeName');
+        await transport.sendText(session.user_phone, lembrete);
+        await markSessionNudged(session.user_phone);
+    };
+
+    const closeIdleSession = async (session, onClose) => {
+        await discardTriage(session.user_phone, session);
+        if (onClose === 'rating' && session.nome) {
+            await loadLanguage(session.user_phone, session);
+            await transport.sendText(session.user_phone, tr(session.user_phone, 'idle.closed'));
+            await askForRating(session.user_phone, session.nome);
+        } else if (session.stage === STAGES.AVALIACAO_COMENTARIO) {
+            await finishRating(session.user_phone, session);
+        } else {
+            await deleteUserState(session.user_phone);
+        }
+        console.log(`⌛ Sessão de ${session.user_phone} encerrada por inatividade (${session.stage}).`);
+    };
+
+    /** Reinicia a conversa do cliente (ex: pelo painel), descartando a triagem em andamento. */
+    const resetSession = async (userPhone) => {
+        await discardTriage(userPhone, await getUserState(userPhone));
+        await deleteUserState(userPhone);
+    };
+
+    const checkSla = async (session, now) => {
+        if (!SLA_STAGES.includes(session.stage) || !isTeamAvailable(now)) return;
+        const { awaitingReplySince, slaAlerted } = getUserContext(session);
+        if (!awaitingReplySince || slaAlerted || now - awaitingReplySince < slaMinutes * MINUTE) return;
+        const ticket = await getOpenTicketByPhone(session.user_phone);
+        const espera = Math.round((now - awaitingReplySince) / MINUTE);
+        const linkWpp = `https://wa.me/${session.user_phone.split('@')[0]}`;
+        const alerta = `⏰ *CLIENTE SEM RESPOSTA* ⏰\n\n${ticket ? `${ticketTag(ticket.id)}\n` : ''}👤 *Cliente:* ${session.nome}\n🕒 *Aguardando há:* ${espera} min (SLA: ${slaMinutes} min)\n📱 *Link:* ${linkWpp}\n\n${REPLY_HINT}`;
+        // Sem chamado, o alerta vai para o departamento padrão.
+        const destinatarios = ticket ? ticketRecipients(ticket) : directory.list[0].agents;
+        for (const agent of destinatarios) await transport.sendText(agent, alerta);
+        await updateUserContext(session.user_phone, { slaAlerted: true });
+    };
+
+    const checkInactiveSessions = async (now = Date.now()) => {
+        rateLimiter.prune(now);
+        pruneRelays(now);
+        pruneLanguages(now);
+        const sessions = await listSessions();
+        for (const session of sessions) {
+            try {
+                await checkSla(session, now);
+                const timeout = stageTimeouts[session.stage];
+                if (!timeout) continue;
+                const idle = now - session.last_updated;
+                if (idle >= timeout.closeAfter * MINUTE) {
+                    await closeIdleSession(session, timeout.onClose);
+                } else if (timeout.nudgeAfter && !session.nudged_at && idle >= timeout.nudgeAfter * MINUTE) {
+                    await sendIdleNudge(session);
+                }
+            } catch (e) {
+                console.error(`❌ Erro ao verificar inatividade de ${session.user_phone}:`, e);
+            }
+        }
+    };
+
+    // Na abertura, entrega a cada agente um resumo dos pedidos recebidos fora do horário.
+    const deliverPendingCallbacks = async (now = Date.now()) => {
+        if (!isTeamAvailable(now)) return;
+        const callbacks = await listPendingCallbacks();
+        if (callbacks.length === 0) return;
+        const porAgente = new Map();
+        for (const callback of callbacks) {
+            // Chamados ainda sem agente são distribuídos agora, com quem já estiver online.
+            const ticket = await routeTicket(callback.chamado_id);
+            ticketRecipients(ticket).forEach(agent => {
+                if (!porAgente.has(agent)) porAgente.set(agent, []);
+                porAgente.get(agent).push(callback);
+            });
+        }
+        for (const [agent, pedidos] of porAgente) {
+            let resumo = `🌅 *RETORNOS PENDENTES (${pedidos.length})*\n\n_Pedidos recebidos fora do horário de atendimento:_\n`;
+            pedidos.forEach(callback => {
+                const recebido = new Date(callback.timestamp).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+                resumo += `\n🎫 *#${callback.chamado_id}* — ${callback.user_name || 'Sem nome'} • 🕒 ${recebido}\n`;
+                resumo += `   📝 _${(callback.motivo || '').slice(0, 80)}_\n`;
+                resumo += `   📱 https://wa.me/${callback.user_phone.split('@')[0]}\n`;
+            });
+            resumo += `\n_Use *#r ID texto* para responder cada cliente._`;
+            await transport.sendText(agent, resumo);
+        }
+        await markCallbacksDelivered(callbacks.map(callback => callback.id));
+        // A espera considerada no SLA começa na abertura, não no horário do pedido.
+        for (const callback of callbacks) {
+            if (await getUserState(callback.user_phone)) await startWaitingForReply(callback.user_phone);
+        }
+        console.log(`🌅 Resumo com ${callbacks.length} retorno(s) pendente(s) enviado a ${porAgente.size} agente(s).`);
+    };
+
+    // Lembrete na véspera da visita (e aviso ao técnico, se ele tiver WhatsApp cadastrado).
+    const sendBookingReminders = async (now = Date.now()) => {
+        const bookings = await listBookingsToRemind(now, now + REMINDER_LEAD);
+        for (const booking of bookings) {
+            try {
+                await loadLanguage(booking.user_phone);
+                await transport.sendText(booking.user_phone, tr(booking.user_phone, 'booking.reminder', { nome: booking.user_name, agendamento: formatBookingSummary(booking.user_phone, booking) }));
+                const tecnico = scheduler.getTechnician(booking.tecnico);
+                if (tecnico && tecnico.phone) {
+                    await transport.sendText(tecnico.phone, `⏰ *Visita #${booking.id}:* ${scheduler.formatSlot(booking.inicio)}\n👤 ${booking.user_name} • 📍 ${booking.endereco} (CEP ${booking.cep})`);
+                }
+                await markBookingReminded(booking.id, now);
+            } catch (e) {
+                console.error(`❌ Erro ao enviar o lembrete do agendamento #${booking.id}:`, e);
+            }
+        }
+        if (bookings.length > 0) console.log(`⏰ ${bookings.length} lembrete(s) de agendamento enviado(s).`);
+    };
+
+    // --- RESUMO DIÁRIO DAS AVALIAÇÕES ---
+    // Na primeira verificação do dia com o time disponível, envia os indicadores do dia anterior
+    // (geral, por departamento e por especialista). A tabela "relatorios" evita reenvios após reinícios.
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const sendRatingsDigest = async (now = Date.now()) => {
+        if (!isTeamAvailable(now)) return;
+        const hoje = localDay(now);
+        const ontem = localDay(now - DAY);
+        const recentes = (await listRatings({ since: now - 31 * DAY, until: now })).filter(rating => localDay(rating.timestamp) < hoje);
+        const ratings = recentes.filter(rating => localDay(rating.timestamp) === ontem);
+        if (!(await markReportSent('avaliacoes', ontem, now)) || ratings.length === 0) return;
+        const resumo = formatRatingsDigest({
+            periodo: ontem,
+            ratings,
+            recentes: recentes.filter(rating => rating.timestamp >= now - 30 * DAY),
+            departmentName: (id) => (id ? directory.get(id).name : 'Sem departamento')
+        });
+        for (const agent of digestTo) await transport.sendText(agent, resumo);
+        console.log(`📊 Resumo das avaliações de ${ontem} enviado a ${digestTo.length} destinatário(s).`);
+    };
+
+    return { handleMessage, changeTicketStatus, resetSession, checkInactiveSessions, deliverPendingCallbacks, sendBookingReminders, sendRatingsDigest, purgeExpiredData };
+};
+
+module.exports = { createBotEngine, STAGES, DEFAULT_STAGE_TIMEOUTS, normalizeText };
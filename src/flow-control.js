@@ -0,0 +1,67 @@
+// --- CONTROLE DE FLUXO DAS MENSAGENS RECEBIDAS ---
+// Fila por usuário (uma mensagem de cada vez, na ordem de chegada) e limite de mensagens por
+// janela de tempo, usado pelo motor para detectar quem está inundando o bot.
+
+/**
+ * Executa as tarefas de uma mesma chave em série; chaves diferentes seguem em paralelo.
+ * Sem isso, duas mensagens rápidas do mesmo cliente leem o mesmo estágio antes de qualquer gravação.
+ */
+const createKeyedQueue = () => {
+    const tails = new Map();
+
+    /** @returns {Promise<*>} O resultado da tarefa (um erro não impede as próximas da fila). */
+    const run = (key, task) => {
+        const anterior = tails.get(key) || Promise.resolve();
+        const resultado = anterior.then(task);
+        const tail = resultado.catch(() => {});
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) tails.delete(key);
+        });
+        return resultado;
+    };
+
+    /** Quantas chaves têm tarefas em andamento ou esperando. */
+    const size = () => tails.size;
+
+    return { run, size };
+};
+
+/**
+ * Janela deslizante: mais de `limit` mensagens em `windowMs` caracteriza flood.
+ * @param {object} [options]
+ * @param {number} [options.limit=10]
+ * @param {number} [options.windowMs=15000]
+ */
+const createRateLimiter = ({ limit = 10, windowMs = 15 * 1000 } = {}) => {
+    const hits = new Map();
+
+    /**
+     * Registra uma mensagem da chave.
+     * @returns {{limited: boolean, warn: boolean}} warn só na primeira mensagem barrada de cada flood.
+     */
+    const hit = (key, now = Date.now()) => {
+        const entry = hits.get(key) || { times: [], warned: false };
+        entry.times = entry.times.filter(time => now - time < windowMs);
+        entry.times.push(now);
+        hits.set(key, entry);
+        if (entry.times.length <= limit) {
+            entry.warned = false;
+            return { limited: false, warn: false };
+        }
+        const warn = !entry.warned;
+        entry.warned = true;
+        return { limited: true, warn };
+    };
+
+    /** Esquece quem não mandou nada na última janela (chamado nas verificações periódicas). */
+    const prune = (now = Date.now()) => {
+        for (const [key, entry] of hits) {
+            if (!entry.times.some(time => now - time < windowMs)) hits.delete(key);
+        }
+    };
+
+    return { hit, prune };
+};
+
+module.exports = { createKeyedQueue, createRateLimiter };
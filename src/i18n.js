@@ -0,0 +1,183 @@
+// --- IDIOMAS DAS MENSAGENS ---
+// Os textos enviados aos clientes ficam em locales/<idioma>.json, com variáveis no formato
+// {nome}. O idioma padrão precisa ter todas as mensagens; nos demais, uma mensagem que falta
+// usa o texto do padrão. Cada arquivo também traz as palavras que o cliente digita naquele
+// idioma: gatilhos globais (sair, falar com humano), apelidos dos comandos e palavras que
+// ajudam a detectar o idioma na primeira mensagem.
+
+const PLACEHOLDER = /\{([\w.]+)\}/g;
+
+const normalize = (text = '') => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const placeholdersOf = (template) => [...template.matchAll(PLACEHOLDER)].map(match => match[1]);
+
+// { menu: { header: '...' } } vira { 'menu.header': '...' }. Listas de linhas viram um texto só.
+const flattenMessages = (messages, code, prefix = '', flat = {}) => {
+    Object.entries(messages || {}).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (typeof value === 'string') flat[path] = value;
+        else if (Array.isArray(value) && value.every(line => typeof line === 'string')) flat[path] = value.join('\n');
+        else if (value && typeof value === 'object' && !Array.isArray(value)) flattenMessages(value, code, path, flat);
+        else throw new Error(`Mensagem inválida em "${code}": "${path}" (use um texto ou uma lista de linhas)`);
+    });
+    return flat;
+};
+
+const wordList = (list, code, field) => {
+    if (!Array.isArray(list) || !list.every(item => typeof item === 'string' && item.trim())) {
+        throw new Error(`"${field}" inválido em "${code}" (use uma lista de palavras)`);
+    }
+    return list.map(normalize);
+};
+
+/**
+ * Valida os idiomas e devolve as funções de tradução.
+ * @param {Object<string, {language: {name: string, aliases?: string[]}, messages: object, triggers?: Object<string, string[]>,
+ *   commands?: Object<string, string[]>, detect?: string[]}>} locales Conteúdo de cada arquivo, pelo código (ex: 'pt-BR').
+ * @param {object} [options]
+ * @param {string} [options.defaultLocale='pt-BR']
+ */
+const createTranslator = (locales, { defaultLocale = 'pt-BR' } = {}) => {
+    if (!locales || !locales[defaultLocale]) throw new Error(`Idioma padrão "${defaultLocale}" não encontrado.`);
+    const warnings = [];
+
+    const parsed = Object.entries(locales).map(([code, { language = {}, messages, triggers = {}, commands = {}, detect = [] }]) => {
+        if (!language.name) throw new Error(`Idioma "${code}" sem "language.name".`);
+        if (!messages || typeof messages !== 'object') throw new Error(`Idioma "${code}" sem "messages".`);
+        const aliases = [...new Set([normalize(code), ...wordList(language.aliases || [], code, 'language.aliases')])];
+        const commandAliases = new Map();
+        Object.entries(commands).forEach(([canonical, list]) => {
+            wordList(list, code, `commands.${canonical}`).forEach(alias => {
+                if (commandAliases.has(alias) && commandAliases.get(alias) !== normalize(canonical)) {
+                    throw new Error(`Apelido repetido em "${code}": "${alias}" aponta para "${commandAliases.get(alias)}" e "${canonical}"`);
+                }
+                commandAliases.set(alias, normalize(canonical));
+            });
+        });
+        return {
+            code,
+            name: language.name,
+            aliases,
+            shortcut: language.aliases && language.aliases.length > 0 ? normalize(language.aliases[0]) : normalize(code),
+            messages: flattenMessages(messages, code),
+            triggers: Object.fromEntries(Object.entries(triggers).map(([name, list]) => [name, wordList(list, code, `triggers.${name}`)])),
+            commands: commandAliases,
+            detect: wordList(detect, code, 'detect')
+        };
+    });
+    const byCode = new Map(parsed.map(locale => [locale.code, locale]));
+    const base = byCode.get(defaultLocale);
+
+    // Um idioma só pode traduzir o que existe no padrão, e com as mesmas variáveis.
+    parsed.filter(locale => locale !== base).forEach(locale => {
+        Object.entries(locale.messages).forEach(([key, template]) => {
+            if (!(key in base.messages)) throw new Error(`Mensagem desconhecida em "${locale.code}": "${key}" (não existe em ${defaultLocale})`);
+            const esperadas = placeholdersOf(base.messages[key]);
+            placeholdersOf(template).forEach(name => {
+                if (!esperadas.includes(name)) throw new Error(`Variável {${name}} em "${locale.code}" → "${key}" não existe no texto de ${defaultLocale}`);
+            });
+        });
+        Object.keys(locale.triggers).forEach(name => {
+            if (!(name in base.triggers)) throw new Error(`Gatilho desconhecido em "${locale.code}": "${name}" (não existe em ${defaultLocale})`);
+        });
+        const faltando = Object.keys(base.messages).filter(key => !(key in locale.messages));
+        if (faltando.length > 0) warnings.push(`Idioma "${locale.code}" sem ${faltando.length} mensagem(ns), que sairão em ${defaultLocale}: ${faltando.slice(0, 5).join(', ')}${faltando.length > 5 ? '...' : ''}`);
+    });
+    parsed.forEach(locale => {
+        parsed.filter(other => other !== locale).forEach(other => {
+            const repetido = locale.aliases.find(alias => other.aliases.includes(alias));
+            if (repetido) throw new Error(`Apelido de idioma repetido: "${repetido}" (${locale.code} e ${other.code})`);
+        });
+    });
+
+    const localeOf = (code) => byCode.get(code) || base;
+
+    /**
+     * Texto da mensagem no idioma, com as variáveis preenchidas. Variáveis não informadas ficam como estão.
+     * @param {string} code Código do idioma; um código desconhecido usa o padrão.
+     * @param {string} key Chave da mensagem (ex: 'menu.header').
+     * @param {Object<string, *>} [vars]
+     */
+    const t = (code, key, vars = {}) => {
+        const template = localeOf(code).messages[key] ?? base.messages[key];
+        if (template === undefined) throw new Error(`Mensagem não encontrada: "${key}"`);
+        return template.replace(PLACEHOLDER, (original, name) => (vars[name] === undefined || vars[name] === null ? original : String(vars[name])));
+    };
+
+    /** Gatilhos do idioma somados aos do padrão, já sem acentos: quem fala português é sempre entendido. */
+    const triggers = (code, name) => [...new Set([...(localeOf(code).triggers[name] || []), ...(base.triggers[name] || [])])];
+
+    /**
+     * Traduz para a palavra do padrão o comando digitado no idioma do cliente (ex: "back" -> "voltar"),
+     * para o motor só precisar conhecer uma forma. Recebe e devolve o texto já normalizado.
+     */
+    const canonicalCommand = (code, normalizedInput) => {
+        const { commands } = localeOf(code);
+        if (commands.size === 0) return normalizedInput;
+        if (commands.has(normalizedInput)) return commands.get(normalizedInput);
+        const palavras = normalizedInput.split(/\s+/);
+        // Comandos com # podem ter argumentos traduzíveis (ex: "#erase confirm").
+        const traduzir = palavras[0].startsWith('#') ? palavras.map((_, index) => index) : [0];
+        traduzir.forEach(index => {
+            if (commands.has(palavras[index])) palavras[index] = commands.get(palavras[index]);
+        });
+        return palavras.join(' ');
+    };
+
+    /** Código do idioma pelo nome ou apelido digitado pelo cliente ("en", "english", "espanhol"...), ou null. */
+    const resolveLocale = (text) => {
+        const procurado = normalize(text);
+        const locale = parsed.find(candidate => candidate.aliases.includes(procurado));
+        return locale ? locale.code : null;
+    };
+
+    /** Idioma provável de uma mensagem (saudações e palavras comuns), ou null quando não dá para saber. */
+    const detectLocale = (text) => {
+        const normalized = normalize(text);
+        const pontos = parsed.map(locale => ({
+            code: locale.code,
+            score: locale.detect.filter(word => new RegExp(`(^|[^a-z])${escapeRegExp(word)}($|[^a-z])`).test(normalized)).length
+        })).sort((a, b) => b.score - a.score);
+        if (pontos.length === 0 || pontos[0].score === 0) return null;
+        if (pontos[1] && pontos[1].score === pontos[0].score) return null;
+        return pontos[0].code;
+    };
+
+    return {
+        defaultLocale,
+        codes: parsed.map(locale => locale.code),
+        /** Idiomas disponíveis, com o apelido curto usado no #idioma (o primeiro da lista). */
+        languages: parsed.map(locale => ({ code: locale.code, name: locale.name, shortcut: locale.shortcut })),
+        warnings,
+        hasLocale: (code) => byCode.has(code),
+        t,
+        triggers,
+        canonicalCommand,
+        resolveLocale,
+        detectLocale
+    };
+};
+
+/**
+ * Textos dos arquivos de configuração (triage.json, departments.json, scheduling.json) que o cliente vê.
+ * Podem vir por idioma, como no menu.json ({ "pt-BR": ..., "en": ... }); um texto simples vale para o padrão.
+ * @param {object} [options]
+ * @param {string[]} [options.locales] Idiomas conhecidos, para barrar códigos digitados errado.
+ * @param {string} [options.defaultLocale='pt-BR']
+ */
+const createConfigTexts = ({ locales = null, defaultLocale = 'pt-BR' } = {}) => {
+    /** Valida e devolve o texto no formato { idioma: texto }, com o idioma padrão obrigatório. */
+    const localized = (texts, where) => {
+        if (typeof texts === 'string' || Array.isArray(texts)) return { [defaultLocale]: texts };
+        if (!texts || typeof texts !== 'object' || !texts[defaultLocale]) throw new Error(`Texto em ${defaultLocale} obrigatório em ${where}.`);
+        Object.keys(texts).forEach(code => {
+            if (locales && !locales.includes(code)) throw new Error(`Idioma desconhecido "${code}" em ${where}.`);
+        });
+        return texts;
+    };
+    /** Texto no idioma, ou no padrão quando falta a tradução. */
+    const textIn = (texts, code = defaultLocale) => (texts && (texts[code] || texts[defaultLocale])) || null;
+    return { defaultLocale, localized, textIn };
+};
+
+module.exports = { createTranslator, createConfigTexts, normalize };
@@ -0,0 +1,83 @@
+// --- MENU PRINCIPAL ---
+// Seções e opções do menu vêm do menu.json: a tecla, a ação executada pelo motor e o texto em
+// cada idioma. Mudar um texto, a ordem ou a numeração das opções não exige mudança de código.
+
+// Ações que o motor sabe executar. Todas precisam estar no menu, porque as mensagens citam as teclas.
+const MENU_ACTIONS = ['catalogo', 'categorias', 'pecas', 'agendamento', 'suporte', 'especialista', 'sair'];
+// Atalhos que valem em qualquer etapa da conversa. Ficam fora de 1 a 5 para não colidir com as
+// listas numeradas (produtos, horários, opções da triagem).
+const GLOBAL_ACTIONS = ['especialista', 'sair'];
+const SEPARATOR = '━━━━━━━━━━━━━━━━━━';
+
+const keycap = (key) => `${key}\uFE0F\u20E3`;
+
+/**
+ * @param {object} config Conteúdo do menu.json.
+ * @param {Array<{icon?: string, title: Object<string, string>, items: Array<{key: string, action: string,
+ *   label: Object<string, string>}|{icon?: string, hint: Object<string, string>}>}>} config.sections
+ *   Textos por idioma; o idioma padrão é obrigatório e cobre os que faltarem.
+ * @param {object} [options]
+ * @param {string[]} [options.locales] Idiomas conhecidos (ver src/i18n.js), para barrar códigos digitados errado.
+ * @param {string} [options.defaultLocale='pt-BR']
+ */
+const createMenu = ({ sections } = {}, { locales = null, defaultLocale = 'pt-BR' } = {}) => {
+    if (!Array.isArray(sections) || sections.length === 0) throw new Error('Menu sem seções configuradas.');
+
+    const localized = (texts, where) => {
+        if (!texts || typeof texts !== 'object' || typeof texts[defaultLocale] !== 'string') {
+            throw new Error(`Texto em ${defaultLocale} obrigatório em ${where}.`);
+        }
+        Object.keys(texts).forEach(code => {
+            if (locales && !locales.includes(code)) throw new Error(`Idioma desconhecido "${code}" em ${where}.`);
+        });
+        return texts;
+    };
+
+    const keys = {}; // ação -> tecla
+    const actions = {}; // tecla -> ação
+    sections.forEach((section, index) => {
+        localized(section.title, `seção ${index + 1} ("title")`);
+        if (!Array.isArray(section.items) || section.items.length === 0) throw new Error(`Seção ${index + 1} do menu sem opções.`);
+        section.items.forEach(item => {
+            if (item.hint) {
+                localized(item.hint, `seção ${index + 1} ("hint")`);
+                return;
+            }
+            const where = `opção "${item.key}"`;
+            if (!/^\d$/.test(String(item.key))) throw new Error(`Tecla inválida no menu: "${item.key}" (use um dígito de 0 a 9)`);
+            if (!MENU_ACTIONS.includes(item.action)) throw new Error(`Ação inválida na ${where}: "${item.action}" (use ${MENU_ACTIONS.join(', ')})`);
+            if (actions[item.key]) throw new Error(`Tecla repetida no menu: "${item.key}"`);
+            if (keys[item.action]) throw new Error(`Ação repetida no menu: "${item.action}"`);
+            if (GLOBAL_ACTIONS.includes(item.action) && item.key !== '0' && Number(item.key) < 6) {
+                throw new Error(`A ${where} (${item.action}) vale em qualquer etapa: use 0 ou de 6 a 9.`);
+            }
+            localized(item.label, where);
+            keys[item.action] = String(item.key);
+            actions[item.key] = item.action;
+        });
+    });
+    const faltando = MENU_ACTIONS.filter(action => !keys[action]);
+    if (faltando.length > 0) throw new Error(`Ações sem opção no menu: ${faltando.join(', ')}`);
+
+    const textIn = (texts, code) => texts[code] || texts[defaultLocale];
+
+    /** Seções do menu no idioma, sem o cabeçalho (que vem do arquivo de idioma). */
+    const render = (code) => sections.map(section => {
+        const titulo = `${section.icon ? `${section.icon} ` : ''}*${textIn(section.title, code)}*`;
+        const linhas = section.items.map(item => (item.hint
+            ? `${item.icon || '•'}  _${textIn(item.hint, code)}_`
+            : `${keycap(item.key)}  ${textIn(item.label, code)}`));
+        return `${SEPARATOR}\n\n${titulo}\n\n${linhas.join('\n')}`;
+    }).join('\n\n');
+
+    return {
+        render,
+        /** Ação da tecla digitada, ou null. */
+        actionFor: (normalizedInput) => actions[normalizedInput] || null,
+        /** Tecla de uma ação (ex: keyOf('especialista') -> '6'). */
+        keyOf: (action) => keys[action],
+        keys: { ...keys }
+    };
+};
+
+module.exports = { createMenu, MENU_ACTIONS };
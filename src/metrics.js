@@ -0,0 +1,63 @@
+// --- MÉTRICAS DE OPERAÇÃO (FORMATO PROMETHEUS) ---
+// Contadores incrementados pelo motor (mensagens por estágio, erros) e medidores calculados
+// na hora da consulta (conexão, chamados abertos, sessões). O texto segue o formato de
+// exposição do Prometheus, servido em /metrics (ver src/status-server.js).
+
+const PREFIX = 'frioger_';
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const formatLabels = (labels = {}) => {
+    const pares = Object.entries(labels).map(([nome, valor]) => `${nome}="${escapeLabel(valor)}"`);
+    return pares.length > 0 ? `{${pares.join(',')}}` : '';
+};
+
+const createMetrics = () => {
+    const counters = new Map(); // nome -> { help, valores: Map(labels -> número) }
+    const gauges = new Map(); // nome -> { help, collect }
+
+    /** Declara um contador. Contadores usados sem declaração são criados com uma descrição genérica. */
+    const counter = (name, help) => {
+        if (!counters.has(name)) counters.set(name, { help, valores: new Map() });
+        return counters.get(name);
+    };
+
+    const increment = (name, labels = {}, amount = 1) => {
+        const { valores } = counter(name, name);
+        const chave = formatLabels(labels);
+        valores.set(chave, (valores.get(chave) || 0) + amount);
+    };
+
+    /**
+     * Declara um medidor calculado na consulta.
+     * @param {() => number|Array<{labels: object, value: number}>|Promise<...>} collect
+     */
+    const gauge = (name, help, collect) => {
+        gauges.set(name, { help, collect });
+    };
+
+    /** Texto completo para o /metrics. Um medidor com erro é omitido, sem derrubar os demais. */
+    const render = async () => {
+        const linhas = [];
+        for (const [name, { help, valores }] of counters) {
+            linhas.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} counter`);
+            for (const [labels, valor] of valores) linhas.push(`${PREFIX}${name}${labels} ${valor}`);
+        }
+        for (const [name, { help, collect }] of gauges) {
+            let amostras;
+            try {
+                const resultado = await collect();
+                amostras = Array.isArray(resultado) ? resultado : [{ labels: {}, value: resultado }];
+            } catch (e) {
+                console.error(`❌ Erro ao calcular a métrica ${name}:`, e.message);
+                continue;
+            }
+            linhas.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} gauge`);
+            amostras.forEach(({ labels, value }) => linhas.push(`${PREFIX}${name}${formatLabels(labels)} ${Number(value) || 0}`));
+        }
+        return `${linhas.join('\n')}\n`;
+    };
+
+    return { counter, increment, gauge, render };
+};
+
+module.exports = { createMetrics };
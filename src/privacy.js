@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- PRIVACIDADE (LGPD) ---
+// Versão da política aceita pelo cliente no primeiro contato, prazo de retenção dos dados
+// pessoais e o arquivo enviado pelo #meusdados. As consultas e a anonimização ficam no banco.
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPORT_DIR = path.join(__dirname, '..', 'cache', 'exportacoes');
+
+/**
+ * @param {object} config
+ * @param {string} config.version Versão da política; ao mudar, o consentimento é pedido de novo.
+ * @param {string} [config.policyUrl] Link da política de privacidade completa.
+ * @param {number} [config.retentionDays=730] Dias sem contato até os dados pessoais serem anonimizados.
+ * @param {string} [config.exportDir] Pasta temporária dos arquivos do #meusdados.
+ */
+const createPrivacyPolicy = ({ version, policyUrl = null, retentionDays = 730, exportDir = DEFAULT_EXPORT_DIR } = {}) => {
+    if (!version) throw new Error('Política de privacidade sem "version".');
+    if (!Number.isInteger(retentionDays) || retentionDays < 1) throw new Error(`"retentionDays" inválido: ${retentionDays} (use um número inteiro de dias)`);
+
+    /** Instante antes do qual quem não teve nenhum contato tem os dados anonimizados. */
+    const retentionCutoff = (now = Date.now()) => now - retentionDays * DAY;
+
+    /** Grava os dados do cliente em JSON para envio; o arquivo deve ser apagado depois (removeExport). */
+    const writeExport = async (userPhone, data) => {
+        await fs.promises.mkdir(exportDir, { recursive: true });
+        const fileName = `meus-dados-${userPhone.split('@')[0]}.json`;
+        const filePath = path.join(exportDir, `${Date.now()}-${fileName}`);
+        await fs.promises.writeFile(filePath, JSON.stringify({ geradoEm: new Date().toISOString(), politica: version, ...data }, null, 2));
+        return { path: filePath, fileName };
+    };
+
+    const removeExport = (file) => fs.promises.rm(file.path, { force: true });
+
+    return { version, policyUrl, retentionDays, retentionCutoff, writeExport, removeExport };
+};
+
+module.exports = { createPrivacyPolicy };
@@ -0,0 +1,259 @@
+// --- MOTOR DE BUSCA DE PRODUTOS ---
+// Busca tolerante no catalog.json: ignora acentos e pontuação, normaliza números e
+// unidades ("12.000 BTUs" e "12000 btus" viram o mesmo token), aceita pequenos erros
+// de digitação e devolve os itens ordenados por relevância.
+
+const STOPWORDS = new Set([
+    'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'da', 'do', 'das', 'dos',
+    'e', 'em', 'no', 'na', 'nos', 'nas', 'para', 'pra', 'por', 'com', 'que', 'qual',
+    'quero', 'queria', 'gostaria', 'preciso', 'procuro', 'procurando', 'tem', 'tenho',
+    'voces', 'vcs', 'meu', 'minha', 'ver', 'sobre', 'modelo'
+]);
+
+// Unidades reconhecidas logo após um número. A chave é a forma canônica.
+const UNITS = {
+    btu: ['btu', 'btus', 'btuh'],
+    l: ['l', 'lt', 'lts', 'litro', 'litros'],
+    v: ['v', 'volt', 'volts'],
+    kg: ['kg', 'kgs', 'quilo', 'quilos'],
+    w: ['w', 'watt', 'watts'],
+    cm: ['cm'],
+    g: ['g', 'garrafa', 'garrafas'],
+    b: ['b', 'boca', 'bocas'],
+    s: ['s', 'servico', 'servicos']
+};
+const UNIT_ALIASES = Object.entries(UNITS).reduce((acc, [canonical, aliases]) => {
+    aliases.forEach(alias => { acc[alias] = canonical; });
+    return acc;
+}, {});
+
+// Termos que o cliente usa mas o catálogo escreve de outra forma.
+const SYNONYMS = {
+    ar: ['climatizacao', 'split'],
+    condicionado: ['climatizacao', 'split'],
+    arcondicionado: ['climatizacao', 'split'],
+    geladeira: ['refrigerador'],
+    refrigerador: ['geladeira'],
+    fritadeira: ['fryer'],
+    airfryer: ['fryer'],
+    fogao: ['cooktop', 'inducao'],
+    maquina: ['lava'],
+    lavadora: ['lava'],
+    secadora: ['seca'],
+    aspirador: ['aspiradores', 'robo'],
+    frigobar: ['frigobares'],
+    voltagem: ['v'],
+    cervejeira: ['cerveja'],
+    ventilacao: ['ventilador']
+};
+
+const FIELD_WEIGHTS = { name: 3, sub: 2, specs: 1.5, title: 1.5, desc: 1 };
+
+// Medidas em que o cliente costuma arredondar ("freezer 500 litros" para um de 508L). Potência
+// em BTUs e voltagem ficam de fora: ali um valor diferente é outro produto.
+const APPROXIMATE_UNITS = ['l', 'kg', 'w', 'cm'];
+const APPROXIMATE_TOLERANCE = 0.05;
+
+// Pontuação mínima de um produto: um termo só parecido (ex: "dia" em "Diâmetro") não basta.
+const MIN_SCORE = 0.75;
+
+const stripAccents = (text = '') => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Remove o plural simples para que "geladeiras" encontre "geladeira".
+const singularize = (token) => (token.length > 4 && token.endsWith('s') && !/\d/.test(token) ? token.slice(0, -1) : token);
+
+/**
+ * Converte um texto livre em tokens normalizados.
+ * Ex: "Ar 12.000 BTUs 220 volts" -> ['ar', '12000btu', '220v']
+ */
+const tokenize = (text = '') => {
+    let normalized = stripAccents(String(text))
+        .replace(/(\d)\.(\d{3})(?!\d)/g, '$1$2') // 12.000 -> 12000
+        .replace(/(\d),(\d)/g, '$1.$2'); // 5,5 -> 5.5
+
+    const raw = normalized.match(/\d+(?:\.\d+)?|[a-z]+/g) || [];
+    const tokens = [];
+    for (let i = 0; i < raw.length; i++) {
+        let token = raw[i];
+        if (/^\d/.test(token)) {
+            let next = raw[i + 1];
+            // "12 mil" e "12k" viram 12000
+            if (next === 'mil' || next === 'k') {
+                token = String(parseFloat(token) * 1000);
+                i++;
+                next = raw[i + 1];
+            }
+            if (next && UNIT_ALIASES[next]) {
+                token += UNIT_ALIASES[next];
+                i++;
+            }
+            tokens.push(token);
+            continue;
+        }
+        if (STOPWORDS.has(token)) continue;
+        if (token.length < 2 && !UNIT_ALIASES[token]) continue;
+        tokens.push(singularize(token));
+    }
+    return tokens;
+};
+
+const isNumericToken = (token) => /^\d/.test(token);
+
+// Distância de edição (Damerau-Levenshtein restrita), com corte antecipado.
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) rows.push([i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        let rowMin = Infinity;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, rows[i - 2][j - 2] + 1);
+            }
+            rows[i][j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+    }
+    return rows[a.length][b.length];
+};
+
+// Palavras curtas (até 4 letras) só casam inteiras, sem erro nem prefixo: "bom" acharia "bomba" e "dia", "diâmetro".
+const allowedTypos = (token) => (token.length >= 7 ? 2 : token.length >= 5 ? 1 : 0);
+
+const splitMeasure = (token) => {
+    const [, value, unit] = token.match(/^(\d+(?:\.\d+)?)([a-z]*)$/) || [];
+    return value === undefined ? null : { value: parseFloat(value), unit };
+};
+
+// Qualidade da correspondência entre um token da busca e um token do produto (0 a 1).
+const matchQuality = (queryToken, itemToken) => {
+    if (queryToken === itemToken) return 1;
+    if (isNumericToken(queryToken)) {
+        // Um número sem unidade ("12000") casa com "12000btu".
+        if (itemToken.replace(/[a-z]+$/, '') === queryToken) return 0.9;
+        const buscado = splitMeasure(queryToken);
+        const medida = splitMeasure(itemToken);
+        if (!buscado || !medida || buscado.unit !== medida.unit || !APPROXIMATE_UNITS.includes(buscado.unit)) return 0;
+        return Math.abs(medida.value - buscado.value) <= buscado.value * APPROXIMATE_TOLERANCE ? 0.5 : 0;
+    }
+    if (isNumericToken(itemToken)) return 0;
+    if (queryToken.length > 4 && itemToken.startsWith(queryToken)) return 0.6;
+    const maxTypos = allowedTypos(queryToken);
+    if (maxTypos > 0) {
+        const distance = editDistance(queryToken, itemToken, maxTypos);
+        if (distance <= maxTypos) return distance === 1 ? 0.55 : 0.4;
+    }
+    return 0;
+};
+
+// O índice é montado uma vez por array de páginas carregado.
+const indexCache = new WeakMap();
+
+// Referência estável do produto (categoria, subcategoria e nome): continua válida quando o
+// catalog.json é recarregado com páginas ou itens em outra ordem, ao contrário da posição.
+const productRef = (page, item) => `${page.title}/${page.sub}/${item.n}`;
+
+const buildIndex = (pages) => {
+    if (indexCache.has(pages)) return indexCache.get(pages);
+    const entries = [];
+    pages.forEach((page) => {
+        if (!page.items) return;
+        page.items.forEach((item) => {
+            entries.push({
+                ref: productRef(page, item),
+                item,
+                page,
+                phrase: tokenize(item.n).join(' '),
+                fields: {
+                    name: tokenize(item.n),
+                    sub: tokenize(page.sub),
+                    title: tokenize(page.title),
+                    specs: tokenize((item.techSpecs || []).join(' ')),
+                    desc: tokenize(item.d)
+                }
+            });
+        });
+    });
+    indexCache.set(pages, entries);
+    return entries;
+};
+
+const scoreToken = (queryToken, fields) => {
+    let best = 0;
+    for (const [field, tokens] of Object.entries(fields)) {
+        for (const itemToken of tokens) {
+            best = Math.max(best, matchQuality(queryToken, itemToken) * FIELD_WEIGHTS[field]);
+        }
+    }
+    (SYNONYMS[queryToken] || []).forEach(synonym => {
+        for (const [field, tokens] of Object.entries(fields)) {
+            if (tokens.includes(synonym)) best = Math.max(best, 0.8 * FIELD_WEIGHTS[field]);
+        }
+    });
+    return best;
+};
+
+/**
+ * Busca produtos no catálogo e devolve os mais relevantes primeiro.
+ * @param {Array} pages Páginas do catalog.json.
+ * @param {string} query Texto digitado pelo cliente.
+ * @param {object} [options]
+ * @param {number} [options.limit=5] Quantidade máxima de resultados.
+ * @param {number} [options.minCoverage=0.5] Fração mínima dos termos que precisa ser encontrada.
+ * @param {number} [options.minScore=0.75] Pontuação mínima para o produto entrar no resultado.
+ * @returns {Array<object>} Itens do catálogo com `category`, `sub`, `ref` e `score`.
+ */
+const searchCatalog = (pages, query, { limit = 5, minCoverage = 0.5, minScore = MIN_SCORE } = {}) => {
+    if (!query || query.trim().length < 3) return []; // Evita buscas por strings muito curtas
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) return [];
+    const queryPhrase = queryTokens.join(' ');
+
+    const results = [];
+    for (const entry of buildIndex(pages)) {
+        let score = 0;
+        let matched = 0;
+        let missingNumber = false;
+        for (const token of queryTokens) {
+            const tokenScore = scoreToken(token, entry.fields);
+            if (tokenScore > 0) {
+                matched++;
+                score += tokenScore;
+            } else if (isNumericToken(token)) {
+                // Capacidade, voltagem etc. precisam bater: "12000 btus" não deve trazer 9.000.
+                missingNumber = true;
+                break;
+            }
+        }
+        if (missingNumber) continue;
+        const coverage = matched / queryTokens.length;
+        if (matched === 0 || coverage < minCoverage) continue;
+        if (entry.phrase.includes(queryPhrase)) score += 2;
+        if (score * coverage < minScore) continue;
+        results.push({ entry, score: score * coverage });
+    }
+
+    return results
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ entry, score }) => ({
+            ...entry.item,
+            category: entry.page.title,
+            sub: entry.page.sub,
+            ref: entry.ref,
+            score: Math.round(score * 100) / 100
+        }));
+};
+
+/** Recupera um item a partir da referência devolvida pela busca; null se o produto saiu do catálogo. */
+const getProductByRef = (pages, ref) => {
+    if (typeof ref !== 'string') return null;
+    const entry = buildIndex(pages).find(candidate => candidate.ref === ref);
+    return entry ? { ...entry.item, category: entry.page.title, sub: entry.page.sub, ref } : null;
+};
+
+module.exports = { searchCatalog, getProductByRef, productRef, tokenize };
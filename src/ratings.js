@@ -0,0 +1,126 @@
+// --- AVALIAÇÕES (CSAT / NPS) ---
+// Interpretação da nota enviada pelo cliente e os indicadores usados no resumo diário e no
+// painel. As notas vão de 1 a 5: o CSAT é a parcela de notas 4 e 5, e o NPS adaptado à escala
+// considera promotores as notas 5 e detratores as notas de 1 a 3.
+
+const RATING_LABELS = { 5: '🤩 Excelente', 4: '🙂 Bom', 3: '😐 Regular', 2: '🙁 Ruim', 1: '😡 Péssimo' };
+// Notas que geram alerta imediato ao especialista.
+const LOW_RATING = 2;
+
+const WORDS = { pessimo: 1, ruim: 2, regular: 3, bom: 4, otimo: 5, excelente: 5 };
+const DAY_FORMAT = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Sao_Paulo', year: 'numeric', month: '2-digit', day: '2-digit' });
+
+const stripAccents = (text = '') => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+const toScore = (value) => {
+    const nota = Number(value);
+    return Number.isInteger(nota) && nota >= 1 && nota <= 5 ? nota : null;
+};
+
+/**
+ * Nota de 1 a 5 na resposta do cliente, ou null se não der para ter certeza.
+ * Aceita "4", "4/5", "4 estrelas", "⭐⭐⭐⭐", "nota 4" no meio de uma frase e palavras como "ótimo".
+ * Números soltos em frases ("15 minutos esperando") não contam como nota.
+ */
+const parseRating = (text = '') => {
+    const normalized = stripAccents(String(text));
+    const citada = normalized.match(/\bnota\s*:?\s*(\d+)\b/);
+    if (citada) return toScore(citada[1]);
+    const estrelas = (String(text).match(/⭐/g) || []).length;
+    if (estrelas > 0) return toScore(estrelas);
+    const numero = normalized.match(/^(\d+)\s*(?:\/\s*5|de 5|estrelas?|pontos?)?[.!]*$/);
+    if (numero) return toScore(numero[1]);
+    return WORDS[normalized.replace(/[.!]+$/, '')] || null;
+};
+
+/** Dia da avaliação no fuso de São Paulo ("2026-10-19"), usado para separar os períodos. */
+const localDay = (timestamp) => DAY_FORMAT.format(new Date(timestamp));
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+/**
+ * Indicadores de um conjunto de avaliações. Registros antigos com texto livre no lugar da nota são ignorados.
+ * @returns {{total: number, media: number, csat: number, nps: number, distribuicao: number[]}}
+ *   distribuicao[0] é a quantidade de notas 1, e assim por diante.
+ */
+const summarizeRatings = (ratings) => {
+    const notas = ratings.map(rating => toScore(rating.nota)).filter(Boolean);
+    const distribuicao = [1, 2, 3, 4, 5].map(valor => notas.filter(nota => nota === valor).length);
+    const total = notas.length;
+    const soma = notas.reduce((acc, nota) => acc + nota, 0);
+    return {
+        total,
+        media: total > 0 ? Math.round((soma / total) * 10) / 10 : 0,
+        csat: percent(distribuicao[3] + distribuicao[4], total),
+        nps: percent(distribuicao[4], total) - percent(distribuicao[0] + distribuicao[1] + distribuicao[2], total),
+        distribuicao
+    };
+};
+
+/** Indicadores por departamento ou agente (campo `field`), do grupo com mais avaliações ao com menos. */
+const groupRatings = (ratings, field) => {
+    const grupos = new Map();
+    ratings.forEach(rating => {
+        const chave = rating[field] || null;
+        if (!grupos.has(chave)) grupos.set(chave, []);
+        grupos.get(chave).push(rating);
+    });
+    return [...grupos.entries()]
+        .map(([chave, lista]) => ({ chave, ...summarizeRatings(lista) }))
+        .filter(grupo => grupo.total > 0)
+        .sort((a, b) => b.total - a.total);
+};
+
+const formatSummary = (summary) => `⭐ ${summary.media.toFixed(1)} • CSAT ${summary.csat}% • NPS ${summary.nps > 0 ? '+' : ''}${summary.nps} (${summary.total})`;
+const agentLabel = (agente) => (agente ? agente.split('@')[0] : 'Sem especialista');
+
+/**
+ * Texto do resumo diário enviado ao time.
+ * @param {object} options
+ * @param {string} options.periodo Dia do resumo ("2026-10-18").
+ * @param {Array} options.ratings Avaliações do dia.
+ * @param {Array} [options.recentes] Avaliações dos últimos 30 dias, para comparação.
+ * @param {(id: string|null) => string} [options.departmentName]
+ */
+const formatRatingsDigest = ({ periodo, ratings, recentes = [], departmentName = (id) => id || 'Sem departamento' }) => {
+    const [ano, mes, dia] = periodo.split('-');
+    let resumo = `📊 *AVALIAÇÕES DE ${dia}/${mes}/${ano}*\n\n${formatSummary(summarizeRatings(ratings))}\n`;
+    const departamentos = groupRatings(ratings, 'departamento');
+    if (departamentos.length > 0) {
+        resumo += `\n📂 *Por departamento:*\n${departamentos.map(grupo => `• ${departmentName(grupo.chave)}: ${formatSummary(grupo)}`).join('\n')}\n`;
+    }
+    const agentes = groupRatings(ratings, 'agente');
+    if (agentes.length > 0) {
+        resumo += `\n👨‍🔧 *Por especialista:*\n${agentes.map(grupo => `• ${agentLabel(grupo.chave)}: ${formatSummary(grupo)}`).join('\n')}\n`;
+    }
+    const baixas = ratings.filter(rating => toScore(rating.nota) && toScore(rating.nota) <= LOW_RATING);
+    if (baixas.length > 0) {
+        resumo += `\n⚠️ *Notas baixas:*\n${baixas.map(rating => `• ${rating.nota}/5 — ${rating.user_name || 'Sem nome'}${rating.chamado_id ? ` (#${rating.chamado_id})` : ''}${rating.comentario ? `: _"${rating.comentario.slice(0, 80)}"_` : ''}`).join('\n')}\n`;
+    }
+    if (recentes.length > 0) resumo += `\n🗓️ *Últimos 30 dias:* ${formatSummary(summarizeRatings(recentes))}`;
+    return resumo.trim();
+};
+
+// Separador ";" e BOM para o arquivo abrir direto no Excel em português.
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Avaliações em CSV, uma por linha, com o chamado, o departamento e o especialista. */
+const ratingsToCsv = (ratings) => {
+    const header = ['id', 'data', 'cliente', 'telefone', 'nota', 'comentario', 'chamado', 'departamento', 'especialista'];
+    const linhas = ratings.map(rating => [
+        rating.id,
+        new Date(rating.timestamp).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' }),
+        rating.user_name,
+        rating.user_phone,
+        rating.nota,
+        rating.comentario,
+        rating.chamado_id,
+        rating.departamento,
+        rating.agente
+    ]);
+    return '\uFEFF' + [header, ...linhas].map(linha => linha.map(csvField).join(';')).join('\r\n') + '\r\n';
+};
+
+module.exports = { RATING_LABELS, LOW_RATING, parseRating, localDay, summarizeRatings, groupRatings, formatRatingsDigest, ratingsToCsv };
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { parseInterval, WEEKDAYS, WEEKDAY_LABELS } = require('./business-hours');
+const { createConfigTexts } = require('./i18n');
+
+// --- AGENDA DOS TÉCNICOS ---
+// Grade semanal de cada técnico (scheduling.json) dividida em horários de tamanho fixo. As reservas
+// ficam na tabela "agendamentos"; aqui só se calcula o que está livre e se gera o convite .ics.
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_ICS_DIR = path.join(__dirname, '..', 'cache', 'agendamentos');
+
+// Texto de calendário (RFC 5545): escapa separadores e quebras de linha.
+const escapeIcs = (text = '') => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const icsDate = (timestamp) => new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * @param {object} config
+ * @param {Object<string, {name: string, phone?: string, schedule: Object<string, string[]>}>} config.technicians
+ *   Técnicos e seus intervalos por dia da semana (ex: { segunda: ['08:00-12:00'] }).
+ * @param {Array<string|Object<string, string>>} config.services Tipos de serviço oferecidos ao cliente, com o
+ *   nome por idioma ({ "pt-BR": "Instalação", "en": "Installation" }). O agendamento guarda o do idioma padrão.
+ * @param {number} [config.slotMinutes=120] Duração de cada visita.
+ * @param {number} [config.daysAhead=14] Até quantos dias à frente oferecer horários.
+ * @param {number} [config.minNoticeHours=12] Antecedência mínima para reservar.
+ * @param {string} [config.timeZone='America/Sao_Paulo']
+ * @param {string} [config.icsDir] Pasta onde os convites .ics são gravados.
+ * @param {object} [options] Idiomas conhecidos e o padrão (ver createConfigTexts em src/i18n.js).
+ */
+const createScheduler = ({
+    technicians = {}, services: configServices = [], slotMinutes = 120, daysAhead = 14, minNoticeHours = 12,
+    timeZone = 'America/Sao_Paulo', icsDir = DEFAULT_ICS_DIR
+} = {}, options = {}) => {
+    if (configServices.length === 0) throw new Error('Nenhum tipo de serviço configurado para o agendamento.');
+    const { localized, textIn } = createConfigTexts(options);
+    const serviceNames = configServices.map((service, index) => localized(service, `serviço ${index + 1}`));
+    const services = serviceNames.map(names => textIn(names));
+    /** Nome do serviço (como guardado no agendamento) no idioma do cliente. */
+    const serviceName = (service, code) => textIn(serviceNames[services.indexOf(service)], code) || service;
+    const team = Object.entries(technicians).map(([id, { name, phone = null, schedule = {} }]) => {
+        Object.keys(schedule).forEach(day => {
+            if (!WEEKDAYS.includes(day)) throw new Error(`Dia da semana inválido para "${id}": "${day}" (use ${WEEKDAYS.join(', ')})`);
+        });
+        return { id, name: name || id, phone, intervals: WEEKDAYS.map(day => (schedule[day] || []).map(parseInterval)) };
+    });
+    if (team.length === 0) throw new Error('Nenhum técnico configurado para o agendamento.');
+
+    const formatter = new Intl.DateTimeFormat('en-CA', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    });
+    // Hora "de parede" no fuso configurado, representada como se fosse UTC.
+    const wallClock = (timestamp) => {
+        const parts = Object.fromEntries(formatter.formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+        return Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour) % 24, Number(parts.minute));
+    };
+    // Instante real de uma data/hora local (dia à meia-noite UTC + minutos do dia).
+    const toTimestamp = (day, minutes) => {
+        const local = day + minutes * 60 * 1000;
+        const first = local - (wallClock(local) - local);
+        return local - (wallClock(first) - first);
+    };
+
+    const getTechnician = (id) => team.find(technician => technician.id === id) || null;
+
+    /**
+     * Horários livres, do mais próximo ao mais distante. Cada horário lista os técnicos disponíveis.
+     * @param {object} options
+     * @param {number} [options.now]
+     * @param {Array<{tecnico: string, inicio: number}>} [options.booked] Reservas confirmadas no período.
+     * @param {(date: Date) => boolean} [options.isOpen] Filtro extra (ex: horário de atendimento e feriados).
+     */
+    const availableSlots = ({ now = Date.now(), booked = [], isOpen = null } = {}) => {
+        const ocupados = new Set(booked.map(booking => `${booking.tecnico}|${booking.inicio}`));
+        const earliest = now + minNoticeHours * 60 * 60 * 1000;
+        const today = Math.floor(wallClock(now) / DAY) * DAY;
+        const slots = new Map();
+        for (let daysAheadIndex = 0; daysAheadIndex <= daysAhead; daysAheadIndex++) {
+            const day = today + daysAheadIndex * DAY;
+            team.forEach(technician => {
+                technician.intervals[new Date(day).getUTCDay()].forEach(({ start, end }) => {
+                    for (let minutes = start; minutes + slotMinutes <= end; minutes += slotMinutes) {
+                        const inicio = toTimestamp(day, minutes);
+                        if (inicio < earliest || ocupados.has(`${technician.id}|${inicio}`)) continue;
+                        if (isOpen && !isOpen(new Date(inicio))) continue;
+                        if (!slots.has(inicio)) slots.set(inicio, { start: inicio, end: inicio + slotMinutes * 60 * 1000, technicians: [] });
+                        slots.get(inicio).technicians.push(technician.id);
+                    }
+                });
+            });
+        }
+        return [...slots.values()].sort((a, b) => a.start - b.start);
+    };
+
+    /** Dia da semana (0 = domingo), dia, mês e hora do horário no fuso configurado. */
+    const slotParts = (timestamp) => {
+        const local = new Date(wallClock(timestamp));
+        const [, month, day] = local.toISOString().slice(0, 10).split('-');
+        return { weekday: local.getUTCDay(), day, month, time: local.toISOString().slice(11, 16) };
+    };
+
+    /** "terça-feira, 21/10 às 08:00" no fuso configurado. */
+    const formatSlot = (timestamp) => {
+        const { weekday, day, month, time } = slotParts(timestamp);
+        return `${WEEKDAY_LABELS[weekday]}, ${day}/${month} às ${time}`;
+    };
+
+    /** Convite de calendário do agendamento; reservas canceladas geram um aviso de cancelamento. */
+    const buildIcs = (booking) => {
+        const technician = getTechnician(booking.tecnico);
+        const cancelado = booking.status === 'cancelado';
+        return [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Grupo Frioger//Agendamentos//PT-BR',
+            `METHOD:${cancelado ? 'CANCEL' : 'PUBLISH'}`,
+            'BEGIN:VEVENT',
+            `UID:agendamento-${booking.id}@grupofrioger`,
+            `SEQUENCE:${(booking.remarcacoes || 0) + (cancelado ? 1 : 0)}`,
+            `DTSTAMP:${icsDate(Date.now())}`,
+            `DTSTART:${icsDate(booking.inicio)}`,
+            `DTEND:${icsDate(booking.fim)}`,
+            `SUMMARY:${escapeIcs(`${booking.servico} - Grupo Frioger`)}`,
+            `LOCATION:${escapeIcs([booking.endereco, booking.cep && `CEP ${booking.cep}`].filter(Boolean).join(' - '))}`,
+            `DESCRIPTION:${escapeIcs(`Equipamento: ${booking.equipamento}\nTécnico: ${technician ? technician.name : booking.tecnico}`)}`,
+            `STATUS:${cancelado ? 'CANCELLED' : 'CONFIRMED'}`,
+            'END:VEVENT',
+            'END:VCALENDAR',
+            ''
+        ].join('\r\n');
+    };
+
+    /** Grava o .ics em disco para ser enviado como anexo. */
+    const writeIcs = async (booking) => {
+        await fs.promises.mkdir(icsDir, { recursive: true });
+        const fileName = `agendamento-${booking.id}.ics`;
+        const filePath = path.join(icsDir, fileName);
+        await fs.promises.writeFile(filePath, buildIcs(booking));
+        return { path: filePath, fileName };
+    };
+
+    return { services, serviceName, daysAhead, getTechnician, availableSlots, slotParts, formatSlot, buildIcs, writeIcs };
+};
+
+module.exports = { createScheduler };
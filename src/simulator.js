@@ -0,0 +1,125 @@
+const readline = require('readline');
+const path = require('path');
+const os = require('os');
+const { createAttachmentStorage } = require('./attachments');
+const { createBusinessHours } = require('./business-hours');
+const { createCatalog } = require('./catalog');
+const { createDatabase } = require('./database');
+const { createBotEngine } = require('./engine');
+const { createPrivacyPolicy } = require('./privacy');
+const { createMemoryTransport, createIncomingMessage } = require('./transports/memory');
+
+// --- SIMULADOR DE CONVERSA (LINHA DE COMANDO) ---
+// Conversa com o motor do bot no terminal, sem WhatsApp nem Chrome.
+// Uso: npm run simulador [-- caminho/do/banco.db]
+// Por padrão usa um banco no diretório temporário, nunca o sessions.db de produção.
+
+const SPECIALIST_NUMBER = 'especialista@sim';
+const DEFAULT_CUSTOMER = '5511900000000@c.us';
+const HELP = `Comandos do simulador:
+  /cliente [numero]  fala como cliente (padrão ${DEFAULT_CUSTOMER})
+  /especialista      fala como o especialista (#r, #fila, #encerrar...)
+  /citar texto       responde citando a última mensagem recebida pelo remetente atual
+  /midia [legenda]   envia uma foto fictícia
+  /esperar minutos   roda as verificações de inatividade, SLA, retornos, lembretes e o resumo das avaliações como se o tempo tivesse passado
+  /ajuda             mostra esta ajuda
+  /sair              encerra o simulador`;
+
+const main = async () => {
+    const dbPath = process.argv[2] || path.join(os.tmpdir(), 'frioger-simulador.db');
+    const store = createDatabase(dbPath);
+    await store.ready;
+
+    let from = DEFAULT_CUSTOMER;
+    const lastReceived = {};
+    const label = (phone) => (phone === SPECIALIST_NUMBER ? 'especialista' : phone);
+
+    const transport = createMemoryTransport({
+        onSend: (entry) => {
+            lastReceived[entry.to] = entry.text;
+            const tipo = entry.type === 'text' ? '' : `[${entry.type}${entry.fileName ? `: ${entry.fileName}` : ''}] `;
+            console.log(`\n📨 para ${label(entry.to)}:\n${tipo}${entry.text}\n`);
+        }
+    });
+
+    const engine = createBotEngine({
+        transport,
+        store,
+        catalog: createCatalog(path.join(__dirname, '..', 'catalog.json')),
+        specialistNumber: SPECIALIST_NUMBER,
+        businessHours: createBusinessHours(require('../business-hours.json')),
+        attachments: createAttachmentStorage({ dir: path.join(os.tmpdir(), 'frioger-simulador-anexos') }),
+        privacy: createPrivacyPolicy({ ...require('../privacy.json'), exportDir: path.join(os.tmpdir(), 'frioger-simulador-exportacoes') }),
+        delay: async () => {},
+        // Várias linhas coladas de uma vez chegam juntas: o anti-flood descartaria parte delas.
+        rateLimit: { limit: Infinity }
+    });
+
+    console.log(`🧪 Simulador do bot Grupo Frioger (banco: ${dbPath})\n${HELP}\n`);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const prompt = () => {
+        rl.setPrompt(`${label(from)}> `);
+        rl.prompt();
+    };
+
+    const processLine = async (line) => {
+        const [comando, ...resto] = line.trim().split(' ');
+        const argumento = resto.join(' ');
+        try {
+            switch (comando) {
+                case '/sair':
+                    rl.close();
+                    return;
+                case '/ajuda':
+                    console.log(HELP);
+                    break;
+                case '/cliente':
+                    from = argumento ? `${argumento.replace(/\D/g, '')}@c.us` : DEFAULT_CUSTOMER;
+                    break;
+                case '/especialista':
+                    from = SPECIALIST_NUMBER;
+                    break;
+                case '/citar':
+                    await engine.handleMessage(createIncomingMessage(from, argumento, { quotedBody: lastReceived[from] || '' }));
+                    break;
+                case '/midia':
+                    await engine.handleMessage(createIncomingMessage(from, argumento, {
+                        media: { type: 'image', mimetype: 'image/jpeg', filename: 'foto.jpg', data: Buffer.from('foto').toString('base64') }
+                    }));
+                    break;
+                case '/esperar': {
+                    const futuro = Date.now() + (parseFloat(argumento) || 0) * 60 * 1000;
+                    await engine.checkInactiveSessions(futuro);
+                    await engine.deliverPendingCallbacks(futuro);
+                    await engine.sendBookingReminders(futuro);
+                    await engine.sendRatingsDigest(futuro);
+                    break;
+                }
+                default:
+                    await engine.handleMessage(createIncomingMessage(from, line));
+            }
+        } catch (e) {
+            console.error('❌ Erro no simulador:', e);
+        }
+        prompt();
+    };
+
+    // As linhas são processadas uma de cada vez, na ordem (inclusive quando coladas ou via pipe).
+    let queue = Promise.resolve();
+    rl.on('line', (line) => {
+        queue = queue.then(() => processLine(line));
+    });
+
+    rl.on('close', async () => {
+        await queue;
+        await store.close();
+        process.exit(0);
+    });
+
+    prompt();
+};
+
+main().catch((err) => {
+    console.error('❌ Erro fatal no simulador:', err);
+    process.exit(1);
+});
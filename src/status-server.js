@@ -0,0 +1,77 @@
+const express = require('express');
+const path = require('path');
+const QRCode = require('qrcode-terminal/vendor/QRCode');
+const QRErrorCorrectLevel = require('qrcode-terminal/vendor/QRCode/QRErrorCorrectLevel');
+const { basicAuth } = require('./admin-panel');
+const { CONNECTION_STATES } = require('./connection');
+
+// --- SAÚDE, MÉTRICAS E QR CODE PELA WEB ---
+// Sempre no ar, mesmo sem o painel: /health e /metrics são públicos (para o monitoramento da
+// hospedagem) e /qr mostra o QR Code para hospedagens sem terminal, como a Discloud. O QR
+// dá acesso à conta do WhatsApp, por isso exige o mesmo login do painel.
+
+// Estados em que o bot não consegue atender ninguém sem intervenção (ou sem reconectar).
+const UNHEALTHY_STATES = [CONNECTION_STATES.DESCONECTADO, CONNECTION_STATES.RECONECTANDO, CONNECTION_STATES.FALHA_AUTENTICACAO];
+const QR_MODULE_SIZE = 6;
+const QR_MARGIN = 4; // Em módulos, a "zona de silêncio" exigida pelos leitores
+
+/** QR Code em SVG, usando o gerador que já vem com o qrcode-terminal. */
+const qrToSvg = (text) => {
+    const qrcode = new QRCode(-1, QRErrorCorrectLevel.L);
+    qrcode.addData(text);
+    qrcode.make();
+    const count = qrcode.getModuleCount();
+    const size = (count + QR_MARGIN * 2) * QR_MODULE_SIZE;
+    let modulos = '';
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (qrcode.isDark(row, col)) modulos += `M${(col + QR_MARGIN) * QR_MODULE_SIZE} ${(row + QR_MARGIN) * QR_MODULE_SIZE}h${QR_MODULE_SIZE}v${QR_MODULE_SIZE}h-${QR_MODULE_SIZE}z`;
+        }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}"><rect width="100%" height="100%" fill="#fff"/><path d="${modulos}" fill="#000"/></svg>`;
+};
+
+/**
+ * Cria o app Express de status. O painel administrativo pode ser montado nele (app.use), na mesma porta.
+ * @param {object} options
+ * @param {object} options.connection Conexão com o WhatsApp (ver src/connection.js).
+ * @param {object} options.metrics Métricas de operação (ver src/metrics.js).
+ * @param {{user: string, password: string}|null} [options.auth] Login exigido no /qr. Sem ele, o /qr fica desativado.
+ */
+const createStatusServer = ({ connection, metrics, auth = null }) => {
+    const app = express();
+    app.set('view engine', 'ejs');
+    app.set('views', path.join(__dirname, '..', 'views'));
+
+    app.get('/health', (req, res) => {
+        const { state, since, waState, reconnects } = connection.snapshot();
+        const saudavel = !UNHEALTHY_STATES.includes(state);
+        res.status(saudavel ? 200 : 503).json({
+            status: connection.isConnected() ? 'ok' : saudavel ? 'aguardando' : 'indisponivel',
+            whatsapp: state,
+            whatsappState: waState,
+            since: new Date(since).toISOString(),
+            reconnects,
+            uptime: Math.round(process.uptime())
+        });
+    });
+
+    app.get('/metrics', async (req, res, next) => {
+        try {
+            res.type('text/plain; version=0.0.4; charset=utf-8').send(await metrics.render());
+        } catch (e) { next(e); }
+    });
+
+    if (auth) {
+        app.get('/qr', basicAuth(auth.user, auth.password), (req, res) => {
+            const qr = connection.getQr();
+            res.render('status/qr', { state: connection.snapshot().state, connected: connection.isConnected(), svg: qr ? qrToSvg(qr) : null });
+        });
+    } else {
+        app.get('/qr', (req, res) => res.status(404).send('QR Code pela web desativado. Defina ADMIN_PASSWORD para habilitar o /qr.'));
+    }
+
+    return app;
+};
+
+module.exports = { createStatusServer, qrToSvg };
@@ -0,0 +1,51 @@
+// --- TRANSPORTE: MEMÓRIA ---
+// Guarda tudo o que o motor envia em uma lista, sem rede nem navegador. Usado pelos
+// testes de conversa e pelo simulador (que imprime cada envio no terminal via onSend).
+
+/**
+ * @param {object} [options]
+ * @param {(entry: object) => void} [options.onSend] Chamado a cada mensagem enviada.
+ */
+const createMemoryTransport = ({ onSend } = {}) => {
+    const sent = [];
+    const record = async (entry) => {
+        sent.push(entry);
+        if (onSend) onSend(entry);
+    };
+
+    return {
+        sent,
+        sendText: (to, text) => record({ to, type: 'text', text }),
+        sendFile: (to, filePath, { fileName, caption } = {}) => record({ to, type: 'file', filePath, fileName, text: caption || '' }),
+        sendMedia: (to, media, { caption } = {}) => record({ to, type: 'media', media, text: caption || '' }),
+        sendTyping: async () => {},
+
+        /** Retira da lista (e devolve) as mensagens enviadas para um destinatário. */
+        take(to) {
+            const mine = sent.filter(entry => entry.to === to);
+            const others = sent.filter(entry => entry.to !== to);
+            sent.length = 0;
+            sent.push(...others);
+            return mine;
+        }
+    };
+};
+
+/**
+ * Monta uma mensagem recebida no formato que o motor espera.
+ * @param {string} from Remetente.
+ * @param {string} body Texto (ou legenda).
+ * @param {object} [extra] Campos adicionais (ex: { media, quotedBody }).
+ */
+const createIncomingMessage = (from, body = '', { media = null, quotedBody = null, type = 'chat' } = {}) => ({
+    from,
+    body,
+    type: media ? (media.type || 'image') : type,
+    fromMe: false,
+    hasMedia: Boolean(media),
+    hasQuotedMsg: quotedBody !== null,
+    downloadMedia: async () => media,
+    getQuotedMessage: async () => (quotedBody !== null ? { body: quotedBody } : null)
+});
+
+module.exports = { createMemoryTransport, createIncomingMessage };
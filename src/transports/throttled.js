@@ -0,0 +1,58 @@
+// --- TRANSPORTE: ENVIO COM CADÊNCIA ---
+// Envolve outro transporte e enfileira todos os envios, com um intervalo mínimo entre mensagens
+// (e um maior para o mesmo chat). Rajadas de mensagens são o principal motivo de banimento
+// de números no WhatsApp; assim o motor pode continuar enviando sem se preocupar com isso.
+
+const defaultDelay = (ms) => new Promise(res => setTimeout(res, ms));
+
+/**
+ * @param {object} transport Transporte real (ex: src/transports/whatsapp.js).
+ * @param {object} [options]
+ * @param {number} [options.minIntervalMs=300] Intervalo mínimo entre dois envios quaisquer.
+ * @param {number} [options.chatIntervalMs=1000] Intervalo mínimo entre dois envios para o mesmo chat.
+ * @param {(ms: number) => Promise<void>} [options.delay]
+ * @param {() => number} [options.now]
+ */
+const createThrottledTransport = (transport, { minIntervalMs = 300, chatIntervalMs = 1000, delay = defaultDelay, now = Date.now } = {}) => {
+    let fila = Promise.resolve();
+    let ultimoEnvio = -Infinity;
+    let pendentes = 0;
+    const ultimoPorChat = new Map();
+
+    const forgetIdleChats = (agora) => {
+        for (const [chat, instante] of ultimoPorChat) {
+            if (agora - instante >= chatIntervalMs) ultimoPorChat.delete(chat);
+        }
+    };
+
+    const enqueue = (to, send) => {
+        pendentes++;
+        const resultado = fila.then(async () => {
+            const liberado = Math.max(ultimoEnvio + minIntervalMs, ultimoPorChat.has(to) ? ultimoPorChat.get(to) + chatIntervalMs : -Infinity);
+            const espera = liberado - now();
+            if (espera > 0) await delay(espera);
+            try {
+                return await send();
+            } finally {
+                ultimoEnvio = now();
+                forgetIdleChats(ultimoEnvio);
+                ultimoPorChat.set(to, ultimoEnvio);
+                pendentes--;
+            }
+        });
+        fila = resultado.catch(() => {});
+        return resultado;
+    };
+
+    return {
+        sendText: (to, text) => enqueue(to, () => transport.sendText(to, text)),
+        sendFile: (to, filePath, options) => enqueue(to, () => transport.sendFile(to, filePath, options)),
+        sendMedia: (to, media, options) => enqueue(to, () => transport.sendMedia(to, media, options)),
+        // O "digitando..." não é mensagem e não entra na fila.
+        sendTyping: (to) => transport.sendTyping(to),
+        /** Envios ainda na fila (ou em andamento). */
+        pending: () => pendentes
+    };
+};
+
+module.exports = { createThrottledTransport };
@@ -0,0 +1,24 @@
+const { MessageMedia } = require('whatsapp-web.js');
+
+// --- TRANSPORTE: WHATSAPP (whatsapp-web.js) ---
+// Adapta o Client do whatsapp-web.js à interface Transport do motor (src/engine.js).
+// As mensagens recebidas do whatsapp-web.js já têm o formato esperado pelo motor.
+
+const createWhatsAppTransport = (client) => ({
+    sendText: (to, text) => client.sendMessage(to, text),
+
+    sendFile: (to, filePath, { fileName, caption } = {}) => {
+        const media = MessageMedia.fromFilePath(filePath);
+        if (fileName) media.filename = fileName;
+        return client.sendMessage(to, media, { caption });
+    },
+
+    sendMedia: (to, media, { caption } = {}) => client.sendMessage(to, media, { caption }),
+
+    sendTyping: async (to) => {
+        const chat = await client.getChatById(to);
+        await chat.sendStateTyping();
+    }
+});
+
+module.exports = { createWhatsAppTransport };
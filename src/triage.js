@@ -0,0 +1,144 @@
+const { createConfigTexts } = require('./i18n');
+
+// --- TRIAGEM TÉCNICA GUIADA ---
+// Árvore de perguntas (triage.json) e base de códigos de erro (error-codes.json) usadas antes
+// de abrir um chamado de suporte. Cada etapa tem uma pergunta e, opcionalmente, opções numeradas;
+// a próxima etapa é a da opção escolhida ("next"), a da etapa ou, por fim, a seguinte da lista.
+// Perguntas, opções, descrições e passos de autoajuda podem vir por idioma, como no menu.json
+// ({ "pt-BR": ..., "en": ... }); um texto simples vale para o idioma padrão. As respostas e o
+// diagnóstico salvos no chamado ficam sempre no idioma padrão, o da equipe.
+
+const LOOKUPS = ['product', 'errorCode'];
+
+const stripAccents = (text = '') => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// "e-1", "E 1" e "e1" viram "E1".
+const normalizeCode = (text = '') => stripAccents(text).replace(/[^a-z0-9]/g, '').toUpperCase();
+
+/**
+ * @param {object} config
+ * @param {Array<{id: string, label: string, question: string|Object<string, string>, next?: string, lookup?: string,
+ *   options?: Array<{label: string|Object<string, string>, next?: string, selfHelp?: string[]|Object<string, string[]>}>}>} config.steps
+ *   Etapas, a primeira é o início.
+ * @param {Object<string, {name: string, aliases?: string[], codes: Object<string, {description: string|Object<string, string>,
+ *   selfHelp?: string[]|Object<string, string[]>}>}>} [config.errorCodes] Códigos de erro por fabricante.
+ * @param {object} [options]
+ * @param {string[]} [options.locales] Idiomas conhecidos (ver src/i18n.js), para barrar códigos digitados errado.
+ * @param {string} [options.defaultLocale='pt-BR']
+ */
+const createTriage = ({ steps: configSteps = [], errorCodes = {} } = {}, options = {}) => {
+    if (configSteps.length === 0) throw new Error('Triagem sem etapas configuradas.');
+    const { defaultLocale, localized, textIn } = createConfigTexts(options);
+
+    const byId = new Map();
+    configSteps.forEach(step => {
+        if (!step.id || !step.question) throw new Error(`Etapa da triagem sem "id" ou "question": ${JSON.stringify(step)}`);
+        if (byId.has(step.id)) throw new Error(`Etapa da triagem repetida: "${step.id}"`);
+        if (step.lookup && !LOOKUPS.includes(step.lookup)) throw new Error(`Consulta inválida em "${step.id}": "${step.lookup}" (use ${LOOKUPS.join(' ou ')})`);
+        byId.set(step.id, step);
+    });
+    configSteps.forEach(step => {
+        const targets = [step.next, ...(step.options || []).map(option => option.next)].filter(Boolean);
+        targets.forEach(target => {
+            if (!byId.has(target)) throw new Error(`Etapa "${step.id}" aponta para uma etapa inexistente: "${target}"`);
+        });
+        (step.options || []).forEach(option => {
+            if (!option.label) throw new Error(`Opção sem "label" na etapa "${step.id}"`);
+        });
+    });
+    const steps = configSteps.map(step => {
+        const where = `etapa "${step.id}"`;
+        const normalized = { ...step, question: localized(step.question, where) };
+        if (step.options) {
+            normalized.options = step.options.map(option => ({
+                ...option,
+                label: localized(option.label, where),
+                selfHelp: option.selfHelp ? localized(option.selfHelp, where) : null
+            }));
+        }
+        byId.set(step.id, normalized);
+        return normalized;
+    });
+
+    const brands = Object.entries(errorCodes).map(([id, { name, aliases = [], codes = {} }]) => ({
+        id, name: name || id, aliases: aliases.map(stripAccents),
+        codes: Object.fromEntries(Object.entries(codes).map(([code, entry]) => {
+            const where = `código "${code}" de "${id}"`;
+            return [normalizeCode(code), { description: localized(entry.description, where), selfHelp: entry.selfHelp ? localized(entry.selfHelp, where) : null }];
+        }))
+    }));
+
+    const getStep = (id) => byId.get(id) || null;
+    const followingStep = (step) => steps[steps.indexOf(step) + 1] || null;
+
+    /** Pergunta e opções numeradas no idioma; a instrução de resposta vem do arquivo de idioma. */
+    const formatQuestion = (step, code = defaultLocale) => {
+        if (!step.options) return textIn(step.question, code);
+        const opcoes = step.options.map((option, index) => `*${index + 1}* - ${textIn(option.label, code)}`).join('\n');
+        return `${textIn(step.question, code)}\n\n${opcoes}`;
+    };
+
+    /**
+     * Interpreta a resposta do cliente para a etapa. A opção pode ser digitada em qualquer idioma;
+     * o valor devolvido é o texto dela no idioma padrão.
+     * @returns {{value: string, next: string|null}|null} null quando a resposta não é válida.
+     */
+    const answer = (stepId, text) => {
+        const step = getStep(stepId);
+        const resposta = String(text || '').trim();
+        if (!step || !resposta) return null;
+        let option = null;
+        if (step.options) {
+            const normalized = stripAccents(resposta);
+            option = /^\d+$/.test(normalized)
+                ? step.options[parseInt(normalized, 10) - 1]
+                : step.options.find(candidate => Object.values(candidate.label).some(label => stripAccents(label) === normalized));
+            if (!option) return null;
+        }
+        const next = (option && option.next) || step.next || (followingStep(step) || {}).id || null;
+        return { value: option ? option.label[defaultLocale] : resposta, next };
+    };
+
+    /**
+     * Procura o código na base. Se o texto de apoio citar um fabricante (ex: "Split Midea 12000"),
+     * só ele é consultado; senão, todos os fabricantes que tiverem o código (descrição no idioma padrão).
+     */
+    const lookupErrorCode = (code, hint = '') => {
+        const codigo = normalizeCode(code);
+        if (!codigo) return [];
+        const words = stripAccents(hint).split(/[^a-z0-9]+/);
+        const citados = brands.filter(brand => brand.aliases.some(alias => words.includes(alias)));
+        return (citados.length > 0 ? citados : brands)
+            .filter(brand => brand.codes[codigo])
+            .map(brand => ({ code: codigo, brand: brand.name, description: textIn(brand.codes[codigo].description, defaultLocale) }));
+    };
+
+    const errorEntry = (erro) => {
+        const brand = brands.find(candidate => candidate.name === erro.brand);
+        return (brand && brand.codes[erro.code]) || null;
+    };
+
+    /** Descrição de um código encontrado por lookupErrorCode, no idioma. */
+    const describeError = (erro, locale = defaultLocale) => {
+        const entry = errorEntry(erro);
+        return entry ? textIn(entry.description, locale) : erro.description;
+    };
+
+    /** Passos de autoajuda das opções escolhidas e dos códigos encontrados, sem repetições, no idioma. */
+    const selfHelpFor = (respostas = {}, erros = [], locale = defaultLocale) => {
+        const fromOptions = steps.flatMap(step => {
+            const option = (step.options || []).find(candidate => candidate.label[defaultLocale] === respostas[step.id]);
+            return (option && textIn(option.selfHelp, locale)) || [];
+        });
+        return [...new Set([...fromOptions, ...erros.flatMap(erro => textIn((errorEntry(erro) || {}).selfHelp, locale) || [])])];
+    };
+
+    /** Respostas na ordem das etapas, com o título de cada uma (formato salvo no chamado). */
+    const describe = (respostas = {}) => steps
+        .filter(step => respostas[step.id] !== undefined)
+        .map(step => ({ etapa: step.id, titulo: step.label || step.id, resposta: respostas[step.id] }));
+
+    return { firstStep: steps[0].id, getStep, formatQuestion, answer, lookupErrorCode, describeError, selfHelpFor, describe };
+};
+
+module.exports = { createTriage };
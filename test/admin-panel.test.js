@@ -0,0 +1,33 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdminPanel } = require('../src/admin-panel');
+
+const reiniciadas = [];
+const app = createAdminPanel({ user: 'admin', password: 'segredo', services: { deleteUserState: async (phone) => { reiniciadas.push(phone); } } });
+
+let server;
+const post = async (url, headers = {}) => {
+    if (!server) await new Promise(res => { server = app.listen(0, res); });
+    return fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+        method: 'POST',
+        redirect: 'manual',
+        headers: { authorization: `Basic ${Buffer.from('admin:segredo').toString('base64')}`, ...headers }
+    });
+};
+const origem = () => `http://127.0.0.1:${server.address().port}`;
+
+after(() => server && server.close());
+
+test('ações do painel só aceitam formulários enviados pelo próprio painel', async () => {
+    assert.equal((await post('/sessoes/5511988887777%40c.us/reset', { origin: 'https://site-malicioso.example' })).status, 403);
+    assert.equal((await post('/sessoes/5511988887777%40c.us/reset')).status, 403);
+    assert.equal((await post('/sessoes/5511988887777%40c.us/reset', { origin: 'null' })).status, 403);
+    assert.equal((await post('/chamados/1/status', { referer: 'https://site-malicioso.example/painel' })).status, 403);
+    assert.deepEqual(reiniciadas, []);
+
+    const resposta = await post('/sessoes/5511988887777%40c.us/reset', { origin: origem() });
+    assert.equal(resposta.status, 302);
+    assert.deepEqual(reiniciadas, ['5511988887777@c.us']);
+    assert.equal((await post('/sessoes/5511977776666%40c.us/reset', { referer: `${origem()}/sessoes` })).headers.get('location'), `${origem()}/sessoes`);
+    assert.deepEqual(reiniciadas, ['5511988887777@c.us', '5511977776666@c.us']);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAttachmentStorage, formatSize } = require('../src/attachments');
+
+const media = (mimetype, bytes, filename) => ({ mimetype, data: Buffer.alloc(bytes, 7).toString('base64'), filename });
+
+test('valida tipo e tamanho', () => {
+    const storage = createAttachmentStorage({ dir: os.tmpdir(), maxBytes: 100 });
+    assert.equal(storage.check(media('image/jpeg', 100)), null);
+    assert.equal(storage.check(media('audio/ogg; codecs=opus', 10)), null);
+    assert.deepEqual(storage.check(media('image/jpeg', 101)), { code: 'tamanho', size: '1 KB', max: '1 KB' });
+    assert.deepEqual(storage.check(media('application/zip', 10)), { code: 'tipo' });
+    assert.deepEqual(storage.check({ data: '' }), { code: 'tipo' });
+});
+
+test('grava na pasta do chamado com nome seguro', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frioger-anexos-'));
+    try {
+        const storage = createAttachmentStorage({ dir });
+        const salvo = await storage.save(media('application/pdf', 10, '../Relatório técnico.pdf'), 42);
+        assert.equal(salvo.fileName, 'Relatorio_tecnico.pdf');
+        assert.equal(salvo.size, 10);
+        assert.equal(path.dirname(salvo.path), path.join(dir, '42'));
+        assert.equal(fs.readFileSync(salvo.path).length, 10);
+
+        const semNome = await storage.save(media('image/png', 5), 42);
+        assert.equal(semNome.fileName, 'anexo.png');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('arquivos da triagem ficam na pasta do telefone e saem juntos', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frioger-anexos-'));
+    try {
+        const storage = createAttachmentStorage({ dir });
+        const foto = await storage.stage(media('image/jpeg', 10, 'etiqueta.jpg'), '5511988887777@c.us');
+        const outro = await storage.stage(media('image/jpeg', 10, 'etiqueta.jpg'), '5511977776666@c.us');
+        assert.equal(path.dirname(foto.path), path.join(dir, 'triagem', '5511988887777_c.us'));
+
+        await storage.removeStaged('5511988887777@c.us');
+        assert.equal(fs.existsSync(foto.path), false);
+        assert.ok(fs.existsSync(outro.path));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('formata tamanhos', () => {
+    assert.equal(formatSize(500), '1 KB');
+    assert.equal(formatSize(16 * 1024 * 1024), '16.0 MB');
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBusinessHours } = require('../src/business-hours');
+
+const hours = createBusinessHours({
+    schedule: {
+        segunda: ['08:00-12:00', '13:00-18:00'],
+        terca: ['08:00-18:00'],
+        sabado: ['08:00-12:00']
+    },
+    holidays: ['10-12', '2026-10-20']
+});
+
+// Horários de São Paulo (UTC-3).
+const at = (iso) => new Date(`${iso}-03:00`);
+
+test('aberto dentro dos intervalos e fechado no almoço, à noite e aos domingos', () => {
+    assert.equal(hours.isOpen(at('2026-10-19T08:00:00')), true);
+    assert.equal(hours.isOpen(at('2026-10-19T12:30:00')), false);
+    assert.equal(hours.isOpen(at('2026-10-19T17:59:00')), true);
+    assert.equal(hours.isOpen(at('2026-10-19T18:00:00')), false);
+    assert.equal(hours.isOpen(at('2026-10-18T10:00:00')), false);
+});
+
+test('feriados fixos (MM-DD) e datas únicas (AAAA-MM-DD) ficam fechados', () => {
+    assert.equal(hours.isOpen(at('2026-10-12T10:00:00')), false);
+    assert.equal(hours.isOpen(at('2026-10-20T10:00:00')), false);
+    assert.equal(hours.isOpen(at('2027-10-12T10:00:00')), false);
+});
+
+test('descreve a próxima abertura para o cliente', () => {
+    assert.equal(hours.describeNextOpening(at('2026-10-19T06:00:00')), 'hoje às 08:00');
+    assert.equal(hours.describeNextOpening(at('2026-10-19T12:10:00')), 'hoje às 13:00');
+    // Terça é feriado: pula para o sábado.
+    assert.equal(hours.describeNextOpening(at('2026-10-19T19:00:00')), 'sábado (24/10) às 08:00');
+    assert.equal(hours.describeNextOpening(at('2026-10-23T19:00:00')), 'amanhã às 08:00');
+});
+
+test('configuração inválida é rejeitada', () => {
+    assert.throws(() => createBusinessHours({ schedule: { segunda: ['18:00-08:00'] } }), /Intervalo inválido/);
+    assert.throws(() => createBusinessHours({ schedule: { segunda: ['8h-18h'] } }), /Horário inválido/);
+    assert.throws(() => createBusinessHours({ schedule: { monday: ['08:00-18:00'] } }), /Dia da semana inválido/);
+});
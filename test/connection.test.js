@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { createConnectionManager, CONNECTION_STATES } = require('../src/connection');
+
+const tick = () => new Promise(res => setImmediate(res));
+const silent = { log: () => {}, warn: () => {}, error: () => {} };
+
+// Cliente falso do whatsapp-web.js: conta as chamadas e deixa o teste emitir os eventos.
+const createFakeClient = ({ failInitialize = 0 } = {}) => {
+    const client = new EventEmitter();
+    client.initializeCalls = 0;
+    client.destroyCalls = 0;
+    client.initialize = async () => {
+        client.initializeCalls++;
+        if (client.initializeCalls <= failInitialize) throw new Error('navegador não abriu');
+    };
+    client.destroy = async () => { client.destroyCalls++; };
+    return client;
+};
+
+// Agendador manual: guarda as esperas pedidas e roda a próxima quando o teste mandar.
+const createManualSchedule = () => {
+    const pendentes = [];
+    const schedule = (fn, ms) => {
+        pendentes.push({ fn, ms });
+        return pendentes.length;
+    };
+    const runNext = async () => {
+        pendentes.shift().fn();
+        await tick();
+    };
+    return { schedule, pendentes, runNext };
+};
+
+test('conexão: queda reconecta com espera crescente até conseguir', async () => {
+    const client = createFakeClient({ failInitialize: 2 });
+    const agenda = createManualSchedule();
+    const estados = [];
+    const connection = createConnectionManager(client, { logger: silent, baseDelayMs: 1000, maxDelayMs: 3000, schedule: agenda.schedule, onStateChange: (state) => estados.push(state) });
+
+    client.emit('ready');
+    assert.equal(connection.isConnected(), true);
+    client.emit('disconnected', 'NAVIGATION');
+    assert.equal(connection.snapshot().state, CONNECTION_STATES.DESCONECTADO);
+    assert.deepEqual(agenda.pendentes.map(pendente => pendente.ms), [1000]);
+
+    // Duas falhas seguidas: 2s e depois 3s (limite máximo).
+    await agenda.runNext();
+    assert.deepEqual(agenda.pendentes.map(pendente => pendente.ms), [2000]);
+    await agenda.runNext();
+    assert.deepEqual(agenda.pendentes.map(pendente => pendente.ms), [3000]);
+    await agenda.runNext();
+    assert.equal(client.initializeCalls, 3);
+    assert.equal(agenda.pendentes.length, 0);
+
+    client.emit('ready');
+    const { state, reconnects, attempts } = connection.snapshot();
+    assert.deepEqual({ state, reconnects, attempts }, { state: CONNECTION_STATES.CONECTADO, reconnects: 3, attempts: 0 });
+    assert.deepEqual(estados, ['conectado', 'desconectado', 'reconectando', 'conectado']);
+});
+
+test('conexão: falha na primeira inicialização também é tentada de novo', async () => {
+    const client = createFakeClient({ failInitialize: 1 });
+    const agenda = createManualSchedule();
+    const connection = createConnectionManager(client, { logger: silent, baseDelayMs: 1000, schedule: agenda.schedule });
+
+    await assert.rejects(connection.start(), /navegador não abriu/);
+    assert.equal(connection.snapshot().state, CONNECTION_STATES.DESCONECTADO);
+    assert.deepEqual(agenda.pendentes.map(pendente => pendente.ms), [1000]);
+
+    await agenda.runNext();
+    assert.equal(client.initializeCalls, 2);
+    assert.equal(agenda.pendentes.length, 0);
+    client.emit('ready');
+    assert.equal(connection.isConnected(), true);
+});
+
+test('conexão: novo QR depois de já ter conectado avisa uma única vez por queda', async () => {
+    const client = createFakeClient();
+    const avisos = [];
+    const connection = createConnectionManager(client, { logger: silent, schedule: () => 1, onNeedsAuth: (motivo) => avisos.push(motivo) });
+
+    // O primeiro QR da instalação é esperado.
+    client.emit('qr', 'qr-1');
+    assert.equal(connection.getQr(), 'qr-1');
+    assert.equal(avisos.length, 0);
+    client.emit('ready');
+    assert.equal(connection.getQr(), null);
+
+    client.emit('disconnected', 'LOGOUT');
+    client.emit('qr', 'qr-2');
+    client.emit('qr', 'qr-3');
+    assert.equal(avisos.length, 1);
+    assert.match(avisos[0], /novo QR Code/);
+    assert.equal(connection.getQr(), 'qr-3');
+
+    client.emit('ready');
+    client.emit('auth_failure', 'sessão inválida');
+    assert.equal(connection.snapshot().state, CONNECTION_STATES.FALHA_AUTENTICACAO);
+    assert.equal(avisos.length, 2);
+});
+
+test('conexão: stop() impede novas tentativas', async () => {
+    const client = createFakeClient();
+    const agenda = createManualSchedule();
+    const connection = createConnectionManager(client, { logger: silent, schedule: agenda.schedule });
+    connection.stop();
+    client.emit('disconnected', 'NAVIGATION');
+    assert.equal(agenda.pendentes.length, 0);
+});
@@ -0,0 +1,1157 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAttachmentStorage } = require('../src/attachments');
+const { createCatalog } = require('../src/catalog');
+const { createDatabase, formatProtocol } = require('../src/database');
+const { createPrivacyPolicy } = require('../src/privacy');
+const { createScheduler } = require('../src/scheduling');
+const { createBotEngine, STAGES } = require('../src/engine');
+const { createMemoryTransport, createIncomingMessage } = require('../src/transports/memory');
+
+// --- TESTES DE CONVERSA ---
+// Cada teste roda o motor com o transporte em memória e um banco SQLite temporário.
+
+const CLIENTE = '5511988887777@c.us';
+const ESPECIALISTA = 'especialista@test';
+const catalog = createCatalog(path.join(__dirname, '..', 'catalog.json'));
+
+// PDF falso: os testes não abrem o Chrome.
+const fakePdf = {
+    getFullCatalogPdf: async () => ({ path: '/tmp/catalogo.pdf', fileName: 'Catalogo_Frioger.pdf' }),
+    getSectionPdf: async () => ({ path: '/tmp/secao.pdf', fileName: 'Catalogo_Secao.pdf' })
+};
+
+// As conversas dos testes são instantâneas: sem isso, o anti-flood barraria os próprios testes.
+const SEM_LIMITE = { limit: Infinity };
+
+const TECNICO = 'tecnico@test';
+const WEEK = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+
+let tmpDir, store, transport, attachments, scheduler, privacy, engine;
+
+beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'frioger-test-'));
+    store = createDatabase(path.join(tmpDir, 'sessions.db'));
+    await store.ready;
+    transport = createMemoryTransport();
+    attachments = createAttachmentStorage({ dir: path.join(tmpDir, 'anexos'), maxBytes: 1024 });
+    // Um único técnico, todas as manhãs, reservando com 2 dias de antecedência (fora da janela do lembrete).
+    // "Instalação" tem tradução; "Manutenção" continua só em português.
+    scheduler = createScheduler({
+        services: [{ 'pt-BR': 'Instalação', en: 'Installation' }, 'Manutenção'],
+        technicians: { teo: { name: 'Téo', phone: TECNICO, schedule: Object.fromEntries(WEEK.map(day => [day, ['08:00-12:00']])) } },
+        minNoticeHours: 48, daysAhead: 5, icsDir: path.join(tmpDir, 'ics')
+    });
+    privacy = createPrivacyPolicy({ version: 'teste-1', retentionDays: 30, exportDir: path.join(tmpDir, 'exportacoes') });
+    engine = createBotEngine({ transport, store, catalog, specialistNumber: ESPECIALISTA, pdf: fakePdf, delay: async () => {}, rateLimit: SEM_LIMITE, attachments, scheduler, privacy });
+});
+
+afterEach(async () => {
+    await store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/** Envia uma mensagem e devolve os textos que o destinatário `to` recebeu em resposta. */
+const say = async (from, body, extra, to = from) => {
+    await engine.handleMessage(createIncomingMessage(from, body, extra));
+    return transport.take(to).map(entry => entry.text).join('\n');
+};
+
+const stageOf = async (phone) => {
+    const state = await store.getUserState(phone);
+    return state ? state.stage : null;
+};
+
+const startSession = async (nome = 'ana') => {
+    await say(CLIENTE, 'oi');
+    await say(CLIENTE, '1'); // Aceita a política de privacidade
+    await say(CLIENTE, nome);
+};
+
+// Passa pela triagem guiada (split, modelo, "Outro problema", na garantia) e devolve a confirmação do chamado.
+const completeTriage = async (from = CLIENTE, modelo = 'Midea 12000') => {
+    await say(from, '5');
+    await say(from, '1');
+    await say(from, modelo);
+    await say(from, '6');
+    return say(from, '1');
+};
+
+test('nova sessão pede o aceite da política, depois o nome e mostra o menu', async () => {
+    const saudacao = await say(CLIENTE, 'oi');
+    assert.match(saudacao, /Privacidade \(LGPD\)[\s\S]*1\* - Aceito/);
+    assert.equal(await stageOf(CLIENTE), STAGES.CONSENTIMENTO);
+    // Antes do aceite, os atalhos do menu não funcionam.
+    assert.match(await say(CLIENTE, 'menu'), /Digite \*1\* para aceitar/);
+
+    assert.match(await say(CLIENTE, '1'), /digite seu \*NOME\*/);
+    assert.equal(await stageOf(CLIENTE), STAGES.CAPTURA_NOME);
+    assert.equal((await store.getLatestConsent(CLIENTE)).versao, 'teste-1');
+
+    assert.match(await say(CLIENTE, 'a'), /nome válido/);
+
+    const menu = await say(CLIENTE, 'ana maria');
+    assert.match(menu, /\*Ana\*/);
+    const state = await store.getUserState(CLIENTE);
+    assert.equal(state.stage, STAGES.MENU_PRINCIPAL);
+    assert.equal(state.nome, 'Ana');
+});
+
+test('idioma: "hello" no primeiro contato conversa em inglês e o idioma fica no perfil', async () => {
+    const saudacao = await say(CLIENTE, 'hello');
+    assert.match(saudacao, /Privacy \(LGPD\)[\s\S]*1\* - I accept/);
+    assert.match(saudacao, /Digite \*#idioma pt\*/);
+    assert.match(saudacao, /Escribe \*#idioma es\*/);
+    assert.match(await say(CLIENTE, '1'), /type your \*NAME\*/);
+
+    const menu = await say(CLIENTE, 'john');
+    assert.match(menu, /pleasure to have you here, \*John\*/);
+    assert.match(menu, /6️⃣  Talk to a Specialist/);
+    assert.equal((await store.getCustomer(CLIENTE)).idioma, 'en');
+    // Os comandos em inglês viram os do português ("back" -> "voltar").
+    assert.match(await say(CLIENTE, 'back'), /Talk to a Specialist/);
+});
+
+test('idioma: a triagem pergunta em inglês e o chamado guarda as respostas em português', async () => {
+    await say(CLIENTE, 'hello');
+    await say(CLIENTE, '1');
+    await say(CLIENTE, 'john');
+
+    const pergunta = await say(CLIENTE, '5');
+    assert.match(pergunta, /What type of equipment is it\?[\s\S]*\*2\* - Walk-in cold room[\s\S]*Type the option number/);
+    assert.doesNotMatch(pergunta, /Qual é o tipo|Digite o número/);
+    assert.match(await say(CLIENTE, 'split or window air conditioner'), /brand and model/);
+    await say(CLIENTE, 'midea 12000');
+    assert.match(await say(CLIENTE, '4'), /Which code/);
+    assert.match(await say(CLIENTE, 'E1'), /\*E1\* \(Midea \/ Springer \/ Carrier\): Communication failure[\s\S]*under warranty/);
+    assert.match(await say(CLIENTE, 'yes'), /Switch off the unit's circuit breaker[\s\S]*Did it work/);
+    await say(CLIENTE, '2');
+
+    const diagnostico = JSON.parse((await store.getTicketById(1)).diagnostico);
+    assert.deepEqual(diagnostico.respostas.map(item => item.resposta), ['Ar-condicionado split ou janela', 'midea 12000', 'Mostra um código de erro no display', 'E1', 'Sim']);
+    assert.equal(diagnostico.erros[0].description, 'Falha de comunicação entre as unidades interna e externa.');
+    assert.deepEqual(diagnostico.autoajuda, ['Desligue o disjuntor do aparelho, aguarde 5 minutos e ligue novamente.']);
+});
+
+test('idioma: #idioma lista as opções e troca o idioma no meio da conversa', async () => {
+    await startSession();
+    const opcoes = await say(CLIENTE, '#idioma');
+    assert.match(opcoes, /\*#idioma en\* — English/);
+    assert.match(opcoes, /\*#idioma es\* — Español/);
+    assert.match(await say(CLIENTE, '#idioma klingon'), /Não conheço o idioma \*klingon\*/);
+
+    const menu = await say(CLIENTE, '#idioma espanhol');
+    assert.match(menu, /hablaré en \*Español\*/);
+    assert.match(menu, /Es un placer tenerte aquí, \*Ana\*[\s\S]*Hablar con un Especialista/);
+    assert.equal((await store.getCustomer(CLIENTE)).idioma, 'es');
+    assert.match(await say(CLIENTE, '#idioma pt'), /Falar com Especialista/);
+    assert.equal((await store.getCustomer(CLIENTE)).idioma, 'pt-BR');
+});
+
+test('idioma: #status, último atendimento e serviços do agendamento chegam traduzidos', async () => {
+    engine = createBotEngine({
+        transport, store, catalog, pdf: fakePdf, delay: async () => {}, rateLimit: SEM_LIMITE, scheduler,
+        departments: { vendas: { name: { 'pt-BR': 'Vendas', en: 'Sales' }, agents: [ESPECIALISTA] } }
+    });
+    await say(CLIENTE, 'hello');
+    await say(CLIENTE, '1');
+    await say(CLIENTE, 'john');
+    await say(CLIENTE, '6');
+    await say(ESPECIALISTA, '#assumir 1');
+    transport.take(CLIENTE);
+
+    const status = await say(CLIENTE, '#status');
+    assert.match(status, /Sales • product not specified/);
+    assert.match(status, /Request opened[\s\S]*A specialist took over your request/);
+    assert.doesNotMatch(status, /Vendas|Não informado|Chamado aberto|assumiu/);
+    // O chamado guarda o produto vazio, e o painel mostra o texto padrão.
+    assert.equal((await store.getTicketById(1)).produto_detectado, null);
+
+    await say(ESPECIALISTA, '#encerrar 1');
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '0');
+    assert.match(await say(CLIENTE, 'hi'), /Last conversation:\* _Talk to a specialist_/);
+    await say(CLIENTE, '2');
+    const servicos = await say(CLIENTE, '4');
+    assert.match(servicos, /\*1\* - Installation[\s\S]*\*2\* - Manutenção/);
+    assert.match(await say(CLIENTE, '1'), /equipment/);
+});
+
+test('triagem abre chamado, especialista responde, encerra e cliente avalia', async () => {
+    await startSession();
+    assert.match(await say(CLIENTE, '5'), /tipo de equipamento/);
+    assert.equal(await stageOf(CLIENTE), STAGES.SUPORTE_TRIAGEM);
+    assert.match(await say(CLIENTE, '9'), /Não entendi/);
+    assert.match(await say(CLIENTE, '1'), /marca e o modelo/);
+    assert.match(await say(CLIENTE, 'split midea 12000'), /O que está acontecendo/);
+    assert.match(await say(CLIENTE, '3'), /garantia/);
+    assert.match(await say(CLIENTE, 'não'), /Limpe os filtros[\s\S]*Resolveu/);
+
+    assert.match(await say(CLIENTE, '2'), /Sua solicitação foi registrada/);
+    assert.equal(await stageOf(CLIENTE), 'MODO_SILENCIOSO');
+
+    const [alerta] = transport.take(ESPECIALISTA);
+    assert.match(alerta.text, /NOVO CHAMADO TÉCNICO/);
+    assert.match(alerta.text, /Chamado:\* #1/);
+    assert.match(alerta.text, /Sintoma:\* Está pingando ou vazando água/);
+    assert.match(alerta.text, /tentou 2 passo\(s\) de autoajuda/);
+    const ticket = await store.getTicketById(1);
+    assert.equal(ticket.status, 'aberto');
+    assert.match(ticket.relato, /pingando/);
+    const diagnostico = JSON.parse(ticket.diagnostico);
+    assert.deepEqual(diagnostico.respostas.map(item => item.resposta), ['Ar-condicionado split ou janela', 'split midea 12000', 'Está pingando ou vazando água', 'Não']);
+    assert.equal(diagnostico.autoajuda.length, 2);
+
+    // Enquanto o especialista não responde, o bot fica em silêncio.
+    assert.equal(await say(CLIENTE, 'alguém aí?'), '');
+
+    assert.match(await say(ESPECIALISTA, '#assumir 1'), /em andamento/);
+    assert.equal((await store.getTicketById(1)).status, 'em andamento');
+
+    const resposta = await say(ESPECIALISTA, '#r 1 Olá Ana, vou te ajudar.', undefined, CLIENTE);
+    assert.match(resposta, /Olá Ana, vou te ajudar\./);
+    assert.equal(await stageOf(CLIENTE), STAGES.AGUARDANDO_HUMANO);
+    transport.take(ESPECIALISTA);
+
+    // A mensagem seguinte do cliente é repassada ao especialista.
+    await say(CLIENTE, 'obrigada, aguardo');
+    const [repasse] = transport.take(ESPECIALISTA);
+    assert.match(repasse.text, /obrigada, aguardo/);
+
+    const pesquisa = await say(ESPECIALISTA, '#encerrar 1', undefined, CLIENTE);
+    assert.match(pesquisa, /De 1 a 5/);
+    assert.equal(await stageOf(CLIENTE), STAGES.AVALIACAO);
+    assert.equal((await store.getTicketById(1)).status, 'resolvido');
+    transport.take(ESPECIALISTA);
+
+    // Encerrar de novo não repete o aviso nem a pesquisa.
+    assert.match(await say(ESPECIALISTA, '#encerrar 1'), /já estava encerrado/);
+    assert.equal(transport.take(CLIENTE).length, 0);
+    assert.equal((await store.listTicketEventsByTickets([1]))[1].filter(evento => evento.status === 'resolvido').length, 1);
+
+    assert.match(await say(CLIENTE, '5'), /Uau![\s\S]*digite \*0\* para pular/);
+    assert.equal(await stageOf(CLIENTE), STAGES.AVALIACAO_COMENTARIO);
+    assert.match(await say(CLIENTE, '0'), /Atendimento Encerrado/);
+    assert.equal(await stageOf(CLIENTE), null);
+    const [avaliacao] = await store.listRatingsByPhone(CLIENTE);
+    assert.equal(avaliacao.nota, '5');
+    assert.equal(avaliacao.chamado_id, 1);
+    assert.equal(avaliacao.agente, ESPECIALISTA);
+    assert.equal(avaliacao.comentario, null);
+});
+
+// --- AVALIAÇÕES ---
+
+// Atendimento humano assumido e encerrado pelo especialista, até a pesquisa de avaliação.
+const closeHumanTicket = async () => {
+    await startSession();
+    await say(CLIENTE, '6');
+    await say(ESPECIALISTA, '#assumir 1');
+    await say(ESPECIALISTA, '#encerrar 1');
+    transport.take(CLIENTE);
+    transport.take(ESPECIALISTA);
+};
+
+test('avaliação: vale a nota citada na frase e nota baixa gera um único alerta, com o comentário', async () => {
+    await closeHumanTicket();
+    assert.match(await say(CLIENTE, '15 minutos esperando, nota 2'), /Sentimos muito[\s\S]*comentário/);
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+
+    // O comentário pode ter palavras de comando ("atendente", "obrigado") e segue no alerta.
+    assert.match(await say(CLIENTE, 'o atendente demorou, obrigado'), /Atendimento Encerrado/);
+    const alertas = transport.take(ESPECIALISTA);
+    assert.equal(alertas.length, 1);
+    assert.match(alertas[0].text, /AVALIAÇÃO BAIXA: 2\/5[\s\S]*#1[\s\S]*Comentário:\* "o atendente demorou, obrigado"/);
+    assert.equal(await stageOf(CLIENTE), null);
+
+    const [avaliacao] = await store.listRatingsByPhone(CLIENTE);
+    assert.equal(avaliacao.nota, '2');
+    assert.equal(avaliacao.comentario, 'o atendente demorou, obrigado');
+    assert.equal(avaliacao.chamado_id, 1);
+    assert.equal(avaliacao.departamento, 'geral');
+});
+
+test('avaliação: nota baixa pulando o comentário alerta sem ele', async () => {
+    await closeHumanTicket();
+    await say(CLIENTE, '1');
+    assert.match(await say(CLIENTE, '0'), /Atendimento Encerrado/);
+    const [alerta] = transport.take(ESPECIALISTA);
+    assert.match(alerta.text, /AVALIAÇÃO BAIXA: 1\/5/);
+    assert.doesNotMatch(alerta.text, /Comentário/);
+});
+
+test('avaliação: nota baixa alerta quando a etapa do comentário expira', async () => {
+    await closeHumanTicket();
+    await say(CLIENTE, '2');
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+    await engine.checkInactiveSessions(Date.now() + 61 * MINUTOS);
+    assert.equal(await stageOf(CLIENTE), null);
+    const alertas = transport.take(ESPECIALISTA);
+    assert.equal(alertas.length, 1);
+    assert.match(alertas[0].text, /AVALIAÇÃO BAIXA: 2\/5/);
+});
+
+test('avaliação: resposta sem nota é perguntada de novo e "sair" encerra sem avaliar', async () => {
+    await startSession();
+    await say(CLIENTE, 'sair');
+    assert.match(await say(CLIENTE, 'mais ou menos'), /Não entendi a sua nota/);
+    assert.match(await say(CLIENTE, '15'), /Não entendi a sua nota/);
+    assert.equal(await stageOf(CLIENTE), STAGES.AVALIACAO);
+    assert.match(await say(CLIENTE, 'sair'), /Atendimento encerrado/);
+    assert.equal(await stageOf(CLIENTE), null);
+    assert.equal((await store.listRatingsByPhone(CLIENTE)).length, 0);
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+});
+
+test('avaliação: resumo diário do dia anterior, enviado uma única vez', async () => {
+    await closeHumanTicket();
+    await say(CLIENTE, '⭐⭐⭐⭐');
+    await say(CLIENTE, 'gostei');
+
+    // No mesmo dia ainda não há resumo da avaliação.
+    await engine.sendRatingsDigest();
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+
+    const amanha = Date.now() + 24 * 60 * 60 * 1000;
+    await engine.sendRatingsDigest(amanha);
+    const [resumo] = transport.take(ESPECIALISTA);
+    assert.match(resumo.text, /AVALIAÇÕES DE[\s\S]*⭐ 4\.0 • CSAT 100% • NPS 0 \(1\)[\s\S]*Atendimento: [\s\S]*especialista: /);
+    await engine.sendRatingsDigest(amanha + 60 * 1000);
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+});
+
+test('especialista responde citando o alerta', async () => {
+    await startSession();
+    await say(CLIENTE, '6');
+    const [alerta] = transport.take(ESPECIALISTA);
+    assert.match(alerta.text, /ALERTA DE ATENDIMENTO/);
+
+    const resposta = await say(ESPECIALISTA, 'Bom dia!', { quotedBody: alerta.text }, CLIENTE);
+    assert.match(resposta, /Bom dia!/);
+});
+
+test('protocolo: informado na abertura, mudanças de status avisadas e consulta por #status', async () => {
+    await startSession();
+    const confirmacao = await completeTriage();
+    const protocolo = formatProtocol(await store.getTicketById(1));
+    assert.match(protocolo, /^\d{8}-00001$/);
+    assert.ok(confirmacao.includes(`Protocolo:* ${protocolo}`));
+    transport.take(ESPECIALISTA);
+
+    await say(ESPECIALISTA, '#assumir 1');
+    const aviso = transport.take(CLIENTE).map(entry => entry.text).join('\n');
+    assert.ok(aviso.includes(`Chamado ${protocolo}: EM ANDAMENTO`));
+    // Assumir de novo não muda o status, então o cliente não recebe outro aviso.
+    await say(ESPECIALISTA, '#assumir 1');
+    assert.equal(transport.take(CLIENTE).length, 0);
+
+    // A consulta não muda a etapa da conversa.
+    const status = await say(CLIENTE, '#status');
+    assert.ok(status.includes(`${protocolo}* — EM ANDAMENTO`));
+    assert.match(status, /Chamado aberto[\s\S]*Especialista assumiu o atendimento/);
+    assert.equal(await stageOf(CLIENTE), 'MODO_SILENCIOSO');
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+
+    await say(ESPECIALISTA, '#encerrar 1');
+    assert.match(await say(CLIENTE, `#protocolo ${protocolo}`), /RESOLVIDO[\s\S]*Atendimento encerrado/);
+    assert.match(await say(CLIENTE, '#protocolo 20260101-00099'), /Não encontrei o protocolo/);
+    const eventos = (await store.listTicketEventsByTickets([1]))[1];
+    assert.deepEqual(eventos.map(evento => evento.status), ['aberto', 'em andamento', 'resolvido']);
+    assert.equal(eventos[1].autor, ESPECIALISTA);
+});
+
+test('protocolo: #status sem chamados e sem sessão', async () => {
+    assert.match(await say(CLIENTE, '#status'), /ainda não tem chamados/);
+    assert.equal(await stageOf(CLIENTE), null);
+});
+
+test('cliente recorrente: saudação pelo nome e retomada do último chamado', async () => {
+    await startSession();
+    await say(CLIENTE, '6');
+    assert.match(transport.take(ESPECIALISTA)[0].text, /Histórico:\* primeiro atendimento/);
+    await say(ESPECIALISTA, '#encerrar 1');
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '0');
+    assert.equal(await stageOf(CLIENTE), null);
+
+    // A sessão acabou, mas o perfil continua: o nome não é perguntado de novo.
+    const saudacao = await say(CLIENTE, 'oi');
+    assert.match(saudacao, /de volta, \*Ana\*/);
+    assert.match(saudacao, /Último atendimento:\* _Falar com especialista_/);
+    assert.equal(await stageOf(CLIENTE), STAGES.RETORNO_CLIENTE);
+
+    // O chamado anterior foi resolvido, então a retomada abre outro no mesmo departamento.
+    assert.match(await say(CLIENTE, '1'), /Retomei o seu atendimento[\s\S]*Protocolo/);
+    assert.equal(await stageOf(CLIENTE), STAGES.AGUARDANDO_HUMANO);
+    const novo = await store.getTicketById(2);
+    assert.equal(novo.relato, `Retomada do chamado ${formatProtocol(await store.getTicketById(1))}`);
+    const [alerta] = transport.take(ESPECIALISTA);
+    assert.match(alerta.text, /CLIENTE RETOMOU O ATENDIMENTO/);
+    assert.match(alerta.text, /1 chamado\(s\) anterior\(es\)[\s\S]*última nota 5\/5/);
+    assert.equal((await store.getCustomer(CLIENTE)).assuntos[0].ref, 2);
+});
+
+test('cliente recorrente: "não sou" pede o nome e atualiza o perfil', async () => {
+    await startSession();
+    await say(CLIENTE, '6');
+    await say(ESPECIALISTA, '#encerrar 1');
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '0');
+    await say(CLIENTE, 'oi');
+
+    assert.match(await say(CLIENTE, '3'), /digite seu \*NOME\*/);
+    assert.match(await say(CLIENTE, 'bruno'), /\*Bruno\*/);
+    assert.equal((await store.getCustomer(CLIENTE)).nome, 'Bruno');
+});
+
+test('cliente recorrente: sem assunto anterior vai direto ao menu', async () => {
+    await startSession();
+    await say(CLIENTE, 'sair');
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '0');
+    assert.match(await say(CLIENTE, 'oi'), /prazer ter você aqui, \*Ana\*/);
+    assert.equal(await stageOf(CLIENTE), STAGES.MENU_PRINCIPAL);
+});
+
+// --- PRIVACIDADE (LGPD) ---
+
+test('LGPD: sem o aceite nada é guardado', async () => {
+    await say(CLIENTE, 'oi');
+    assert.match(await say(CLIENTE, 'não'), /respeitamos a sua decisão/);
+    assert.equal(await stageOf(CLIENTE), null);
+    assert.equal(await store.getLatestConsent(CLIENTE), undefined);
+    assert.match(await say(CLIENTE, 'oi'), /Privacidade \(LGPD\)/);
+});
+
+test('LGPD: nova versão da política pede o aceite de novo', async () => {
+    await startSession();
+    await say(CLIENTE, 'sair');
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '0');
+    engine = createBotEngine({
+        transport, store, catalog, specialistNumber: ESPECIALISTA, pdf: fakePdf, delay: async () => {}, rateLimit: SEM_LIMITE, attachments, scheduler,
+        privacy: createPrivacyPolicy({ version: 'teste-2' })
+    });
+    assert.match(await say(CLIENTE, 'oi'), /Olá de novo, \*Ana\*! Atualizamos/);
+    assert.match(await say(CLIENTE, '1'), /prazer ter você aqui, \*Ana\*/);
+    assert.equal((await store.getLatestConsent(CLIENTE)).versao, 'teste-2');
+});
+
+test('LGPD: #meusdados envia o JSON com tudo o que foi guardado e não deixa o arquivo no servidor', async () => {
+    await startSession();
+    await say(CLIENTE, '6');
+    await engine.handleMessage(createIncomingMessage(CLIENTE, '#meusdados'));
+    const [arquivo] = transport.take(CLIENTE);
+    assert.equal(arquivo.type, 'file');
+    assert.equal(arquivo.fileName, 'meus-dados-5511988887777.json');
+    assert.match(arquivo.text, /#apagar/);
+    assert.equal(fs.existsSync(arquivo.filePath), false);
+    assert.equal(await stageOf(CLIENTE), STAGES.AGUARDANDO_HUMANO);
+
+    const dados = await store.exportCustomerData(CLIENTE);
+    assert.equal(dados.perfil.nome, 'Ana');
+    assert.equal(dados.consentimentos[0].versao, 'teste-1');
+    assert.equal(dados.chamados.length, 1);
+    assert.equal(dados.chamados[0].historico[0].descricao, 'Chamado aberto');
+});
+
+test('LGPD: #apagar pede confirmação e anonimiza chamados, avaliações e perfil', async () => {
+    await startSession();
+    await say(CLIENTE, '6');
+    await say(CLIENTE, 'segue a foto', { media: { mimetype: 'image/jpeg', data: Buffer.from('foto').toString('base64') } });
+    const [anexo] = (await store.listAttachmentsByTickets([1]))[1];
+    transport.take(ESPECIALISTA);
+
+    assert.match(await say(CLIENTE, '#apagar'), /#apagar confirmo/);
+    assert.equal((await store.getTicketById(1)).user_phone, CLIENTE);
+
+    assert.match(await say(CLIENTE, '#apagar confirmo'), /Seus dados foram apagados/);
+    const ticket = await store.getTicketById(1);
+    assert.equal(ticket.user_phone, 'anonimizado');
+    assert.equal(ticket.relato, '[removido]');
+    assert.equal(ticket.status, 'resolvido');
+    assert.equal(await stageOf(CLIENTE), null);
+    assert.equal(await store.getCustomer(CLIENTE), null);
+    assert.equal(fs.existsSync(anexo.arquivo), false);
+    assert.match(transport.take(ESPECIALISTA)[0].text, /DADOS APAGADOS/);
+    assert.match(await say(ESPECIALISTA, '#r 1 Olá?'), /anonimizado/);
+
+    // O próximo contato começa do zero, com o aceite da política.
+    assert.match(await say(CLIENTE, 'oi'), /bem-vindo\(a\)[\s\S]*Privacidade/);
+});
+
+test('LGPD: #apagar no meio da triagem apaga os arquivos que ainda não viraram chamado', async () => {
+    await startSession();
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '', { media: { mimetype: 'image/jpeg', data: Buffer.from('foto').toString('base64'), filename: 'etiqueta.jpg' } });
+    const { triagem } = JSON.parse((await store.getUserState(CLIENTE)).context);
+    const [arquivo] = triagem.anexos;
+    assert.equal(path.dirname(arquivo.path), path.join(tmpDir, 'anexos', 'triagem', '5511988887777_c.us'));
+    assert.ok(fs.existsSync(arquivo.path));
+
+    assert.match(await say(CLIENTE, '#apagar confirmo'), /Seus dados foram apagados/);
+    assert.equal(fs.existsSync(arquivo.path), false);
+    assert.equal(fs.existsSync(path.dirname(arquivo.path)), false);
+});
+
+test('LGPD: retenção anonimiza quem passou do prazo sem contato', async () => {
+    await startSession();
+    await say(CLIENTE, '6');
+    await say(ESPECIALISTA, '#encerrar 1');
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '0');
+
+    assert.equal(await engine.purgeExpiredData(), 0);
+    assert.equal(await engine.purgeExpiredData(Date.now() + 31 * 24 * 60 * MINUTOS), 1);
+    assert.equal((await store.getTicketById(1)).user_name, 'Anonimizado');
+    assert.deepEqual(await store.listRatingsByPhone(CLIENTE), []);
+    assert.equal(await store.getLatestConsent(CLIENTE), undefined);
+});
+
+// --- FILA POR CLIENTE E ANTI-FLOOD ---
+
+test('fila por cliente: mensagens simultâneas são processadas uma de cada vez', async () => {
+    await Promise.all([
+        engine.handleMessage(createIncomingMessage(CLIENTE, 'oi')),
+        engine.handleMessage(createIncomingMessage(CLIENTE, 'oi'))
+    ]);
+    const [boasVindas, segunda] = transport.take(CLIENTE).map(entry => entry.text);
+    assert.match(boasVindas, /Privacidade \(LGPD\)/);
+    assert.match(segunda, /Digite \*1\* para aceitar/);
+});
+
+test('anti-flood: acima do limite o cliente é avisado uma vez e as mensagens são descartadas', async () => {
+    engine = createBotEngine({ transport, store, catalog, specialistNumber: ESPECIALISTA, pdf: fakePdf, delay: async () => {}, attachments, scheduler, privacy, rateLimit: { limit: 3, windowMs: 60 * 1000 } });
+    await startSession();
+    assert.match(await say(CLIENTE, '2'), /muitas mensagens/);
+    assert.equal(await say(CLIENTE, '2'), '');
+    assert.equal(await stageOf(CLIENTE), STAGES.MENU_PRINCIPAL);
+});
+
+test('anti-flood: na fila humana as mensagens viram um único aviso ao especialista', async () => {
+    engine = createBotEngine({
+        transport, store, catalog, specialistNumber: ESPECIALISTA, pdf: fakePdf, delay: async () => {}, attachments, scheduler, privacy,
+        rateLimit: { limit: 5, windowMs: 60 * 1000 }, relayWindowMs: 40
+    });
+    await startSession();
+    await say(CLIENTE, '6');
+    await say(ESPECIALISTA, '#assumir 1');
+    transport.take(CLIENTE);
+
+    for (const texto of ['bom dia', 'alguém?', 'preciso de ajuda', 'urgente', 'por favor']) {
+        assert.equal(await say(CLIENTE, texto), '');
+    }
+    // A primeira vai na hora; as outras esperam o fim do intervalo e seguem juntas.
+    const [primeira] = transport.take(ESPECIALISTA);
+    assert.match(primeira.text, /Nova mensagem do cliente[\s\S]*"bom dia"/);
+    await new Promise(res => setTimeout(res, 80));
+    const agrupadas = transport.take(ESPECIALISTA);
+    assert.equal(agrupadas.length, 1);
+    assert.match(agrupadas[0].text, /4 novas mensagens do cliente[\s\S]*"alguém\?"[\s\S]*"por favor"/);
+});
+
+test('busca mostra lista numerada e o número abre o produto', async () => {
+    await startSession();
+    const lista = await say(CLIENTE, 'geladeira');
+    assert.match(lista, /\*1\.\*/);
+    assert.equal(await stageOf(CLIENTE), STAGES.ESCOLHA_PRODUTO);
+
+    const detalhe = await say(CLIENTE, '1');
+    assert.ok(detalhe.length > 0);
+    const state = await store.getUserState(CLIENTE);
+    assert.equal(state.stage, STAGES.MENU_PRINCIPAL);
+    assert.ok(JSON.parse(state.context).lastProduct);
+});
+
+test('opção 1 envia o PDF do catálogo', async () => {
+    await startSession();
+    await engine.handleMessage(createIncomingMessage(CLIENTE, '1'));
+    const arquivo = transport.take(CLIENTE).find(entry => entry.type === 'file');
+    assert.equal(arquivo.fileName, 'Catalogo_Frioger.pdf');
+});
+
+// --- NAVEGAÇÃO POR CATEGORIAS ---
+
+test('categorias: subcategorias, "mais", detalhe, PDF da seção e "voltar" até o menu', async () => {
+    const secoes = [];
+    const pdf = { ...fakePdf, getSectionPdf: async (pages, secao) => { secoes.push(secao); return fakePdf.getSectionPdf(); } };
+    engine = createBotEngine({ transport, store, catalog, specialistNumber: ESPECIALISTA, pdf, delay: async () => {}, rateLimit: SEM_LIMITE });
+    await startSession();
+
+    assert.match(await say(CLIENTE, '2'), /Selecione a Categoria[\s\S]*\*1\.\* CLIMATIZAÇÃO[\s\S]*\*3\.\* COMERCIAL/);
+    assert.equal(await stageOf(CLIENTE), STAGES.NAVEGACAO_CATALOGO);
+    assert.match(await say(CLIENTE, '1'), /\*1\.\* HI-WALL INVERTER _\(8 itens\)_[\s\S]*\*2\.\* SPLIT & MULTI/);
+
+    const lista = await say(CLIENTE, '1');
+    assert.match(lista, /HI-WALL INVERTER[\s\S]*\*1\.\* AI EcoMaster 9\.000 BTUs[\s\S]*\*5\.\* AirVolution 12\.000 BTUs/);
+    assert.match(lista, /outros 3 itens/);
+    const resto = await say(CLIENTE, 'mais');
+    assert.match(resto, /\*6\.\* Xtreme Save 9\.000 BTUs/);
+    assert.doesNotMatch(resto, /AI EcoMaster 9\.000/);
+    assert.match(await say(CLIENTE, 'mais'), /todos os itens desta seção/);
+
+    assert.match(await say(CLIENTE, '7'), /Black Edition 12\.000 BTUs[\s\S]*\*voltar\* para retornar à lista/);
+    assert.equal(JSON.parse((await store.getUserState(CLIENTE)).context).lastProduct.n, 'Black Edition 12.000 BTUs');
+
+    await say(CLIENTE, 'pdf');
+    assert.deepEqual(secoes, [{ pageIndex: 2 }]);
+    assert.match(await say(CLIENTE, 'voltar'), /\*6\.\* Xtreme Save/);
+    await say(CLIENTE, 'voltar');
+    await say(CLIENTE, 'pdf');
+    assert.deepEqual(secoes[1], { category: 'CLIMATIZAÇÃO' });
+    assert.match(await say(CLIENTE, 'voltar'), /Selecione a Categoria/);
+    await say(CLIENTE, 'voltar');
+    assert.equal(await stageOf(CLIENTE), STAGES.MENU_PRINCIPAL);
+});
+
+test('categorias: categoria de uma página abre a lista e "voltar" retorna às categorias', async () => {
+    await startSession();
+    await say(CLIENTE, '2');
+    assert.match(await say(CLIENTE, '3'), /COMERCIAL \/ CARRIER XPERIENCE[\s\S]*\*1\.\* Piso Teto 36\.000 BTUs/);
+    assert.match(await say(CLIENTE, '99'), /Opção inválida/);
+    assert.match(await say(CLIENTE, 'voltar'), /Selecione a Categoria/);
+});
+
+test('catálogo recarregado: a lista, a busca e o último produto continuam apontando para o mesmo item', async () => {
+    const arquivo = path.join(tmpDir, 'catalog.json');
+    const paginas = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'catalog.json'), 'utf-8'));
+    fs.writeFileSync(arquivo, JSON.stringify(paginas));
+    const catalogo = createCatalog(arquivo);
+    engine = createBotEngine({ transport, store, catalog: catalogo, specialistNumber: ESPECIALISTA, pdf: fakePdf, delay: async () => {}, rateLimit: SEM_LIMITE });
+    await startSession();
+
+    const [, primeiro] = (await say(CLIENTE, 'geladeira')).match(/\*1\.\* (.+)/);
+    // Uma página nova no começo do catálogo desloca todas as outras.
+    const novaPagina = { type: 'grid', title: 'LANÇAMENTOS', sub: 'NOVIDADES', items: [{ n: 'Geladeira Conceito 600L', d: 'Lançamento.' }] };
+    fs.writeFileSync(arquivo, JSON.stringify([paginas[0], novaPagina, ...paginas.slice(1)]));
+    assert.ok(catalogo.reload());
+
+    assert.ok((await say(CLIENTE, '1')).includes(primeiro));
+    assert.ok((await say(CLIENTE, 'add')).includes(`*${primeiro}*`));
+
+    await say(CLIENTE, 'menu');
+    await say(CLIENTE, '2');
+    await say(CLIENTE, '2'); // CLIMATIZAÇÃO, agora depois de LANÇAMENTOS
+    await say(CLIENTE, '1');
+    fs.writeFileSync(arquivo, JSON.stringify(paginas));
+    assert.ok(catalogo.reload());
+    assert.match(await say(CLIENTE, '2'), /AI EcoMaster 12\.000 BTUs/);
+});
+
+test('orçamento: adiciona, finaliza com CEP e envia ao especialista', async () => {
+    await startSession();
+    await say(CLIENTE, 'geladeira');
+    await say(CLIENTE, '1');
+    assert.match(await say(CLIENTE, 'add'), /Quantas unidades/);
+    // O número aqui é a quantidade, não o atalho do menu.
+    assert.match(await say(CLIENTE, '2'), /2x .* adicionado ao orçamento/);
+
+    assert.match(await say(CLIENTE, 'orcamento'), /Seu orçamento/);
+    assert.match(await say(CLIENTE, 'alterar 1 3'), /3x /);
+    assert.match(await say(CLIENTE, 'finalizar'), /CEP/);
+    assert.match(await say(CLIENTE, '01310-100 São Paulo/SP'), /Confira seu pedido/);
+    assert.match(await say(CLIENTE, 'confirmar'), /Orçamento #1 enviado/);
+    assert.equal(await stageOf(CLIENTE), 'MODO_SILENCIOSO');
+
+    const [alerta] = transport.take(ESPECIALISTA);
+    assert.match(alerta.text, /NOVA SOLICITAÇÃO DE ORÇAMENTO/);
+    assert.match(alerta.text, /01310-100 - São Paulo\/SP/);
+
+    const [quote] = await store.listQuotesByPhone(CLIENTE, 5);
+    assert.equal(quote.cep, '01310-100');
+    const [item] = await store.getQuoteItems(quote.id);
+    assert.equal(item.quantidade, 3);
+});
+
+test('"sair" a qualquer momento pede avaliação', async () => {
+    await startSession();
+    assert.match(await say(CLIENTE, 'sair'), /De 1 a 5/);
+    assert.equal(await stageOf(CLIENTE), STAGES.AVALIACAO);
+});
+
+const MINUTOS = 60 * 1000;
+
+test('inatividade: lembrete uma única vez e depois pesquisa de avaliação', async () => {
+    await startSession();
+
+    await engine.checkInactiveSessions(Date.now() + 16 * MINUTOS);
+    assert.match(transport.take(CLIENTE).map(entry => entry.text).join('\n'), /ainda está aí/);
+    await engine.checkInactiveSessions(Date.now() + 20 * MINUTOS);
+    assert.equal(transport.take(CLIENTE).length, 0);
+
+    await engine.checkInactiveSessions(Date.now() + 61 * MINUTOS);
+    assert.match(transport.take(CLIENTE).map(entry => entry.text).join('\n'), /encerrado por inatividade[\s\S]*De 1 a 5/);
+    assert.equal(await stageOf(CLIENTE), STAGES.AVALIACAO);
+});
+
+test('inatividade: nova mensagem do cliente reinicia a contagem', async () => {
+    await startSession();
+    await engine.checkInactiveSessions(Date.now() + 16 * MINUTOS);
+    transport.take(CLIENTE);
+    await say(CLIENTE, 'menu');
+    const state = await store.getUserState(CLIENTE);
+    assert.equal(state.nudged_at, null);
+});
+
+test('inatividade: sessão sem nome expira em silêncio', async () => {
+    await say(CLIENTE, 'oi');
+    await engine.checkInactiveSessions(Date.now() + 61 * MINUTOS);
+    assert.equal(transport.take(CLIENTE).length, 0);
+    assert.equal(await stageOf(CLIENTE), null);
+});
+
+test('SLA: especialista é alertado uma vez quando o cliente espera demais', async () => {
+    await startSession();
+    await say(CLIENTE, '6');
+    transport.take(ESPECIALISTA);
+
+    await engine.checkInactiveSessions(Date.now() + 10 * MINUTOS);
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+
+    await engine.checkInactiveSessions(Date.now() + 16 * MINUTOS);
+    const [alerta] = transport.take(ESPECIALISTA);
+    assert.match(alerta.text, /CLIENTE SEM RESPOSTA/);
+    assert.match(alerta.text, /Chamado:\* #1/);
+
+    await engine.checkInactiveSessions(Date.now() + 17 * MINUTOS);
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+
+    // Depois da resposta do especialista a contagem só recomeça com uma nova mensagem do cliente.
+    await say(ESPECIALISTA, '#r 1 Já vou te atender!');
+    transport.take(CLIENTE);
+    await engine.checkInactiveSessions(Date.now() + 30 * MINUTOS);
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+});
+
+// Horário controlado pelo teste, no lugar de src/business-hours.js.
+const createFakeHours = () => ({
+    open: false,
+    isOpen() { return this.open; },
+    describeNextOpening: () => 'amanhã às 08:00'
+});
+
+test('fora do horário: pedido de especialista vira retorno e o menu segue funcionando', async () => {
+    const hours = createFakeHours();
+    engine = createBotEngine({ transport, store, catalog, specialistNumber: ESPECIALISTA, pdf: fakePdf, delay: async () => {}, rateLimit: SEM_LIMITE, businessHours: hours });
+    await startSession();
+
+    assert.match(await say(CLIENTE, '6'), /fora do horário[\s\S]*amanhã às 08:00/);
+    assert.equal(await stageOf(CLIENTE), STAGES.MENU_PRINCIPAL);
+    assert.match(await say(CLIENTE, 'geladeira'), /\*1\.\*/);
+
+    await say(CLIENTE, 'menu');
+    assert.match(await completeTriage(CLIENTE, 'freezer gelopar'), /Sua solicitação foi registrada[\s\S]*amanhã às 08:00/);
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+    assert.equal((await store.listPendingCallbacks()).length, 2);
+
+    await engine.deliverPendingCallbacks();
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+
+    hours.open = true;
+    await engine.deliverPendingCallbacks();
+    const [resumo] = transport.take(ESPECIALISTA);
+    assert.match(resumo.text, /RETORNOS PENDENTES \(2\)/);
+    assert.match(resumo.text, /#1\* — Ana/);
+    assert.match(resumo.text, /freezer gelopar/);
+    assert.equal((await store.listPendingCallbacks()).length, 0);
+
+    await engine.deliverPendingCallbacks();
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+});
+
+test('cotação de peças no horário alerta o especialista', async () => {
+    await startSession();
+
+    assert.match(await say(CLIENTE, '3'), /código da peça/);
+    const [alerta] = transport.take(ESPECIALISTA);
+    assert.match(alerta.text, /COTAÇÃO DE PEÇAS[\s\S]*#1[\s\S]*Ana/);
+    assert.equal(await stageOf(CLIENTE), STAGES.AGUARDANDO_HUMANO);
+});
+
+test('fora do horário: mensagens na fila humana avisam o cliente uma vez e não alertam o especialista', async () => {
+    const hours = createFakeHours();
+    engine = createBotEngine({ transport, store, catalog, specialistNumber: ESPECIALISTA, pdf: fakePdf, delay: async () => {}, rateLimit: SEM_LIMITE, businessHours: hours });
+    await startSession();
+
+    // A equipe encerra o expediente com o cliente já na fila.
+    hours.open = true;
+    await say(CLIENTE, '6');
+    transport.take(ESPECIALISTA);
+    hours.open = false;
+    assert.match(await say(CLIENTE, 'código 123'), /Sua mensagem foi registrada/);
+    assert.equal(await say(CLIENTE, 'alô?'), '');
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+    const [retorno] = await store.listPendingCallbacks();
+    assert.match(retorno.motivo, /código 123 • alô\?/);
+
+    // Sem SLA fora do horário.
+    await engine.checkInactiveSessions(Date.now() + 30 * MINUTOS);
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+});
+
+test('fora do horário: cotação de peças vira retorno com o código enviado em seguida', async () => {
+    const hours = createFakeHours();
+    engine = createBotEngine({ transport, store, catalog, specialistNumber: ESPECIALISTA, pdf: fakePdf, delay: async () => {}, rateLimit: SEM_LIMITE, businessHours: hours });
+    await startSession();
+
+    assert.match(await say(CLIENTE, '3'), /assim que retornarmos/);
+    assert.equal(await say(CLIENTE, 'código 123'), '');
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+    const retornos = await store.listPendingCallbacks();
+    assert.equal(retornos.length, 1);
+    assert.match(retornos[0].motivo, /Cotação de Peças \(Menu\) • código 123/);
+
+    hours.open = true;
+    await engine.deliverPendingCallbacks();
+    const [resumo] = transport.take(ESPECIALISTA);
+    assert.match(resumo.text, /RETORNOS PENDENTES \(1\)[\s\S]*código 123/);
+});
+
+const AGENTE_A = 'agente-a@test';
+const AGENTE_B = 'agente-b@test';
+const CLIENTE_2 = '5511977776666@c.us';
+const CLIENTE_3 = '5511966665555@c.us';
+
+const createRoutedEngine = () => createBotEngine({
+    transport, store, catalog, pdf: fakePdf, delay: async () => {}, rateLimit: SEM_LIMITE,
+    departments: {
+        vendas: { name: 'Vendas', strategy: 'round-robin', agents: [AGENTE_A, AGENTE_B] },
+        suporte: { name: 'Suporte Técnico', strategy: 'least-busy', agents: [AGENTE_A, AGENTE_B] }
+    }
+});
+
+const startSessionAs = async (phone, nome) => {
+    await say(phone, 'oi');
+    await say(phone, '1');
+    await say(phone, nome);
+};
+
+test('departamentos: round-robin entre agentes e conversa fixa no agente', async () => {
+    engine = createRoutedEngine();
+    await startSessionAs(CLIENTE, 'ana');
+    await startSessionAs(CLIENTE_2, 'bruno');
+
+    // Com um agente já atribuído, o cliente não está mais na fila.
+    const confirmacao = await say(CLIENTE, '6');
+    assert.match(confirmacao, /Protocolo:/);
+    assert.doesNotMatch(confirmacao, /da fila/);
+    assert.doesNotMatch(await say(CLIENTE_2, '6'), /da fila/);
+    assert.match(transport.take(AGENTE_A).map(entry => entry.text).join('\n'), /ALERTA DE ATENDIMENTO[\s\S]*Ana/);
+    assert.match(transport.take(AGENTE_B).map(entry => entry.text).join('\n'), /ALERTA DE ATENDIMENTO[\s\S]*Bruno/);
+
+    // As mensagens seguintes do cliente vão sempre para o mesmo agente.
+    await say(CLIENTE, 'tem em estoque?');
+    assert.equal(transport.take(AGENTE_B).length, 0);
+    assert.match(transport.take(AGENTE_A)[0].text, /tem em estoque/);
+
+    // Quem assume passa a ser o responsável.
+    await say(AGENTE_B, '#assumir 1');
+    transport.take(CLIENTE);
+    await say(CLIENTE, 'oi?');
+    assert.equal(transport.take(AGENTE_A).length, 0);
+    assert.match(transport.take(AGENTE_B)[0].text, /oi\?/);
+    assert.equal((await store.getTicketById(1)).agente, AGENTE_B);
+});
+
+test('departamentos: least-busy escolhe o agente com menos chamados abertos', async () => {
+    engine = createRoutedEngine();
+    await startSessionAs(CLIENTE, 'ana');
+    await say(CLIENTE, '6'); // Vendas, round-robin: agente A
+    transport.take(AGENTE_A);
+
+    await startSessionAs(CLIENTE_2, 'bruno');
+    assert.match(await completeTriage(CLIENTE_2), /Sua solicitação foi registrada/);
+    assert.equal(transport.take(AGENTE_A).length, 0);
+    assert.match(transport.take(AGENTE_B)[0].text, /NOVO CHAMADO TÉCNICO/);
+});
+
+test('departamentos: #offline persiste e #online distribui a fila', async () => {
+    engine = createRoutedEngine();
+    assert.match(await say(AGENTE_A, '#offline'), /offline/);
+    assert.match(await say(AGENTE_B, '#offline'), /offline/);
+
+    // Um novo motor (como após reiniciar o bot) lê a disponibilidade do banco.
+    engine = createRoutedEngine();
+    await startSessionAs(CLIENTE, 'ana');
+    assert.match(await say(CLIENTE, '6'), /1º\* da fila de \*Vendas/);
+    await startSessionAs(CLIENTE_2, 'bruno');
+    assert.match(await say(CLIENTE_2, '6'), /2º\* da fila de \*Vendas/);
+    assert.equal(transport.take(AGENTE_A).length + transport.take(AGENTE_B).length, 0);
+    assert.equal((await store.getTicketById(1)).agente, null);
+
+    const online = await say(AGENTE_B, '#online');
+    assert.match(online, /CHAMADO DA FILA[\s\S]*#1/);
+    assert.match(online, /2 chamado\(s\) da fila/);
+    assert.equal((await store.getTicketById(1)).agente, AGENTE_B);
+    assert.equal((await store.getTicketById(2)).agente, AGENTE_B);
+
+    await startSessionAs(CLIENTE_3, 'carla');
+    await say(CLIENTE_3, '6');
+    assert.equal(transport.take(AGENTE_A).length, 0);
+    assert.match(transport.take(AGENTE_B)[0].text, /Carla/);
+});
+
+test('departamentos: #assumir só vale para quem atende o departamento do chamado', async () => {
+    engine = createBotEngine({
+        transport, store, catalog, pdf: fakePdf, delay: async () => {}, rateLimit: SEM_LIMITE,
+        departments: {
+            vendas: { name: 'Vendas', agents: [AGENTE_A] },
+            suporte: { name: 'Suporte Técnico', agents: [AGENTE_B] }
+        }
+    });
+    await startSessionAs(CLIENTE, 'ana');
+    await say(CLIENTE, '6'); // Vendas
+    transport.take(AGENTE_A);
+
+    assert.match(await say(AGENTE_B, '#assumir 1'), /departamento \*Vendas\*, que você não atende/);
+    const ticket = await store.getTicketById(1);
+    assert.equal(ticket.agente, AGENTE_A);
+    assert.equal(ticket.status, 'aberto');
+    assert.match(await say(AGENTE_A, '#assumir 1'), /em andamento/);
+});
+
+test('departamentos: #liberar repassa o chamado para outro agente online', async () => {
+    engine = createRoutedEngine();
+    await startSessionAs(CLIENTE, 'ana');
+    await say(CLIENTE, '6');
+    transport.take(AGENTE_A);
+
+    assert.match(await say(AGENTE_A, '#liberar 1'), /repassado para agente-b/);
+    assert.match(transport.take(AGENTE_B)[0].text, /CHAMADO DA FILA/);
+    assert.equal((await store.getTicketById(1)).agente, AGENTE_B);
+});
+
+// --- TRIAGEM GUIADA ---
+test('triagem: código de erro da base com autoajuda que resolve não abre chamado', async () => {
+    await startSession();
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '1');
+    await say(CLIENTE, 'Springer Midea 9000');
+    assert.match(await say(CLIENTE, '4'), /Qual código aparece/);
+    assert.match(await say(CLIENTE, 'e-1'), /\*E1\* \(Midea \/ Springer \/ Carrier\): Falha de comunicação[\s\S]*garantia/);
+    assert.match(await say(CLIENTE, 'não sei'), /Desligue o disjuntor[\s\S]*Resolveu/);
+
+    assert.match(await say(CLIENTE, '1'), /Que ótimo, Ana[\s\S]*De 1 a 5/);
+    assert.equal(await stageOf(CLIENTE), STAGES.AVALIACAO);
+    assert.equal(await store.getTicketById(1), undefined);
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+});
+
+test('triagem: código sem autoajuda abre o chamado direto com o diagnóstico', async () => {
+    await startSession();
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '1');
+    await say(CLIENTE, 'não sei');
+    await say(CLIENTE, '4');
+    assert.match(await say(CLIENTE, 'ec'), /Possível vazamento de gás/);
+    assert.match(await say(CLIENTE, 'sim'), /Sua solicitação foi registrada/);
+
+    const [alerta] = transport.take(ESPECIALISTA);
+    assert.match(alerta.text, /Código de erro:\* ec/);
+    assert.match(alerta.text, /\*EC\* \(Midea \/ Springer \/ Carrier\)/);
+    assert.match(alerta.text, /Garantia:\* Sim/);
+    const diagnostico = JSON.parse((await store.getTicketById(1)).diagnostico);
+    assert.deepEqual(diagnostico.erros.map(erro => erro.code), ['EC']);
+    assert.deepEqual(diagnostico.autoajuda, []);
+});
+
+// --- ANEXOS ---
+const foto = (bytes = 64) => ({ mimetype: 'image/jpeg', data: Buffer.alloc(bytes, 1).toString('base64'), filename: 'etiqueta.jpg' });
+
+test('anexos: foto da etiqueta na triagem entra no chamado e o arquivo vai ao especialista', async () => {
+    await startSession();
+    await say(CLIENTE, '5');
+    assert.match(await say(CLIENTE, '', { media: foto() }), /Arquivo recebido[\s\S]*tipo de equipamento/);
+    await say(CLIENTE, '1');
+    assert.match(await say(CLIENTE, '', { media: foto() }), /O que está acontecendo/); // A foto responde o modelo
+    await say(CLIENTE, '6');
+    assert.match(await say(CLIENTE, '1'), /Sua solicitação foi registrada/);
+
+    const anexos = (await store.listAttachmentsByTickets([1]))[1];
+    assert.equal(anexos.length, 2);
+    assert.equal(anexos[0].nome, 'etiqueta.jpg');
+    assert.equal(anexos[0].tamanho, 64);
+    assert.ok(fs.existsSync(anexos[0].arquivo));
+
+    const [alerta, arquivo] = transport.take(ESPECIALISTA);
+    assert.match(alerta.text, /NOVO CHAMADO TÉCNICO/);
+    assert.equal(arquivo.type, 'file');
+    assert.match(arquivo.text, /Anexo do cliente/);
+    assert.match(arquivo.text, /Chamado:\* #1/);
+
+    // No modo silencioso, novas fotos também entram no chamado, sem resposta do bot.
+    assert.equal(await say(CLIENTE, 'olha a placa', { media: foto(32) }), '');
+    assert.equal((await store.listAttachmentsByTickets([1]))[1].length, 3);
+    assert.match(transport.take(ESPECIALISTA)[0].text, /olha a placa/);
+    assert.match(await say(ESPECIALISTA, '#fila'), /📎 3 anexo\(s\)/);
+});
+
+test('anexos: triagem que termina sem chamado apaga os arquivos guardados nela', async () => {
+    const arquivoDaTriagem = async () => {
+        await say(CLIENTE, '5');
+        await say(CLIENTE, '', { media: foto() });
+        const [arquivo] = JSON.parse((await store.getUserState(CLIENTE)).context).triagem.anexos;
+        assert.ok(fs.existsSync(arquivo.path));
+        return arquivo;
+    };
+    await startSession();
+
+    let arquivo = await arquivoDaTriagem();
+    await say(CLIENTE, 'menu');
+    assert.equal(fs.existsSync(arquivo.path), false);
+
+    arquivo = await arquivoDaTriagem();
+    assert.match(await say(CLIENTE, 'sair'), /De 1 a 5/);
+    assert.equal(fs.existsSync(arquivo.path), false);
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '0');
+
+    await startSession();
+    arquivo = await arquivoDaTriagem();
+    await engine.checkInactiveSessions(Date.now() + 61 * MINUTOS);
+    assert.equal(fs.existsSync(arquivo.path), false);
+    await say(CLIENTE, 'sair');
+
+    await startSession();
+    arquivo = await arquivoDaTriagem();
+    await engine.resetSession(CLIENTE);
+    assert.equal(fs.existsSync(arquivo.path), false);
+    assert.equal(await stageOf(CLIENTE), null);
+});
+
+test('anexos: pedido de especialista no meio da triagem leva os arquivos para o chamado', async () => {
+    await startSession();
+    await say(CLIENTE, '5');
+    await say(CLIENTE, '', { media: foto() });
+    assert.match(await say(CLIENTE, 'atendente'), /transferindo/);
+    const [anexo] = (await store.listAttachmentsByTickets([1]))[1];
+    assert.ok(fs.existsSync(anexo.arquivo));
+    assert.equal(JSON.parse((await store.getUserState(CLIENTE)).context).triagem, null);
+});
+
+test('anexos: arquivo grande ou de tipo não aceito é recusado na fila humana', async () => {
+    await startSession();
+    await say(CLIENTE, '6');
+    transport.take(ESPECIALISTA);
+
+    assert.match(await say(CLIENTE, '', { media: foto(4096) }), /muito grande/);
+    assert.match(await say(CLIENTE, '', { media: { mimetype: 'application/x-msdownload', data: 'AAAA', filename: 'virus.exe' } }), /não é aceito/);
+    assert.deepEqual(await store.listAttachmentsByTickets([1]), {});
+    assert.equal(transport.take(ESPECIALISTA).length, 0);
+
+    await say(CLIENTE, 'segue a nota', { media: { mimetype: 'application/pdf', data: 'JVBERi0=', filename: 'nota fiscal.pdf' } });
+    const [arquivo] = transport.take(ESPECIALISTA);
+    assert.equal(arquivo.type, 'media');
+    assert.equal((await store.listAttachmentsByTickets([1]))[1][0].nome, 'nota_fiscal.pdf');
+});
+
+test('anexos: foto no menu recebe a dica de como falar com um especialista', async () => {
+    await startSession();
+    assert.match(await say(CLIENTE, '', { media: foto() }), /digite \*3\*/);
+    assert.equal(await stageOf(CLIENTE), STAGES.MENU_PRINCIPAL);
+});
+
+// --- AGENDAMENTO ---
+const ENDERECO = 'Rua das Flores, 120, Centro, São Paulo/SP, 01310-100';
+
+// Agenda o primeiro horário livre e devolve as mensagens recebidas na confirmação.
+const bookFirstSlot = async (from = CLIENTE) => {
+    await say(from, '4');
+    await say(from, '1');
+    await say(from, 'equipamento que não existe no catálogo');
+    await say(from, ENDERECO);
+    await say(from, '1');
+    await engine.handleMessage(createIncomingMessage(from, '1'));
+    return transport.take(from);
+};
+
+test('agendamento: serviço, equipamento do catálogo, endereço e horário, com convite .ics', async () => {
+    await startSession();
+    assert.match(await say(CLIENTE, '4'), /Qual serviço[\s\S]*\*2\* - Manutenção/);
+    assert.equal(await stageOf(CLIENTE), STAGES.AGENDAMENTO_SERVICO);
+    assert.match(await say(CLIENTE, '1'), /Qual é o equipamento/);
+    const lista = await say(CLIENTE, 'geladeira');
+    assert.match(lista, /Encontrei estes equipamentos/);
+    const [, primeiroEquipamento] = lista.match(/\*1\* - (.+)/);
+    assert.match(await say(CLIENTE, '1'), /endereço do serviço/);
+    assert.match(await say(CLIENTE, 'Rua das Flores 120'), /CEP/);
+    assert.match(await say(CLIENTE, ENDERECO), /Horários disponíveis[\s\S]*às 08:00[\s\S]*mais/);
+    assert.match(await say(CLIENTE, '1'), /Confira o agendamento[\s\S]*CEP 01310-100/);
+
+    await engine.handleMessage(createIncomingMessage(CLIENTE, '1'));
+    const [convite] = transport.take(CLIENTE);
+    assert.equal(convite.type, 'file');
+    assert.equal(convite.fileName, 'agendamento-1.ics');
+    assert.match(convite.text, /Agendamento #1 confirmado[\s\S]*Téo/);
+    const ics = fs.readFileSync(convite.filePath, 'utf-8');
+    assert.match(ics, /BEGIN:VEVENT[\s\S]*SUMMARY:Instalação - Grupo Frioger[\s\S]*LOCATION:Rua das Flores\\, 120/);
+    assert.match(transport.take(TECNICO)[0].text, /NOVO AGENDAMENTO #1[\s\S]*Ana/);
+
+    const booking = await store.getBookingById(1);
+    assert.equal(booking.status, 'confirmado');
+    assert.equal(booking.cep, '01310-100');
+    assert.equal(booking.tecnico, 'teo');
+    assert.equal(booking.equipamento, primeiroEquipamento);
+    assert.equal(await stageOf(CLIENTE), STAGES.MENU_PRINCIPAL);
+});
+
+test('agendamento: o mesmo horário não é reservado duas vezes', async () => {
+    const CLIENTE_2 = '5511977776666@c.us';
+    await startSession();
+    await startSessionAs(CLIENTE_2, 'bruno');
+    for (const from of [CLIENTE, CLIENTE_2]) {
+        await say(from, '4');
+        await say(from, '1');
+        await say(from, 'equipamento que não existe no catálogo');
+        await say(from, ENDERECO);
+        await say(from, '1');
+    }
+    await say(CLIENTE, '1');
+    assert.match(await say(CLIENTE_2, '1'), /acabou de ser reservado[\s\S]*Horários disponíveis/);
+    assert.equal(await stageOf(CLIENTE_2), STAGES.AGENDAMENTO_HORARIO);
+
+    await say(CLIENTE_2, '1');
+    await say(CLIENTE_2, '1');
+    const [primeiro, segundo] = [await store.getBookingById(1), await store.getBookingById(2)];
+    assert.notEqual(primeiro.inicio, segundo.inicio);
+
+    // O banco também barra a reserva duplicada diretamente.
+    assert.equal(await store.saveBooking(CLIENTE_2, 'Bruno', { ...primeiro, id: undefined }), null);
+});
+
+test('agendamento: lembrete na véspera, remarcação e cancelamento', async () => {
+    await startSession();
+    await bookFirstSlot();
+    transport.take(TECNICO);
+    const original = await store.getBookingById(1);
+
+    await engine.sendBookingReminders(original.inicio - 25 * 60 * 60 * 1000);
+    assert.equal(transport.take(CLIENTE).length, 0);
+    await engine.sendBookingReminders(original.inicio - 23 * 60 * 60 * 1000);
+    assert.match(transport.take(CLIENTE)[0].text, /Lembrete do seu agendamento[\s\S]*Digite \*4\*/);
+    assert.match(transport.take(TECNICO)[0].text, /Visita #1/);
+    await engine.sendBookingReminders(original.inicio - 22 * 60 * 60 * 1000);
+    assert.equal(transport.take(CLIENTE).length, 0);
+
+    assert.match(await say(CLIENTE, '4'), /já tem um serviço agendado[\s\S]*Remarcar/);
+    assert.match(await say(CLIENTE, '1'), /Horários disponíveis/);
+    await say(CLIENTE, '2');
+    await engine.handleMessage(createIncomingMessage(CLIENTE, '1'));
+    assert.match(transport.take(CLIENTE)[0].text, /Agendamento #1 remarcado/);
+    const remarcado = await store.getBookingById(1);
+    assert.notEqual(remarcado.inicio, original.inicio);
+    assert.equal(remarcado.remarcacoes, 1);
+    assert.equal(remarcado.lembrete_em, null);
+
+    await say(CLIENTE, '4');
+    await engine.handleMessage(createIncomingMessage(CLIENTE, '2'));
+    const [cancelamento] = transport.take(CLIENTE);
+    assert.match(cancelamento.text, /Agendamento #1 cancelado/);
+    assert.match(fs.readFileSync(cancelamento.filePath, 'utf-8'), /METHOD:CANCEL[\s\S]*SEQUENCE:2/);
+    assert.equal((await store.getBookingById(1)).status, 'cancelado');
+    assert.match(transport.take(TECNICO).map(entry => entry.text).join('\n'), /CANCELADO/);
+    assert.match(await say(CLIENTE, '4'), /Qual serviço/);
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDepartmentDirectory } = require('../src/departments');
+
+const directory = createDepartmentDirectory({
+    vendas: { name: 'Vendas', agents: ['111@c.us', '222@c.us'] },
+    suporte: { name: 'Suporte', strategy: 'least-busy', agents: ['222@c.us'] }
+});
+
+test('identifica agentes e seus departamentos', () => {
+    assert.equal(directory.isAgent('222@c.us'), true);
+    assert.equal(directory.isAgent('999@c.us'), false);
+    assert.deepEqual(directory.departmentsOf('222@c.us').map(department => department.id), ['vendas', 'suporte']);
+});
+
+test('departamento não configurado cai no primeiro da lista', () => {
+    assert.equal(directory.get('pecas').id, 'vendas');
+    assert.equal(directory.get(null).id, 'vendas');
+    assert.equal(directory.get('suporte').strategy, 'least-busy');
+});
+
+test('nome por idioma: a equipe vê o padrão e o cliente o do seu idioma', () => {
+    const traduzido = createDepartmentDirectory({
+        vendas: { name: { 'pt-BR': 'Vendas', en: 'Sales' }, agents: ['111@c.us'] }
+    }, { locales: ['pt-BR', 'en', 'es'] });
+    assert.equal(traduzido.get('vendas').name, 'Vendas');
+    assert.equal(traduzido.nameIn('vendas', 'en'), 'Sales');
+    assert.equal(traduzido.nameIn('vendas', 'es'), 'Vendas');
+    assert.equal(directory.nameIn('suporte', 'en'), 'Suporte');
+    assert.throws(() => createDepartmentDirectory({ vendas: { name: { en: 'Sales' }, agents: ['111@c.us'] } }), /Texto em pt-BR obrigatório/);
+});
+
+test('configuração inválida é rejeitada', () => {
+    assert.throws(() => createDepartmentDirectory({}), /Nenhum departamento/);
+    assert.throws(() => createDepartmentDirectory({ vendas: { agents: [] } }), /sem agentes/);
+    assert.throws(() => createDepartmentDirectory({ vendas: { agents: ['111@c.us'], strategy: 'aleatorio' } }), /Estratégia inválida/);
+    assert.throws(() => createDepartmentDirectory({ vendas: { agents: ['11 99999-9999'] } }), /Agente inválido/);
+});
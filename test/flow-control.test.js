@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createKeyedQueue, createRateLimiter } = require('../src/flow-control');
+const { createThrottledTransport } = require('../src/transports/throttled');
+
+const tick = () => new Promise(res => setImmediate(res));
+
+test('fila por chave: uma tarefa de cada vez por chave, chaves diferentes em paralelo', async () => {
+    const queue = createKeyedQueue();
+    const ordem = [];
+    let liberarPrimeira;
+    const primeira = queue.run('ana', () => new Promise(res => { liberarPrimeira = res; }).then(() => ordem.push('ana 1')));
+    const segunda = queue.run('ana', async () => ordem.push('ana 2'));
+    const outra = queue.run('bruno', async () => ordem.push('bruno 1'));
+    await outra;
+    await tick();
+    assert.deepEqual(ordem, ['bruno 1']);
+    assert.equal(queue.size(), 1);
+
+    liberarPrimeira();
+    await Promise.all([primeira, segunda]);
+    assert.deepEqual(ordem, ['bruno 1', 'ana 1', 'ana 2']);
+    await tick();
+    assert.equal(queue.size(), 0);
+});
+
+test('fila por chave: um erro não trava as próximas tarefas', async () => {
+    const queue = createKeyedQueue();
+    await assert.rejects(queue.run('ana', async () => { throw new Error('falhou'); }), /falhou/);
+    assert.equal(await queue.run('ana', async () => 'ok'), 'ok');
+});
+
+test('limite por janela: avisa só na primeira mensagem barrada e libera depois da janela', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+    assert.deepEqual(limiter.hit('ana', 0), { limited: false, warn: false });
+    assert.deepEqual(limiter.hit('ana', 100), { limited: false, warn: false });
+    assert.deepEqual(limiter.hit('ana', 200), { limited: true, warn: true });
+    assert.deepEqual(limiter.hit('ana', 300), { limited: true, warn: false });
+    assert.deepEqual(limiter.hit('bruno', 300), { limited: false, warn: false });
+    // Passada a janela das mensagens anteriores, volta a aceitar.
+    assert.deepEqual(limiter.hit('ana', 1250), { limited: false, warn: false });
+});
+
+test('envio com cadência: respeita o intervalo global e o intervalo por chat', async () => {
+    let agora = 0;
+    const esperas = [];
+    const enviados = [];
+    const transport = createThrottledTransport({
+        sendText: async (to, text) => enviados.push(`${agora} ${to} ${text}`)
+    }, {
+        minIntervalMs: 100, chatIntervalMs: 1000,
+        now: () => agora,
+        delay: async (ms) => { esperas.push(ms); agora += ms; }
+    });
+    await Promise.all([
+        transport.sendText('ana', 'a1'),
+        transport.sendText('bruno', 'b1'),
+        transport.sendText('ana', 'a2')
+    ]);
+    assert.deepEqual(enviados, ['0 ana a1', '100 bruno b1', '1000 ana a2']);
+    assert.deepEqual(esperas, [100, 900]);
+    assert.equal(transport.pending(), 0);
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBotTexts } = require('../src/bot-texts');
+const { createTranslator } = require('../src/i18n');
+const { createMenu } = require('../src/menu');
+
+const silent = { log: () => {}, warn: () => {}, error: () => {} };
+
+const locales = {
+    'pt-BR': {
+        language: { name: 'Português', aliases: ['pt', 'portugues'] },
+        detect: ['oi', 'bom dia'],
+        triggers: { sair: ['sair', 'obrigado'] },
+        messages: { menu: { header: ['Olá, *{nome}*!', 'Escolha:'] }, hours: { today: 'hoje às {hora}' } }
+    },
+    en: {
+        language: { name: 'English', aliases: ['en', 'english'] },
+        detect: ['hello', 'good morning'],
+        triggers: { sair: ['bye'] },
+        commands: { voltar: ['back'], '#apagar': ['#erase'], confirmo: ['confirm'] },
+        messages: { menu: { header: 'Hi, *{nome}*!' } }
+    }
+};
+
+const menuConfig = (items) => ({ sections: [{ icon: '🛒', title: { 'pt-BR': 'LOJA', en: 'SHOP' }, items }] });
+const fullMenu = [
+    ['1', 'catalogo'], ['2', 'categorias'], ['3', 'pecas'], ['4', 'agendamento'], ['5', 'suporte'], ['6', 'especialista'], ['0', 'sair']
+].map(([key, action]) => ({ key, action, label: { 'pt-BR': `Opção ${action}`, en: `Option ${action}` } }));
+
+test('traduz com variáveis e usa o idioma padrão no que falta', () => {
+    const i18n = createTranslator(locales);
+    assert.equal(i18n.t('pt-BR', 'menu.header', { nome: 'Ana' }), 'Olá, *Ana*!\nEscolha:');
+    assert.equal(i18n.t('en', 'menu.header', { nome: 'Ana' }), 'Hi, *Ana*!');
+    assert.equal(i18n.t('en', 'hours.today', { hora: '08:00' }), 'hoje às 08:00');
+    assert.equal(i18n.t('fr', 'menu.header', {}), 'Olá, *{nome}*!\nEscolha:');
+    assert.throws(() => i18n.t('pt-BR', 'nao.existe'), /não encontrada/);
+    assert.match(i18n.warnings[0], /"en" sem 1 mensagem/);
+    assert.deepEqual(i18n.triggers('en', 'sair'), ['bye', 'sair', 'obrigado']);
+});
+
+test('detecta o idioma, resolve apelidos e traduz comandos', () => {
+    const i18n = createTranslator(locales);
+    assert.equal(i18n.detectLocale('Hello, good morning!'), 'en');
+    assert.equal(i18n.detectLocale('Oi, bom dia'), 'pt-BR');
+    assert.equal(i18n.detectLocale('preciso de um split'), null);
+    assert.equal(i18n.detectLocale('oi hello'), null); // Empate: fica no padrão
+    assert.equal(i18n.resolveLocale('English'), 'en');
+    assert.equal(i18n.resolveLocale('português'), 'pt-BR');
+    assert.equal(i18n.resolveLocale('klingon'), null);
+    assert.equal(i18n.canonicalCommand('en', 'back'), 'voltar');
+    assert.equal(i18n.canonicalCommand('en', '#erase confirm'), '#apagar confirmo');
+    assert.equal(i18n.canonicalCommand('en', 'back to the split'), 'voltar to the split');
+    assert.equal(i18n.canonicalCommand('pt-BR', 'back'), 'back');
+    assert.deepEqual(i18n.languages.map(language => language.shortcut), ['pt', 'en']);
+});
+
+test('idioma inválido é rejeitado', () => {
+    const comMensagem = (messages) => ({ ...locales, en: { ...locales.en, messages } });
+    assert.throws(() => createTranslator({ en: locales.en }), /padrão "pt-BR" não encontrado/);
+    assert.throws(() => createTranslator(comMensagem({ menu: { titulo: 'x' } })), /desconhecida em "en": "menu.titulo"/);
+    assert.throws(() => createTranslator(comMensagem({ menu: { header: 'Hi {cliente}' } })), /\{cliente\}/);
+    assert.throws(() => createTranslator(comMensagem({ menu: { header: 42 } })), /Mensagem inválida/);
+    assert.throws(() => createTranslator({ ...locales, en: { ...locales.en, language: { name: 'English', aliases: ['pt'] } } }), /Apelido de idioma repetido/);
+    assert.throws(() => createTranslator({ ...locales, en: { ...locales.en, triggers: { fugir: ['run'] } } }), /Gatilho desconhecido/);
+});
+
+test('monta o menu da configuração e barra teclas e ações inválidas', () => {
+    const menu = createMenu(menuConfig([...fullMenu, { icon: '🧾', hint: { 'pt-BR': 'Digite *orcamento*' } }]), { locales: ['pt-BR', 'en'] });
+    assert.equal(menu.actionFor('4'), 'agendamento');
+    assert.equal(menu.actionFor('9'), null);
+    assert.equal(menu.keyOf('especialista'), '6');
+    assert.match(menu.render('en'), /\*SHOP\*\n\n1️⃣  Option catalogo/);
+    assert.match(menu.render('en'), /🧾  _Digite \*orcamento\*_/);
+
+    const trocar = (key, mudanca) => menuConfig(fullMenu.map(item => (item.key === key ? { ...item, ...mudanca } : item)));
+    assert.throws(() => createMenu(menuConfig(fullMenu.slice(1))), /Ações sem opção no menu: catalogo/);
+    assert.throws(() => createMenu(trocar('1', { key: '2' })), /Tecla repetida/);
+    assert.throws(() => createMenu(trocar('1', { action: 'loja' })), /Ação inválida/);
+    assert.throws(() => createMenu(trocar('1', { key: '10' })), /Tecla inválida/);
+    assert.throws(() => createMenu(menuConfig(fullMenu.map(item => ({ ...item, key: { sair: '5', suporte: '0' }[item.action] || item.key })))), /use 0 ou de 6 a 9/);
+    assert.throws(() => createMenu(trocar('1', { label: { en: 'Catalog' } })), /pt-BR obrigatório/);
+    assert.throws(() => createMenu(trocar('1', { label: { 'pt-BR': 'Catálogo', fr: 'Catalogue' } }), { locales: ['pt-BR', 'en'] }), /Idioma desconhecido "fr"/);
+});
+
+test('recarrega os arquivos e mantém a versão anterior quando há erro', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frioger-textos-'));
+    try {
+        const localesDir = path.join(dir, 'locales');
+        const menuPath = path.join(dir, 'menu.json');
+        fs.mkdirSync(localesDir);
+        Object.entries(locales).forEach(([code, locale]) => fs.writeFileSync(path.join(localesDir, `${code}.json`), JSON.stringify(locale)));
+        fs.writeFileSync(menuPath, JSON.stringify(menuConfig(fullMenu)));
+        const texts = createBotTexts({ localesDir, menuPath, logger: silent });
+        assert.deepEqual(texts.i18n.codes, ['en', 'pt-BR']);
+
+        fs.writeFileSync(menuPath, JSON.stringify(menuConfig(fullMenu.map(item => (item.action === 'catalogo' ? { ...item, key: '9' } : item)))));
+        assert.equal(texts.reload(), true);
+        assert.equal(texts.menu.keyOf('catalogo'), '9');
+
+        fs.writeFileSync(menuPath, '{ "sections": [');
+        assert.equal(texts.reload(), false);
+        assert.equal(texts.menu.keyOf('catalogo'), '9');
+
+        fs.writeFileSync(menuPath, JSON.stringify(menuConfig(fullMenu)));
+        fs.writeFileSync(path.join(localesDir, 'en.json'), JSON.stringify({ ...locales.en, messages: { menu: { header: 'Hi {cliente}' } } }));
+        assert.equal(texts.reload(), false);
+        assert.equal(texts.menu.keyOf('catalogo'), '9');
+        assert.equal(texts.i18n.t('en', 'menu.header', { nome: 'Ana' }), 'Hi, *Ana*!');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('os idiomas e o menu do projeto são válidos', () => {
+    const texts = createBotTexts({ logger: silent });
+    assert.deepEqual([...texts.i18n.codes].sort(), ['en', 'es', 'pt-BR']);
+    assert.deepEqual(texts.i18n.warnings, []);
+    assert.equal(texts.i18n.detectLocale('Hola, buenos días'), 'es');
+});
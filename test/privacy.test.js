@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPrivacyPolicy } = require('../src/privacy');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('prazo de retenção em dias a partir de agora', () => {
+    const privacy = createPrivacyPolicy({ version: '2026-10', retentionDays: 30 });
+    const agora = Date.UTC(2026, 9, 19);
+    assert.equal(privacy.retentionCutoff(agora), agora - 30 * DAY);
+});
+
+test('exportação em JSON com a versão da política, apagada depois do envio', async () => {
+    const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'frioger-privacy-'));
+    const privacy = createPrivacyPolicy({ version: '2026-10', exportDir });
+    const arquivo = await privacy.writeExport('5511988887777@c.us', { perfil: { nome: 'Ana' } });
+    assert.equal(arquivo.fileName, 'meus-dados-5511988887777.json');
+    const conteudo = JSON.parse(fs.readFileSync(arquivo.path, 'utf-8'));
+    assert.equal(conteudo.politica, '2026-10');
+    assert.equal(conteudo.perfil.nome, 'Ana');
+
+    await privacy.removeExport(arquivo);
+    assert.equal(fs.existsSync(arquivo.path), false);
+    fs.rmSync(exportDir, { recursive: true, force: true });
+});
+
+test('configuração inválida é rejeitada', () => {
+    assert.throws(() => createPrivacyPolicy({}), /version/);
+    assert.throws(() => createPrivacyPolicy({ version: '1', retentionDays: 0 }), /retentionDays/);
+});
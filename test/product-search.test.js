@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { searchCatalog, getProductByRef, tokenize } = require('../src/product-search');
+const { createCatalog } = require('../src/catalog');
+
+const pages = [
+    { type: 'grid', title: 'CLIMATIZAÇÃO', sub: 'SPLIT HI-WALL', items: [
+        { n: 'EcoMaster 9.000 BTUs', d: 'Inverter.', techSpecs: ['Voltagem: 220V'] },
+        { n: 'EcoMaster 12.000 BTUs', d: 'Inverter.', techSpecs: ['Voltagem: 220V'] }
+    ] },
+    { type: 'grid', title: 'REFRIGERAÇÃO', sub: 'FREEZERS', items: [
+        { n: 'Horiz. 508L', d: '2 Tampas.', techSpecs: ['Capacidade: 508 Litros'] },
+        { n: 'Horiz. 293L', d: 'Compacto.', techSpecs: ['Capacidade: 293 Litros'] }
+    ] },
+    { type: 'grid', title: 'COZINHA', sub: 'GELADEIRAS', items: [{ n: 'Frost Free 347L', d: 'Inox.' }] },
+    { type: 'grid', title: 'COZINHA', sub: 'AIR FRYER', items: [{ n: 'Fryer 4L', d: 'Antiaderente.' }] },
+    { type: 'grid', title: 'VENTILAÇÃO', sub: 'VENTILADORES', items: [{ n: 'Ventilador 30cm', d: 'Silencioso.', techSpecs: ['Diâmetro: 30cm', 'Tipo: Mesa'] }] },
+    { type: 'cover' }
+];
+const names = (query, options) => searchCatalog(pages, query, options).map(item => item.n);
+
+test('normaliza números, unidades e plurais', () => {
+    assert.deepEqual(tokenize('Ar 12.000 BTUs 220 volts'), ['ar', '12000btu', '220v']);
+    assert.deepEqual(tokenize('split de 12 mil btus'), ['split', '12000btu']);
+    assert.deepEqual(tokenize('fryer 5,5 litros'), ['fryer', '5.5l']);
+    assert.deepEqual(tokenize('quero ver as geladeiras'), ['geladeira']);
+});
+
+test('números e unidades precisam bater, com tolerância só nas medidas arredondáveis', () => {
+    assert.deepEqual(names('split 12000 btus'), ['EcoMaster 12.000 BTUs']);
+    assert.deepEqual(names('ar 12.000'), ['EcoMaster 12.000 BTUs']);
+    assert.deepEqual(names('split 10000 btus'), []);
+    assert.deepEqual(names('freezer 500 litros'), ['Horiz. 508L']);
+    assert.deepEqual(names('freezer 400 litros'), []);
+});
+
+test('sinônimos e erros de digitação em palavras longas', () => {
+    assert.deepEqual(names('ar condicionado 9000'), ['EcoMaster 9.000 BTUs']);
+    assert.deepEqual(names('fritadeira'), ['Fryer 4L']);
+    assert.deepEqual(names('geladera'), ['Frost Free 347L']);
+    assert.deepEqual(names('ventiladro'), ['Ventilador 30cm']);
+    assert.deepEqual(names('ventila'), ['Ventilador 30cm']);
+    assert.equal(names('freezer')[0], 'Horiz. 508L');
+});
+
+test('saudações e palavras curtas parecidas não trazem produtos', () => {
+    assert.deepEqual(names('bom dia'), []);
+    assert.deepEqual(names('oi, tudo bem?'), []);
+    assert.deepEqual(names('obrigado'), []);
+    assert.deepEqual(names('dia'), []);
+    assert.deepEqual(names('ok'), []);
+    assert.deepEqual(names('ventilador', { minScore: 100 }), []);
+});
+
+test('recupera o produto pela referência devolvida na busca', () => {
+    const [item] = searchCatalog(pages, 'fryer');
+    assert.deepEqual(getProductByRef(pages, item.ref), { ...pages[3].items[0], category: 'COZINHA', sub: 'AIR FRYER', ref: 'COZINHA/AIR FRYER/Fryer 4L' });
+    // A referência não depende da posição: continua valendo com as páginas em outra ordem.
+    assert.equal(getProductByRef([...pages].reverse(), item.ref).n, 'Fryer 4L');
+    assert.equal(getProductByRef(pages, 'COZINHA/AIR FRYER/Fryer 9L'), null);
+    assert.equal(getProductByRef(pages, [3, 0]), null);
+    assert.equal(getProductByRef(pages, null), null);
+});
+
+test('catálogo real: casos de busca dos clientes', () => {
+    const catalogo = createCatalog(path.join(__dirname, '..', 'catalog.json')).pages;
+    assert.deepEqual(searchCatalog(catalogo, 'bom dia'), []);
+    assert.equal(searchCatalog(catalogo, 'freezer 500 litros')[0].n, 'Horiz. 508L');
+});
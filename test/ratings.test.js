@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRating, summarizeRatings, groupRatings, formatRatingsDigest, ratingsToCsv } = require('../src/ratings');
+
+test('nota de 1 a 5 em número, estrelas, "nota N" ou palavra', () => {
+    assert.equal(parseRating('5'), 5);
+    assert.equal(parseRating('4/5'), 4);
+    assert.equal(parseRating('3 estrelas'), 3);
+    assert.equal(parseRating('⭐⭐'), 2);
+    assert.equal(parseRating('Ótimo!'), 5);
+    assert.equal(parseRating('15 minutos esperando, nota 2'), 2);
+});
+
+test('números fora da escala e frases sem nota são recusados', () => {
+    assert.equal(parseRating('15 minutos esperando'), null);
+    assert.equal(parseRating('6'), null);
+    assert.equal(parseRating('0'), null);
+    assert.equal(parseRating('nota 10'), null);
+    assert.equal(parseRating('mais ou menos'), null);
+});
+
+test('CSAT, NPS e média ignoram notas antigas em texto livre', () => {
+    const resumo = summarizeRatings([{ nota: '5' }, { nota: '5' }, { nota: '4' }, { nota: '1' }, { nota: 'excelente!!' }]);
+    assert.equal(resumo.total, 4);
+    assert.equal(resumo.media, 3.8);
+    assert.equal(resumo.csat, 75);
+    assert.equal(resumo.nps, 25);
+    assert.deepEqual(resumo.distribuicao, [1, 0, 0, 1, 2]);
+});
+
+test('indicadores por agente e resumo diário com as notas baixas', () => {
+    const ratings = [
+        { nota: '5', agente: 'ana@c.us', departamento: 'vendas' },
+        { nota: '2', agente: 'beto@c.us', departamento: 'suporte', user_name: 'Carla', chamado_id: 7, comentario: 'demorou' },
+        { nota: '4', agente: 'ana@c.us', departamento: 'vendas' }
+    ];
+    const [ana, beto] = groupRatings(ratings, 'agente');
+    assert.equal(ana.chave, 'ana@c.us');
+    assert.equal(ana.csat, 100);
+    assert.equal(beto.nps, -100);
+
+    const resumo = formatRatingsDigest({ periodo: '2026-10-18', ratings, departmentName: (id) => id.toUpperCase() });
+    assert.match(resumo, /AVALIAÇÕES DE 18\/10\/2026/);
+    assert.match(resumo, /VENDAS: ⭐ 4\.5 • CSAT 100% • NPS \+50 \(2\)/);
+    assert.match(resumo, /2\/5 — Carla \(#7\): _"demorou"_/);
+});
+
+test('CSV separado por ";" com campos especiais entre aspas', () => {
+    const csv = ratingsToCsv([{ id: 1, timestamp: Date.UTC(2026, 9, 18, 15), user_name: 'Ana', user_phone: '5511@c.us', nota: '3', comentario: 'bom; mas "lento"' }]);
+    const [cabecalho, linha] = csv.replace('\uFEFF', '').trim().split('\r\n');
+    assert.equal(cabecalho, 'id;data;cliente;telefone;nota;comentario;chamado;departamento;especialista');
+    assert.equal(linha, '1;18/10/2026, 12:00:00;Ana;5511@c.us;3;"bom; mas ""lento""";;;');
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../src/scheduling');
+
+const HOUR = 60 * 60 * 1000;
+const config = {
+    services: ['Instalação'],
+    slotMinutes: 120,
+    daysAhead: 3,
+    minNoticeHours: 12,
+    technicians: {
+        ana: { name: 'Ana', schedule: { segunda: ['08:00-12:00'], terca: ['08:00-12:00', '13:00-17:00'] } },
+        beto: { name: 'Beto', schedule: { terca: ['08:00-12:00'] } }
+    }
+};
+
+// Domingo, 18/10/2026, 12:00 em São Paulo (UTC-3).
+const DOMINGO = Date.UTC(2026, 9, 18, 15, 0);
+
+test('divide a grade em horários no fuso de São Paulo, respeitando a antecedência', () => {
+    const scheduler = createScheduler(config);
+    const slots = scheduler.availableSlots({ now: DOMINGO });
+    assert.deepEqual(slots.slice(0, 2).map(slot => new Date(slot.start).toISOString()), ['2026-10-19T11:00:00.000Z', '2026-10-19T13:00:00.000Z']);
+    assert.equal(scheduler.formatSlot(slots[0].start), 'segunda-feira, 19/10 às 08:00');
+    const terca = slots.find(slot => scheduler.formatSlot(slot.start) === 'terça-feira, 20/10 às 08:00');
+    assert.deepEqual(terca.technicians, ['ana', 'beto']);
+    assert.equal(terca.end - terca.start, 2 * HOUR);
+
+    // Com 24h de antecedência, a segunda de manhã já não é oferecida.
+    const tarde = scheduler.availableSlots({ now: DOMINGO + 12 * HOUR });
+    assert.equal(scheduler.formatSlot(tarde[0].start), 'terça-feira, 20/10 às 08:00');
+});
+
+test('remove horários reservados e os fechados pelo filtro', () => {
+    const scheduler = createScheduler(config);
+    const [primeiro] = scheduler.availableSlots({ now: DOMINGO });
+    const slots = scheduler.availableSlots({ now: DOMINGO, booked: [{ tecnico: 'ana', inicio: primeiro.start }] });
+    assert.ok(!slots.some(slot => slot.start === primeiro.start));
+
+    const soTerca = scheduler.availableSlots({ now: DOMINGO, isOpen: (date) => date.getUTCDay() === 2 });
+    assert.ok(soTerca.every(slot => scheduler.formatSlot(slot.start).startsWith('terça-feira')));
+});
+
+test('gera o convite .ics e o cancelamento', () => {
+    const scheduler = createScheduler(config);
+    const booking = {
+        id: 7, servico: 'Instalação', equipamento: 'Split; 12000', endereco: 'Rua A, 10', cep: '01310-100',
+        tecnico: 'ana', inicio: Date.UTC(2026, 9, 19, 11), fim: Date.UTC(2026, 9, 19, 13), status: 'confirmado', remarcacoes: 1
+    };
+    const ics = scheduler.buildIcs(booking);
+    assert.match(ics, /\r\nUID:agendamento-7@grupofrioger\r\n/);
+    assert.match(ics, /DTSTART:20261019T110000Z/);
+    assert.match(ics, /LOCATION:Rua A\\, 10 - CEP 01310-100/);
+    assert.match(ics, /DESCRIPTION:Equipamento: Split\\; 12000\\nTécnico: Ana/);
+    assert.match(ics, /SEQUENCE:1[\s\S]*STATUS:CONFIRMED/);
+
+    const cancelado = scheduler.buildIcs({ ...booking, status: 'cancelado' });
+    assert.match(cancelado, /METHOD:CANCEL[\s\S]*SEQUENCE:2[\s\S]*STATUS:CANCELLED/);
+});
+
+test('serviços por idioma: o agendamento guarda o padrão e o cliente vê o do seu idioma', () => {
+    const scheduler = createScheduler({ ...config, services: [{ 'pt-BR': 'Instalação', en: 'Installation' }, 'Conserto'] }, { locales: ['pt-BR', 'en'] });
+    assert.deepEqual(scheduler.services, ['Instalação', 'Conserto']);
+    assert.equal(scheduler.serviceName('Instalação', 'en'), 'Installation');
+    assert.equal(scheduler.serviceName('Conserto', 'en'), 'Conserto');
+    // Agendamentos de um serviço que saiu da configuração continuam com o nome guardado.
+    assert.equal(scheduler.serviceName('Higienização', 'en'), 'Higienização');
+    assert.throws(() => createScheduler({ ...config, services: [{ 'pt-BR': 'Instalação', fr: 'Installation' }] }, { locales: ['pt-BR', 'en'] }), /Idioma desconhecido "fr"/);
+});
+
+test('configuração inválida é rejeitada', () => {
+    assert.throws(() => createScheduler({ ...config, services: [] }), /Nenhum tipo de serviço/);
+    assert.throws(() => createScheduler({ ...config, technicians: {} }), /Nenhum técnico/);
+    assert.throws(() => createScheduler({ ...config, technicians: { ana: { schedule: { feriado: ['08:00-12:00'] } } } }), /Dia da semana inválido/);
+    assert.throws(() => createScheduler({ ...config, technicians: { ana: { schedule: { segunda: ['12:00-08:00'] } } } }), /Intervalo inválido/);
+});
@@ -0,0 +1,75 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { createConnectionManager } = require('../src/connection');
+const { createMetrics } = require('../src/metrics');
+const { createStatusServer } = require('../src/status-server');
+
+const client = new EventEmitter();
+client.initialize = async () => {};
+client.destroy = async () => {};
+const connection = createConnectionManager(client, { schedule: () => 1, logger: { log: () => {}, warn: () => {}, error: () => {} } });
+const metrics = createMetrics();
+const app = createStatusServer({ connection, metrics, auth: { user: 'admin', password: 'segredo' } });
+
+let server;
+const request = async (url, headers = {}) => {
+    if (!server) await new Promise(res => { server = app.listen(0, res); });
+    return fetch(`http://127.0.0.1:${server.address().port}${url}`, { headers });
+};
+const LOGIN = { authorization: `Basic ${Buffer.from('admin:segredo').toString('base64')}` };
+
+after(() => server && server.close());
+
+test('métricas no formato Prometheus: contadores com rótulos e medidores calculados na hora', async () => {
+    metrics.counter('messages_total', 'Mensagens recebidas, por estágio da conversa.');
+    metrics.increment('messages_total', { stage: 'MENU_PRINCIPAL' });
+    metrics.increment('messages_total', { stage: 'MENU_PRINCIPAL' });
+    metrics.increment('messages_total', { stage: 'AVALIACAO' });
+    metrics.gauge('open_tickets', 'Chamados não resolvidos.', async () => [{ labels: { departamento: 'suporte', status: 'aberto' }, value: 3 }]);
+    metrics.gauge('quebrado', 'Medidor com erro.', () => { throw new Error('banco fechado'); });
+
+    const resposta = await request('/metrics');
+    assert.equal(resposta.status, 200);
+    assert.match(resposta.headers.get('content-type'), /text\/plain/);
+    const texto = await resposta.text();
+    assert.match(texto, /# TYPE frioger_messages_total counter\nfrioger_messages_total\{stage="MENU_PRINCIPAL"\} 2\nfrioger_messages_total\{stage="AVALIACAO"\} 1/);
+    assert.match(texto, /frioger_open_tickets\{departamento="suporte",status="aberto"\} 3/);
+    assert.doesNotMatch(texto, /quebrado/);
+});
+
+test('/health: 200 enquanto conecta ou conectado, 503 após a queda', async () => {
+    let resposta = await request('/health');
+    assert.equal(resposta.status, 200);
+    assert.equal((await resposta.json()).status, 'aguardando');
+
+    client.emit('ready');
+    resposta = await request('/health');
+    assert.deepEqual({ ...(await resposta.json()), since: null, uptime: null }, {
+        status: 'ok', whatsapp: 'conectado', whatsappState: null, since: null, reconnects: 0, uptime: null
+    });
+
+    client.emit('disconnected', 'NAVIGATION');
+    resposta = await request('/health');
+    assert.equal(resposta.status, 503);
+    assert.equal((await resposta.json()).whatsapp, 'desconectado');
+});
+
+test('/qr exige login e mostra o QR Code em SVG', async () => {
+    assert.equal((await request('/qr')).status, 401);
+    client.emit('qr', '2@abcdefghijklmnopqrstuvwxyz,0123456789');
+    const pagina = await (await request('/qr', LOGIN)).text();
+    assert.match(pagina, /Leia o QR Code[\s\S]*<svg [^>]*viewBox/);
+
+    client.emit('ready');
+    assert.match(await (await request('/qr', LOGIN)).text(), /Conectado/);
+});
+
+test('/qr desativado sem login configurado', async () => {
+    const semLogin = createStatusServer({ connection, metrics });
+    const servidor = await new Promise(res => { const s = semLogin.listen(0, () => res(s)); });
+    const resposta = await fetch(`http://127.0.0.1:${servidor.address().port}/qr`);
+    assert.equal(resposta.status, 404);
+    assert.match(await resposta.text(), /ADMIN_PASSWORD/);
+    servidor.close();
+});
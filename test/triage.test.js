@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTriage } = require('../src/triage');
+
+const steps = [
+    { id: 'tipo', label: 'Tipo', question: 'Qual o tipo?', options: [{ label: 'Split' }, { label: 'Câmara fria', next: 'garantia' }] },
+    { id: 'sintoma', label: 'Sintoma', question: 'O que houve?', options: [{ label: 'Não liga', selfHelp: ['Ligue o disjuntor.'] }, { label: 'Código de erro', next: 'codigo' }], next: 'garantia' },
+    { id: 'codigo', label: 'Código', question: 'Qual código?', lookup: 'errorCode' },
+    { id: 'garantia', label: 'Garantia', question: 'Tem garantia?' }
+];
+const errorCodes = {
+    midea: { name: 'Midea', aliases: ['midea', 'springer'], codes: { E1: { description: 'Comunicação', selfHelp: ['Ligue o disjuntor.', 'Aguarde 5 minutos.'] } } },
+    lg: { name: 'LG', aliases: ['lg'], codes: { E1: { description: 'Outro significado' } } }
+};
+
+test('segue a próxima etapa da opção, da etapa ou da lista', () => {
+    const triage = createTriage({ steps, errorCodes });
+    assert.equal(triage.firstStep, 'tipo');
+    assert.deepEqual(triage.answer('tipo', '1'), { value: 'Split', next: 'sintoma' });
+    assert.deepEqual(triage.answer('tipo', 'camara fria'), { value: 'Câmara fria', next: 'garantia' });
+    assert.deepEqual(triage.answer('sintoma', '1'), { value: 'Não liga', next: 'garantia' });
+    assert.deepEqual(triage.answer('sintoma', '2'), { value: 'Código de erro', next: 'codigo' });
+    assert.deepEqual(triage.answer('garantia', ' sim '), { value: 'sim', next: null });
+    assert.equal(triage.answer('tipo', '3'), null);
+    assert.equal(triage.answer('garantia', ''), null);
+    assert.match(triage.formatQuestion(triage.getStep('tipo')), /\*2\* - Câmara fria/);
+});
+
+test('consulta códigos de erro pelo fabricante citado', () => {
+    const triage = createTriage({ steps, errorCodes });
+    assert.deepEqual(triage.lookupErrorCode('e 1', 'Split Springer 9000').map(erro => erro.brand), ['Midea']);
+    assert.deepEqual(triage.lookupErrorCode('E1', 'não sei').map(erro => erro.brand), ['Midea', 'LG']);
+    assert.deepEqual(triage.lookupErrorCode('P9', 'midea'), []);
+});
+
+test('junta a autoajuda das opções e dos códigos sem repetir', () => {
+    const triage = createTriage({ steps, errorCodes });
+    const erros = triage.lookupErrorCode('E1', 'midea');
+    assert.deepEqual(triage.selfHelpFor({ sintoma: 'Não liga' }, erros), ['Ligue o disjuntor.', 'Aguarde 5 minutos.']);
+    assert.deepEqual(triage.describe({ garantia: 'Sim', tipo: 'Split' }), [
+        { etapa: 'tipo', titulo: 'Tipo', resposta: 'Split' },
+        { etapa: 'garantia', titulo: 'Garantia', resposta: 'Sim' }
+    ]);
+});
+
+test('textos por idioma: pergunta, opções, descrição e autoajuda no idioma, valores no padrão', () => {
+    const triage = createTriage({
+        steps: [
+            { id: 'sintoma', label: 'Sintoma', question: { 'pt-BR': 'O que houve?', en: 'What happened?' }, options: [
+                { label: { 'pt-BR': 'Não liga', en: 'Does not turn on' }, selfHelp: { 'pt-BR': ['Ligue o disjuntor.'], en: ['Turn on the breaker.'] } },
+                { label: 'Outro' }
+            ] }
+        ],
+        errorCodes: { midea: { name: 'Midea', codes: { E1: { description: { 'pt-BR': 'Comunicação', en: 'Communication' } } } } }
+    }, { locales: ['pt-BR', 'en', 'es'] });
+    assert.equal(triage.formatQuestion(triage.getStep('sintoma'), 'en'), 'What happened?\n\n*1* - Does not turn on\n*2* - Outro');
+    assert.match(triage.formatQuestion(triage.getStep('sintoma'), 'es'), /O que houve\?[\s\S]*Não liga/);
+    assert.deepEqual(triage.answer('sintoma', 'does not turn on'), { value: 'Não liga', next: null });
+    assert.deepEqual(triage.selfHelpFor({ sintoma: 'Não liga' }, [], 'en'), ['Turn on the breaker.']);
+    const [erro] = triage.lookupErrorCode('E1');
+    assert.equal(erro.description, 'Comunicação');
+    assert.equal(triage.describeError(erro, 'en'), 'Communication');
+});
+
+test('configuração inválida é rejeitada', () => {
+    assert.throws(() => createTriage({ steps: [] }), /sem etapas/);
+    assert.throws(() => createTriage({ steps: [{ id: 'a', question: '?' }, { id: 'a', question: '?' }] }), /repetida/);
+    assert.throws(() => createTriage({ steps: [{ id: 'a', question: '?', next: 'b' }] }), /inexistente: "b"/);
+    assert.throws(() => createTriage({ steps: [{ id: 'a', question: '?', lookup: 'cep' }] }), /Consulta inválida/);
+    assert.throws(() => createTriage({ steps: [{ id: 'a', question: { en: '?' } }] }), /pt-BR obrigatório/);
+    assert.throws(() => createTriage({ steps: [{ id: 'a', question: { 'pt-BR': '?', fr: '?' } }] }, { locales: ['pt-BR', 'en'] }), /desconhecido "fr"/);
+});